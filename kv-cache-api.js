@@ -0,0 +1,38 @@
+// The estimator's programmatic API — the package's main entry. Everything the
+// front ends calculate with is re-exported from here: the physics engine,
+// the session simulator, the SLO solver, the config schema and the report /
+// bill-of-materials writers. None of it touches the DOM, so it runs the same
+// in a partner's portal, a worker or Node. estimate() is the one-call version
+// for hosts that just want numbers for a config.
+
+import {
+  computePhysics, computePortfolio, computeTCO, storageInvestment, capacityState,
+} from "./kv-cache-engine.js";
+import { parseConfig, serializeConfig } from "./kv-cache-config.js";
+
+export * from "./kv-cache-engine.js";
+export * from "./kv-cache-sim.js";
+export * from "./kv-cache-solver.js";
+export * from "./kv-cache-config.js";
+export * from "./kv-cache-report.js";
+
+// A config in — partial is fine, the rest is DEFAULT_CONFIG — and what the
+// estimator makes of it out: the config as validated (fields it rejected are
+// back at their defaults and listed in `errors`), the physics, the capacity
+// state, and the TCO and storage payback for procurement "rental" or
+// "capex". Portfolio configs are costed on the portfolio's totals, as the
+// front ends do. `physics` is null, and the rest with it, when the config
+// can't be sized.
+export function estimate(raw = {}, { procurement = "rental" } = {}) {
+  const { config, errors } = parseConfig(serializeConfig(raw));
+  const physics = computePhysics(config);
+  if (!physics) return { config, errors, physics: null, portfolio: null, state: null, tco: null, investment: null };
+  const portfolio = computePortfolio(config);
+  const ex = portfolio ?? physics;
+  return {
+    config, errors, physics, portfolio,
+    state: capacityState(physics),
+    tco: computeTCO(config, ex, procurement),
+    investment: storageInvestment(ex, procurement),
+  };
+}
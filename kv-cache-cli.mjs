@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// Headless sizing runs: computePhysics over one config JSON or a CSV with a
+// workload per row, out as JSON, CSV or a Markdown table. Flags override the
+// presets and bandwidths on every workload, and the exit code is the worst
+// capacity state among them, so scripts can branch on fit / offload /
+// overload / weights that don't fit without parsing the output.
+//
+//   node kv-cache-cli.mjs opportunities.csv --gpu H200_SXM5 --format md
+//   node kv-cache-cli.mjs saved-config.json --ddn-bandwidth 400 --format json
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import {
+  GPU_PRESETS, LLM_PRESETS, FRAMEWORK_PRESETS, WEIGHT_DTYPES, KV_DTYPES, DEFAULT_CONFIG, CAPACITY_STATES,
+  computePhysics, capacityState, withFramework,
+} from "./kv-cache-engine.js";
+import { CONFIG_VERSION, parseConfig } from "./kv-cache-config.js";
+
+// Worst state wins; usage and input errors follow sysexits.h
+const EXIT_CODES = { fit: 0, offload: 10, overload: 11, nofit: 12, usage: 64, input: 65 };
+
+// Preset flags, and the config field and presets each one sets
+const PRESET_FLAGS = {
+  gpu:            { field: "gpu",         presets: GPU_PRESETS },
+  model:          { field: "llm",         presets: LLM_PRESETS },
+  framework:      { field: "framework",   presets: FRAMEWORK_PRESETS },
+  "weight-dtype": { field: "weightDtype", presets: WEIGHT_DTYPES },
+  "kv-dtype":     { field: "kvDtype",     presets: KV_DTYPES },
+};
+
+const NUMBER_FLAGS = {
+  "ddn-bandwidth": "ddnBandwidth",
+  "nas-bandwidth": "nasBandwidth",
+};
+
+// The result columns, in output order
+const COLUMNS = [
+  { key: "name",               label: "Workload" },
+  { key: "gpu",                label: "GPU" },
+  { key: "model",              label: "Model" },
+  { key: "concurrentSessions", label: "Sessions" },
+  { key: "kvPerSessionGB",     label: "KV / session (GB)" },
+  { key: "kvTotalGB",          label: "KV total (GB)" },
+  { key: "availableForKV",     label: "KV room in VRAM (GB)" },
+  { key: "kvOverflow",         label: "Overflow (GB)" },
+  { key: "restoreTimeDDN",     label: "Restore DDN (s)" },
+  { key: "restoreTimeNAS",     label: "Restore NAS (s)" },
+  { key: "restoreDemandGBps",  label: "Restore demand (GB/s)" },
+  { key: "nodesWithoutDDN",    label: "Nodes without DDN" },
+  { key: "nodesWithDDN",       label: "Nodes with DDN" },
+  { key: "nodesAvoided",       label: "Nodes avoided" },
+  { key: "ddnCapacityNeededGB", label: "DDN capacity (GB)" },
+  { key: "contractSavings",    label: "Contract savings ($)" },
+  { key: "state",              label: "State" },
+];
+
+const FORMATS = { json: toJSON, csv: toCSV, md: toMarkdown };
+
+const USAGE = `Usage: kv-cache-cli.mjs [options] [config.json | workloads.csv | -]
+
+Sizes each workload with the estimator's physics engine. A JSON file is one
+saved config; a CSV has a header of config fields (dotted for nested
+settings, e.g. facility.pue), an optional "name" column and one workload per
+row — blank cells keep the base config's value. With no file, the default
+config is sized; "-" reads stdin (JSON unless --csv).
+
+Options:
+  -f, --format <json|csv|md>  Output format (default md)
+  -o, --out <file>            Write to a file instead of stdout
+  -b, --base <config.json>    Config each CSV row starts from
+      --csv                   Read stdin as CSV
+      --gpu <key>             GPU preset (also resets the monthly rate)
+      --model <key>           Model preset or a custom model key in the config
+      --framework <key>       Serving framework (also resets its allocator settings)
+      --weight-dtype <key>    Weight precision
+      --kv-dtype <key>        KV cache precision
+      --ddn-bandwidth <GB/s>  DDN restore bandwidth
+      --nas-bandwidth <GB/s>  NAS restore bandwidth
+      --set <field=value>     Any other config field; value is JSON or text (repeatable)
+      --list                  List the preset keys and exit
+  -h, --help                  Show this help
+
+Exit codes:
+  ${EXIT_CODES.fit}   every workload fits in VRAM
+  ${EXIT_CODES.offload}  at least one offloads to DDN within the restore SLO
+  ${EXIT_CODES.overload}  at least one overloads storage
+  ${EXIT_CODES.nofit}  at least one has weights that don't fit its GPUs
+  ${EXIT_CODES.usage}  bad arguments
+  ${EXIT_CODES.input}  a config or row the estimator can't use, or an --out file it can't write
+`;
+
+class UsageError extends Error {}
+class InputError extends Error {}
+
+// ── INPUT ────────────────────────────────────────────────────────────────────
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// A cell or --set value: JSON where it parses (numbers, booleans, lists),
+// text otherwise
+function cellValue(text) {
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+// "facility.pue" → { facility: { ...base.facility, pue } }
+function assign(cfg, path, value) {
+  const [field, key] = path.split(".");
+  return key ? { ...cfg, [field]: { ...cfg[field], [key]: value } } : { ...cfg, [field]: value };
+}
+
+// The fields a row or flag sets, applied the way the front ends apply them:
+// a new GPU brings its monthly rate, a new framework its allocator settings.
+function applyFields(cfg, fields) {
+  let out = cfg;
+  for (const [path, value] of Object.entries(fields)) out = assign(out, path, value);
+  if ("gpu" in fields && !("monthlyRate" in fields) && GPU_PRESETS[out.gpu]) out = { ...out, monthlyRate: GPU_PRESETS[out.gpu].monthly };
+  if ("framework" in fields && FRAMEWORK_PRESETS[out.framework]) {
+    const { blockSize, gpuMemoryUtilization, maxBatchTokens } = out;
+    out = withFramework(out, out.framework);
+    for (const [k, v] of Object.entries({ blockSize, gpuMemoryUtilization, maxBatchTokens })) if (k in fields) out[k] = v;
+  }
+  return out;
+}
+
+// Validates a config through the shared schema. A rejected field would be
+// quietly reset to its default — fine in the browser, which says so, but a
+// batch run would size something nobody asked for, so it's an error here.
+function checked(raw, where) {
+  const { config, errors } = parseConfig(raw);
+  if (errors.length) throw new InputError(`${where}: ${errors.map(e => `${e.field} ${e.message}`).join("; ")}`);
+  return config;
+}
+
+function readInput(file) {
+  try {
+    return readFileSync(file === "-" ? 0 : file, "utf8");
+  } catch (err) {
+    throw new InputError(`Can't read ${file === "-" ? "stdin" : file}: ${err.message}`);
+  }
+}
+
+function readJSON(text, where) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new InputError(`${where} isn't valid JSON: ${err.message}`);
+  }
+}
+
+// [{ name, config }] — one per CSV row, or the single config
+function workloads(file, { base, csv }) {
+  const baseConfig = base ? checked(readJSON(readInput(base), base), base) : DEFAULT_CONFIG;
+  if (!file) return [{ name: "default", config: baseConfig }];
+
+  const text = readInput(file);
+  if (!(csv || /\.csv$/i.test(file))) {
+    return [{ name: file === "-" ? "stdin" : file.replace(/^.*[\\/]/, "").replace(/\.json$/i, ""), config: checked(readJSON(text, file), file) }];
+  }
+
+  const [header, ...rows] = parseCSV(text);
+  if (!header) throw new InputError(`${file} has no header row`);
+  const names = header.map(h => h.trim());
+  return rows.map((cells, i) => {
+    const fields = {};
+    names.forEach((h, c) => { if (h && cells[c]?.trim()) fields[h] = cellValue(cells[c].trim()); });
+    const { name = `row ${i + 1}`, ...rest } = fields;
+    const where = `${file === "-" ? "stdin" : file} row ${i + 2}`;
+    return { name: String(name), config: checked({ ...applyFields(baseConfig, rest), version: CONFIG_VERSION }, where) };
+  });
+}
+
+// ── OUTPUT ───────────────────────────────────────────────────────────────────
+
+const round = (n) => typeof n === "number" && !Number.isInteger(n) ? Math.round(n * 1000) / 1000 : n;
+
+function result(name, config) {
+  const ph = computePhysics(config);
+  const row = { name, gpu: config.gpu, model: config.llm, state: capacityState(ph) };
+  for (const { key } of COLUMNS) if (!(key in row)) row[key] = round(ph[key]);
+  return row;
+}
+
+function toJSON(rows) {
+  return JSON.stringify(rows, null, 2) + "\n";
+}
+
+function toCSV(rows) {
+  const cell = (v) => /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  return [COLUMNS.map(c => c.key), ...rows.map(r => COLUMNS.map(c => r[c.key]))].map(l => l.map(cell).join(",")).join("\n") + "\n";
+}
+
+function toMarkdown(rows) {
+  const cell = (v) => String(v).replace(/\|/g, "\\|");
+  const numeric = COLUMNS.map(c => rows.length > 0 && rows.every(r => typeof r[c.key] === "number"));
+  return [
+    `| ${COLUMNS.map(c => c.label).join(" | ")} |`,
+    `| ${numeric.map(n => n ? "---:" : "---").join(" | ")} |`,
+    ...rows.map(r => `| ${COLUMNS.map(c => cell(c.key === "state" ? CAPACITY_STATES[r.state].label : r[c.key])).join(" | ")} |`),
+  ].join("\n") + "\n";
+}
+
+function listPresets() {
+  return Object.entries(PRESET_FLAGS).map(([flag, { presets }]) =>
+    `--${flag}\n${Object.entries(presets).map(([k, v]) => `  ${k.padEnd(20)} ${v.name}`).join("\n")}`
+  ).join("\n\n") + "\n";
+}
+
+// ── MAIN ─────────────────────────────────────────────────────────────────────
+
+// Flags as config fields, checked against the presets up front so a typo
+// fails once rather than on every row
+function overrides(values) {
+  const fields = {};
+  for (const [flag, { field, presets }] of Object.entries(PRESET_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    if (!(values[flag] in presets) && field !== "llm") throw new UsageError(`--${flag} must be one of ${Object.keys(presets).join(", ")}`);
+    fields[field] = values[flag];
+  }
+  for (const [flag, field] of Object.entries(NUMBER_FLAGS)) {
+    if (values[flag] === undefined) continue;
+    const n = Number(values[flag]);
+    if (!Number.isFinite(n) || n <= 0) throw new UsageError(`--${flag} must be a positive number of GB/s`);
+    fields[field] = n;
+  }
+  for (const pair of values.set ?? []) {
+    const at = pair.indexOf("=");
+    if (at < 1) throw new UsageError(`--set expects field=value, got "${pair}"`);
+    fields[pair.slice(0, at)] = cellValue(pair.slice(at + 1));
+  }
+  return fields;
+}
+
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: "string", short: "f", default: "md" },
+        out: { type: "string", short: "o" },
+        base: { type: "string", short: "b" },
+        csv: { type: "boolean" },
+        set: { type: "string", multiple: true },
+        list: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+        ...Object.fromEntries([...Object.keys(PRESET_FLAGS), ...Object.keys(NUMBER_FLAGS)].map(f => [f, { type: "string" }])),
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = args;
+  if (values.help) { process.stdout.write(USAGE); return EXIT_CODES.fit; }
+  if (values.list) { process.stdout.write(listPresets()); return EXIT_CODES.fit; }
+  if (!FORMATS[values.format]) throw new UsageError(`--format must be one of ${Object.keys(FORMATS).join(", ")}`);
+  if (positionals.length > 1) throw new UsageError("Give one config or CSV file");
+
+  const fields = overrides(values);
+  const rows = workloads(positionals[0], values).map(({ name, config }) =>
+    result(name, checked({ ...applyFields(config, fields), version: CONFIG_VERSION }, `${name} with the flags applied`)));
+
+  const output = FORMATS[values.format](rows);
+  if (!values.out) process.stdout.write(output);
+  else {
+    try {
+      writeFileSync(values.out, output);
+    } catch (err) {
+      throw new InputError(`Can't write ${values.out}: ${err.message}`);
+    }
+  }
+  return Math.max(EXIT_CODES.fit, ...rows.map(r => EXIT_CODES[r.state]));
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  if (!(err instanceof UsageError || err instanceof InputError)) throw err;
+  process.stderr.write(`kv-cache-cli: ${err.message}\n`);
+  if (err instanceof UsageError) process.stderr.write("Run with --help for usage.\n");
+  process.exitCode = err instanceof UsageError ? EXIT_CODES.usage : EXIT_CODES.input;
+}
@@ -0,0 +1,27 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("./kv-cache-cli.mjs", import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 30_000 });
+
+describe("kv-cache-cli", () => {
+  test("exit code is the worst capacity state", () => {
+    assert.equal(run("--concurrent-sessions", "1").status, 64, "unknown flag");
+    assert.equal(run("--set", "concurrentSessions=1").status, 0);
+    assert.equal(run("--set", "concurrentSessions=5000").status, 11);
+  });
+
+  test("weights that don't fit are their own state", () => {
+    const r = run("--gpu", "L40S_single", "--model", "llama3_405b", "--format", "json");
+    assert.equal(r.status, 12);
+    assert.equal(JSON.parse(r.stdout)[0].state, "nofit");
+  });
+
+  test("an --out file it can't write is an input error", () => {
+    const r = run("-o", "/nonexistent/dir/out.md");
+    assert.equal(r.status, 65);
+    assert.match(r.stderr, /Can't write \/nonexistent\/dir\/out\.md/);
+  });
+});
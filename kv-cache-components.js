@@ -0,0 +1,200 @@
+// Standalone React components for hosts embedding the estimator: the VRAM
+// composition bar, the restore-time card and the storage savings chart. Each
+// is controlled — it renders the `config` prop (partial is fine; the rest is
+// DEFAULT_CONFIG) and reports edits to its own control through
+// onChange(nextConfig), the host's config with that one field changed. Looks
+// come from a `theme` prop over DEFAULT_THEME. Written with createElement
+// rather than JSX so the module runs as shipped, with React and Recharts as
+// the host's own dependencies.
+
+import { createElement as h, useMemo, useState } from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine } from "recharts";
+import { CAPACITY_STATES, DEFAULT_STORAGE_PRICING } from "./kv-cache-engine.js";
+import { estimate } from "./kv-cache-api.js";
+
+export const DEFAULT_THEME = {
+  background: "#0f172a",
+  surface: "#1e293b",
+  border: "#334155",
+  text: "#f8fafc",
+  muted: "#94a3b8",
+  accent: "#22d3ee",   // DDN, and the host's brand colour when it sets one
+  warning: "#f59e0b",  // NAS
+  danger: "#ef4444",
+  positive: "#22c55e",
+  font: "system-ui, -apple-system, 'Segoe UI', sans-serif",
+  mono: "ui-monospace, 'SF Mono', Menlo, monospace",
+  radius: 12,
+};
+
+// Segments of physics.hbm, in the order they are drawn
+const HBM_SEGMENTS = [
+  { key: "weights",       label: "Model weights",        color: "#2563eb" },
+  { key: "activations",   label: "Activation workspace", color: "#6366f1" },
+  { key: "cudaGraphs",    label: "CUDA graphs",          color: "#8b5cf6" },
+  { key: "kv",            label: "KV cache in VRAM",     color: "#f59e0b" },
+  { key: "fragmentation", label: "Block fragmentation",  color: "#c2410c" },
+  { key: "reserved",      label: "Reserved headroom",    color: "#64748b" },
+];
+
+const fmt = {
+  gb: (n) => n < 1 ? `${(n * 1024).toFixed(0)} MB` : `${n.toFixed(1)} GB`,
+  ms: (n) => n < 1 ? `${(n * 1000).toFixed(0)} ms` : `${n.toFixed(2)} s`,
+  usd: (n) => Math.abs(n) >= 1e6 ? `$${(n / 1e6).toFixed(2)}M` : `$${Math.round(n).toLocaleString()}`,
+};
+
+// estimate() for a config, recomputed only when the config or procurement does
+export function useEstimate(config, procurement = "rental") {
+  return useMemo(() => estimate(config, { procurement }), [config, procurement]);
+}
+
+const useTheme = (theme) => useMemo(() => ({ ...DEFAULT_THEME, ...theme }), [theme]);
+
+function Card({ t, title, subtitle, className, style, children }) {
+  return h("section", {
+    className,
+    style: { background: t.surface, color: t.text, fontFamily: t.font, border: `1px solid ${t.border}`, borderRadius: t.radius, padding: 16, ...style },
+  },
+    h("div", { style: { fontSize: 14, fontWeight: 700, marginBottom: 2 } }, title),
+    subtitle && h("div", { style: { fontSize: 12, color: t.muted, marginBottom: 12 } }, subtitle),
+    ...[].concat(children));
+}
+
+function Unsized({ t, title, className, style }) {
+  return h(Card, { t, title, className, style }, h("div", { style: { fontSize: 12, color: t.danger } }, "This configuration can't be sized — check the GPU and model."));
+}
+
+// The draft behind a number input. Typing edits text, so the field can be
+// cleared or hold a half-typed value; on blur or Enter an in-range draft
+// (rounded when the field takes whole numbers) is reported and anything else
+// goes back to `value`. Escape drops the draft. An optional field reports a
+// cleared draft as null. Spread `inputProps` onto the <input>.
+export function useNumberDraft({ value, min = -Infinity, max = Infinity, integer = false, optional = false, onChange }) {
+  const [draft, setDraft] = useState(null); // null when not editing
+  const cleared = draft !== null && draft.trim() === "";
+  const parsed = draft === null || cleared ? NaN : integer ? Math.round(+draft) : +draft;
+  const valid = (optional && cleared) || (parsed >= min && parsed <= max);
+  const commit = () => {
+    if (draft === null) return;
+    setDraft(null);
+    const next = cleared ? null : parsed;
+    if (valid && next !== value) onChange(next);
+  };
+  return {
+    invalid: draft !== null && !valid,
+    inputProps: {
+      type: "number",
+      value: draft ?? value ?? "",
+      "aria-invalid": draft !== null && !valid,
+      onChange: (e) => setDraft(e.target.value),
+      onBlur: commit,
+      onKeyDown: (e) => { if (e.key === "Enter") commit(); else if (e.key === "Escape") setDraft(null); },
+    },
+  };
+}
+
+// A labelled number input over useNumberDraft
+function NumberField({ t, label, value, min, max, step = 1, integer = false, unit, onChange }) {
+  const { invalid, inputProps } = useNumberDraft({ value, min, max, integer, onChange });
+  return h("label", { style: { display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: t.muted, marginTop: 12 } },
+    label,
+    h("input", {
+      ...inputProps, min, max, step,
+      style: { width: 96, background: t.background, color: t.text, border: `1px solid ${invalid ? t.danger : t.border}`, borderRadius: 6, padding: "4px 8px", fontFamily: t.mono, fontSize: 12 },
+    }),
+    unit);
+}
+
+function Bar({ t, label, value, width, color }) {
+  return h("div", { style: { marginBottom: 12 } },
+    h("div", { style: { display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 4 } },
+      h("span", { style: { color } }, label),
+      h("span", { style: { fontFamily: t.mono } }, value)),
+    h("div", { style: { height: 8, background: t.border, borderRadius: 4, overflow: "hidden" } },
+      h("div", { style: { height: "100%", width, background: color, borderRadius: 4 } })));
+}
+
+// ── VRAM COMPOSITION ─────────────────────────────────────────────────────────
+
+// How one replica set's HBM is spent, with any KV that doesn't fit shown as
+// overflow. Its control is the concurrent session count.
+export function VramCompositionBar({ config, onChange, theme, className, style }) {
+  const t = useTheme(theme);
+  const { config: cfg, physics: ph } = useEstimate(config);
+  if (!ph) return h(Unsized, { t, title: "GPU memory", className, style });
+  const pct = (gb) => `${(gb / ph.physicalVRAM) * 100}%`;
+  const overflow = ph.kvOverflow > 0;
+
+  return h(Card, { t, title: "GPU memory", subtitle: `${fmt.gb(ph.physicalVRAM)} across ${ph.deployedGPUs} × ${ph.gpu.name}`, className, style },
+    h("div", { style: { display: "flex", height: 36, borderRadius: 8, overflow: "hidden", border: `1px solid ${t.border}` } },
+      ...HBM_SEGMENTS.map(s => h("div", { key: s.key, title: `${s.label}: ${fmt.gb(ph.hbm[s.key])}`, style: { width: pct(ph.hbm[s.key]), background: s.color, flexShrink: 0 } })),
+      h("div", {
+        style: { flex: 1, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 11, fontWeight: 700, background: overflow ? t.danger : t.background, color: overflow ? "#fff" : t.muted },
+      }, overflow ? "Overflow" : "Free")),
+    h("div", { style: { display: "flex", flexWrap: "wrap", gap: "6px 14px", marginTop: 10, fontSize: 11 } },
+      ...[...HBM_SEGMENTS.map(s => [s.label, s.color, fmt.gb(ph.hbm[s.key])]), ["KV overflow", t.danger, overflow ? fmt.gb(ph.kvOverflow) : "None"]].map(([label, color, value]) =>
+        h("span", { key: label, style: { display: "flex", alignItems: "center", gap: 5 } },
+          h("span", { style: { width: 9, height: 9, borderRadius: 2, background: color } }),
+          h("span", { style: { color: t.muted } }, `${label}:`),
+          h("span", { style: { fontFamily: t.mono } }, value)))),
+    onChange && h(NumberField, {
+      t, label: "Concurrent sessions", value: cfg.concurrentSessions, min: 0, max: 1_000_000, integer: true, unit: "sessions",
+      onChange: (v) => onChange({ ...config, concurrentSessions: v }),
+    }));
+}
+
+// ── RESTORE TIME ─────────────────────────────────────────────────────────────
+
+// Time to bring one offloaded session's KV back into HBM from NAS and from
+// DDN, and the capacity state that follows. Its control is the DDN bandwidth.
+export function RestoreTimeCard({ config, onChange, theme, className, style }) {
+  const t = useTheme(theme);
+  const { config: cfg, physics: ph, state } = useEstimate(config);
+  if (!ph) return h(Unsized, { t, title: "Context restore time", className, style });
+  const stateColor = { fit: t.positive, offload: t.accent, overload: t.danger, nofit: t.danger }[state];
+
+  return h(Card, { t, title: "Context restore time", subtitle: `${fmt.gb(ph.kvRestorePerSessionGB)} of KV per session`, className, style },
+    h(Bar, { t, label: `Standard NAS (${cfg.nasBandwidth} GB/s)`, value: fmt.ms(ph.restoreTimeNAS), width: "100%", color: t.warning }),
+    h(Bar, { t, label: `DDN AI Fabric (${cfg.ddnBandwidth} GB/s)`, value: fmt.ms(ph.restoreTimeDDN), width: `${Math.max(2, (ph.restoreTimeDDN / ph.restoreTimeNAS) * 100)}%`, color: t.accent }),
+    h("div", { style: { display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 12 } },
+      h("span", { style: { color: t.muted } }, `${(cfg.ddnBandwidth / cfg.nasBandwidth).toFixed(0)}× faster, ${fmt.ms(ph.restoreTimeNAS - ph.restoreTimeDDN)} saved per restore`),
+      h("span", { style: { color: stateColor, fontWeight: 700 } }, CAPACITY_STATES[state].label)),
+    onChange && h(NumberField, {
+      t, label: "DDN bandwidth", value: cfg.ddnBandwidth, min: 1, max: 100_000, unit: "GB/s",
+      onChange: (v) => onChange({ ...config, ddnBandwidth: v }),
+    }));
+}
+
+// ── SAVINGS ──────────────────────────────────────────────────────────────────
+
+// Cumulative GPU savings against the storage's cost over its term, for
+// procurement "rental" or "capex". Its control is the storage term.
+export function SavingsChart({ config, onChange, theme, procurement = "rental", height = 220, className, style }) {
+  const t = useTheme(theme);
+  const { config: cfg, physics: ph, investment: inv } = useEstimate(config, procurement);
+  if (!ph) return h(Unsized, { t, title: "Savings with DDN", className, style });
+  const data = inv.months.map(m => ({ month: m.month, "GPU savings": Math.round(m.savings), "Storage cost": Math.round(m.storageCost), Net: Math.round(m.net) }));
+  const tick = { fill: t.muted, fontSize: 10, fontFamily: t.mono };
+  const termMonths = cfg.storagePricing?.termMonths ?? DEFAULT_STORAGE_PRICING.termMonths;
+
+  return h(Card, {
+    t, title: "Savings with DDN",
+    subtitle: `${procurement === "capex" ? "GPUs bought" : "GPUs rented"} · ${inv.breakEvenMonth === null ? "no break-even in term" : `breaks even in month ${inv.breakEvenMonth}`} · NPV ${fmt.usd(inv.npv)}`,
+    className, style,
+  },
+    h(ResponsiveContainer, { width: "100%", height },
+      h(LineChart, { data, margin: { top: 5, right: 10, bottom: 0, left: 10 } },
+        h(CartesianGrid, { strokeDasharray: "3 3", stroke: t.border }),
+        h(XAxis, { dataKey: "month", tick, stroke: t.border }),
+        h(YAxis, { tick, stroke: t.border, tickFormatter: fmt.usd }),
+        h(Tooltip, { formatter: (v) => fmt.usd(v), labelFormatter: (m) => `Month ${m}`, contentStyle: { background: t.background, border: `1px solid ${t.border}`, color: t.text, fontSize: 12 } }),
+        h(Legend, { wrapperStyle: { fontSize: 11, color: t.muted } }),
+        h(ReferenceLine, { y: 0, stroke: t.muted }),
+        h(Line, { type: "monotone", dataKey: "GPU savings", stroke: t.positive, strokeWidth: 2, dot: false }),
+        h(Line, { type: "monotone", dataKey: "Storage cost", stroke: t.warning, strokeWidth: 2, dot: false }),
+        h(Line, { type: "monotone", dataKey: "Net", stroke: t.accent, strokeWidth: 2, dot: false }))),
+    onChange && h(NumberField, {
+      t, label: "Storage term", value: termMonths, min: 1, max: 120, integer: true, unit: "months",
+      onChange: (v) => onChange({ ...config, storagePricing: { ...config?.storagePricing, termMonths: v } }),
+    }));
+}
@@ -0,0 +1,268 @@
+// The saved-config schema shared by both front ends: a version number,
+// migrations that bring older exports (and index.html's own field names) up
+// to date, and range / enum validation. parseConfig is the one way a config
+// from outside — a file, a link, localStorage, the library — gets into state.
+
+import {
+  GPU_PRESETS, LLM_PRESETS, FRAMEWORK_PRESETS, WEIGHT_DTYPES, KV_DTYPES, KV_TIERS, TIER_FIELDS,
+  STORAGE_PERFORMANCE_TIERS, SUPPORT_TERMS, PRICING_MODELS, TOKEN_COST_BASES, DEFAULT_FACILITY,
+  DEFAULT_CONFIG, PROFILE_LENGTHS, HEATMAP_AXES, validateModel, withFramework,
+} from "./kv-cache-engine.js";
+import { ARRIVAL_PATTERNS, EVICTION_POLICIES, SIM_TIERS } from "./kv-cache-sim.js";
+
+// ── VERSIONS ─────────────────────────────────────────────────────────────────
+
+// 0 — anything without a version: the JSX app's and index.html's exports
+//     from before the schema, including index.html's original field names.
+// 1 — engine field names throughout; every export carries `version`.
+export const CONFIG_VERSION = 1;
+
+// Preset keys index.html used before it shared kv-cache-engine.js
+const LEGACY_KEYS = {
+  gpu: { H100: "H100_SXM5_single", A100: "A100_SXM4_single", L40S: "L40S_single" },
+  llm: { "Llama-3-8B": "llama3_8b", "Llama-3-70B": "llama3_70b", "Llama-3-405B": "llama3_405b", "Mixtral-8x7B": "mixtral_8x7b", "Mixtral-8x22B": "mixtral_8x22b" },
+  framework: { trtllm: "tensorrt" },
+};
+
+// MIGRATIONS[n] takes a version-n config to version n + 1.
+const MIGRATIONS = [
+  (raw) => {
+    const { concurrency, precision, ...c } = raw;
+    if (concurrency != null && c.concurrentSessions == null) c.concurrentSessions = concurrency;
+    if (precision != null && c.weightDtype == null) c.weightDtype = precision;
+    for (const [field, map] of Object.entries(LEGACY_KEYS)) if (map[c[field]]) c[field] = map[c[field]];
+    // A renamed GPU brings its own rate and spans its own GPUs unless the
+    // export said otherwise — index.html's GPUs were all single cards
+    if (c.gpu !== raw.gpu) {
+      if (c.monthlyRate == null) c.monthlyRate = GPU_PRESETS[c.gpu]?.monthly;
+      if (c.tensorParallel == null) c.tensorParallel = GPU_PRESETS[c.gpu]?.gpus;
+    }
+    // Exports from before the allocator settings take the framework's
+    if (c.blockSize == null && FRAMEWORK_PRESETS[c.framework]) return withFramework(c, c.framework);
+    return c;
+  },
+];
+
+// Brings a parsed export up to CONFIG_VERSION. Fields it doesn't know are
+// left for validation to judge.
+export function migrateConfig(raw) {
+  const from = Number.isInteger(raw.version) ? raw.version : 0;
+  if (from > CONFIG_VERSION) throw new Error(`This configuration was saved by a newer version of the estimator (schema ${from}; this one reads up to ${CONFIG_VERSION})`);
+  let cfg = raw;
+  for (let v = from; v < CONFIG_VERSION; v++) cfg = MIGRATIONS[v](cfg);
+  return { ...cfg, version: CONFIG_VERSION };
+}
+
+// ── VALIDATION ───────────────────────────────────────────────────────────────
+
+// A rule returns null when the value is fine, or what is wrong with it.
+const range = (min, max, { integer = false } = {}) => (v) =>
+  typeof v !== "number" || !Number.isFinite(v) ? "must be a number"
+  : integer && !Number.isInteger(v) ? "must be a whole number"
+  : v < min || v > max ? `must be between ${min} and ${max}`
+  : null;
+const oneOf = (keys) => (v) => keys.includes(v) ? null : `must be one of ${keys.join(", ")}`;
+const keyOf = (presets) => (v) => oneOf(Object.keys(presets))(v);
+const optional = (rule) => (v) => v == null ? null : rule(v);
+
+const COUNT = 10_000_000;
+
+// Rules for the fields of the config's nested settings objects; like the
+// top-level rules, they also get the config
+const NESTED_RULES = {
+  simulation: {
+    arrivals: keyOf(ARRIVAL_PATTERNS),
+    arrivalRatePerMin: optional(range(0, COUNT)),
+    burstFactor: range(1, 100),
+    burstDuty: range(0, 1),
+    burstPeriodSec: range(1, 86_400),
+    turnsPerSession: range(1, 1000, { integer: true }),
+    thinkTimeSec: range(0, 86_400),
+    eviction: keyOf(EVICTION_POLICIES),
+    restoreTier: keyOf(SIM_TIERS),
+    durationMin: range(1, 1440),
+    seed: range(0, 2 ** 32, { integer: true }),
+  },
+  slo: {
+    ttftP99Sec: range(0.001, 3600),
+    tpotSec: range(0.0001, 60),
+    results: range(1, 100, { integer: true }),
+  },
+  forecast: {
+    months: range(1, 120, { integer: true }),
+    sessionGrowthPct: range(-100, 1000),
+    contextGrowthPct: range(-100, 1000),
+    upgrades: (v, cfg) => !Array.isArray(v) ? "must be a list"
+      : v.some(u => !u || !Number.isInteger(u.month) || u.month < 1 || typeof u.llm !== "string") ? "every upgrade needs a month from 1 and a model"
+      : v.some(u => modelRule(cfg)(u.llm)) ? "every upgrade's model must be a preset or custom model"
+      : null,
+  },
+  storagePricing: {
+    model: keyOf(PRICING_MODELS),
+    performanceTier: oneOf(["auto", ...Object.keys(STORAGE_PERFORMANCE_TIERS)]),
+    capacityTB: optional(range(0, COUNT)),
+    termMonths: range(1, 120, { integer: true }),
+    support: keyOf(SUPPORT_TERMS),
+    discountRatePct: range(0, 100),
+  },
+  facility: {
+    ...Object.fromEntries(Object.keys(DEFAULT_FACILITY).map(k => [k, range(0, COUNT)])),
+    pue: range(1, 5),
+    rackUnitsPerRack: range(1, 100),
+    kWPerRack: range(0.1, 1000),
+  },
+  tokenPricing: {
+    costBasis: keyOf(TOKEN_COST_BASES),
+    apiInputPer1M: range(0, 10_000),
+    apiOutputPer1M: range(0, 10_000),
+  },
+  sensitivity: {
+    swingPct: range(1, 100),
+    rowField: oneOf(HEATMAP_AXES),
+    colField: oneOf(HEATMAP_AXES),
+  },
+};
+
+const modelRule = (cfg) => (v) => LLM_PRESETS[v] || cfg.customModels?.[v] ? null : "must be a preset or custom model";
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const portfolioLine = (cfg) => (l) => {
+  if (!isObject(l)) return "must be an object";
+  if (typeof l.name !== "string") return "needs a name";
+  const checks = [
+    ["model", modelRule(cfg), l.llm],
+    ["input tokens", range(1, COUNT, { integer: true }), l.inputTokens],
+    ["output tokens", range(0, COUNT, { integer: true }), l.outputTokens],
+    ["sessions", range(0, COUNT, { integer: true }), l.concurrentSessions],
+    ["weight", optional(range(0, 100)), l.weight],
+  ];
+  for (const [label, rule, v] of checks) {
+    const message = rule(v);
+    if (message) return `${label} ${message}`;
+  }
+  return null;
+};
+
+const kvTier = (t) =>
+  !t || !KV_TIERS[t.tier] ? `tier must be one of ${Object.keys(KV_TIERS).join(", ")}`
+  : TIER_FIELDS.filter(f => t[f.key] != null && range(f.min, Infinity)(t[f.key])).map(f => `${f.label} must be ${f.min > 0 ? "a positive" : "a non-negative"} number`)[0] ?? null;
+
+// Rules for the plain top-level fields
+const FIELD_RULES = {
+  version: range(CONFIG_VERSION, CONFIG_VERSION),
+  gpu: keyOf(GPU_PRESETS),
+  llm: (v, cfg) => modelRule(cfg)(v),
+  framework: keyOf(FRAMEWORK_PRESETS),
+  blockSize: range(1, 1024, { integer: true }),
+  gpuMemoryUtilization: range(0.05, 1),
+  maxBatchTokens: range(1, COUNT, { integer: true }),
+  weightDtype: keyOf(WEIGHT_DTYPES),
+  kvDtype: keyOf(KV_DTYPES),
+  tensorParallel: range(1, 64, { integer: true }),
+  pipelineParallel: range(1, 64, { integer: true }),
+  replicas: range(1, 100_000, { integer: true }),
+  inputTokens: range(1, COUNT, { integer: true }),
+  outputTokens: range(0, COUNT, { integer: true }),
+  concurrentSessions: range(0, COUNT, { integer: true }),
+  ddnBandwidth: range(0.001, 100_000),
+  nasBandwidth: range(0.001, 100_000),
+  monthlyRate: range(0, 1e9),
+  contractMonths: range(1, 120, { integer: true }),
+  sharedPrefixTokens: range(0, COUNT, { integer: true }),
+  ragOverlap: range(0, 1),
+  multiTurnReuse: range(0, 1),
+  loadProfile: (v) => !Array.isArray(v) || !PROFILE_LENGTHS.includes(v.length) ? `must be a list of ${PROFILE_LENGTHS.join(" or ")} values`
+    : v.some(x => range(0, 1)(x)) ? "every hour must be a share between 0 and 1"
+    : null,
+  sessionTurnoverPerHour: range(0, 10_000),
+  avgSessionTimeSec: range(0.001, 86_400),
+  ddnResidentFraction: range(0, 1),
+  // UI state the front ends keep in the config
+  configMode: (v) => typeof v === "string" ? null : "must be text",
+  activeScenario: (v) => v === null || typeof v === "string" ? null : "must be text",
+};
+
+// List fields are checked entry by entry, so one bad workload or tier
+// doesn't cost the rest
+const LIST_RULES = {
+  kvTiers: () => kvTier,
+  portfolio: portfolioLine,
+};
+
+// Every problem with a migrated config, as { field, message }; a field in a
+// list or settings object is named like "portfolio[2]" or "slo.tpotSec". An
+// empty list means parseConfig keeps the config as it is.
+export function validateConfig(cfg) {
+  const errors = [];
+  const customModels = cfg.customModels ?? {};
+  if (!isObject(customModels)) errors.push({ field: "customModels", message: "must be an object" });
+  else for (const [key, m] of Object.entries(customModels)) {
+    const problems = isObject(m) ? validateModel(m) : ["must be an object"];
+    if (problems.length) errors.push({ field: `customModels.${key}`, message: problems.join("; ") });
+  }
+  // Models that failed are dropped, so nothing may point at them
+  const valid = { ...cfg, customModels: Object.fromEntries(Object.entries(customModels).filter(([k]) => !errors.some(e => e.field === `customModels.${k}`))) };
+
+  for (const [field, v] of Object.entries(cfg)) {
+    if (field === "customModels") continue;
+    if (LIST_RULES[field]) {
+      if (!Array.isArray(v)) { errors.push({ field, message: "must be a list" }); continue; }
+      const rule = LIST_RULES[field](valid);
+      v.forEach((entry, i) => {
+        const message = rule(entry);
+        if (message) errors.push({ field: `${field}[${i}]`, message });
+      });
+    } else if (NESTED_RULES[field]) {
+      if (!isObject(v)) { errors.push({ field, message: "must be an object" }); continue; }
+      const rules = NESTED_RULES[field];
+      for (const [k, x] of Object.entries(v)) {
+        const message = rules[k] ? rules[k](x, valid) : "is not a setting this estimator knows";
+        if (message) errors.push({ field: `${field}.${k}`, message });
+      }
+    } else if (!FIELD_RULES[field]) {
+      errors.push({ field, message: "is not a setting this estimator knows" });
+    } else {
+      const message = FIELD_RULES[field](v, valid);
+      if (message) errors.push({ field, message });
+    }
+  }
+  return errors;
+}
+
+// ── LOADING ──────────────────────────────────────────────────────────────────
+
+// Migrates and validates anything parsed from outside. Rejected fields fall
+// back to their defaults (rejected list entries and custom models are
+// dropped) and come back in `errors` for the UI to show. Throws only when
+// the input isn't a config at all.
+export function parseConfig(raw, defaults = DEFAULT_CONFIG) {
+  if (!isObject(raw)) throw new Error("This file isn't an estimator configuration (expected a JSON object)");
+  const fromVersion = Number.isInteger(raw.version) ? raw.version : 0;
+  const migrated = migrateConfig(raw);
+  const errors = validateConfig(migrated);
+
+  const config = { ...defaults, ...migrated };
+  const rejected = (field) => errors.some(e => e.field === field);
+  for (const field of Object.keys(migrated)) {
+    if (rejected(field)) {
+      if (field in defaults) config[field] = defaults[field];
+      else delete config[field];
+    } else if (LIST_RULES[field]) {
+      config[field] = migrated[field].filter((_, i) => !rejected(`${field}[${i}]`));
+    } else if (NESTED_RULES[field]) {
+      config[field] = Object.fromEntries(Object.entries(migrated[field]).filter(([k]) => !rejected(`${field}.${k}`)));
+    }
+  }
+  if (isObject(migrated.customModels)) {
+    config.customModels = Object.fromEntries(Object.entries(migrated.customModels).filter(([k]) => !rejected(`customModels.${k}`)));
+  } else {
+    config.customModels = defaults.customModels ?? {};
+  }
+  return { config, errors, fromVersion };
+}
+
+// What gets written to a file, a link or the library
+export function serializeConfig(cfg) {
+  return { ...cfg, version: CONFIG_VERSION };
+}
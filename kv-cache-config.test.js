@@ -0,0 +1,67 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONFIG, GPU_PRESETS, LLM_PRESETS, FRAMEWORK_PRESETS, computePhysics } from "./kv-cache-engine.js";
+import { CONFIG_VERSION, parseConfig } from "./kv-cache-config.js";
+
+describe("parseConfig", () => {
+  test("brings an index.html export up to date", () => {
+    const raw = { gpu: "H100", llm: "Llama-3-70B", framework: "trtllm", precision: "fp8", concurrency: 50, inputTokens: 8000, outputTokens: 1000 };
+    const { config, errors, fromVersion } = parseConfig(raw);
+    assert.deepEqual(errors, []);
+    assert.equal(fromVersion, 0);
+    assert.equal(config.version, CONFIG_VERSION);
+    assert.equal(config.gpu, "H100_SXM5_single");
+    assert.equal(config.llm, "llama3_70b");
+    assert.equal(config.framework, "tensorrt");
+    assert.equal(config.weightDtype, "fp8");
+    assert.equal(config.concurrentSessions, 50);
+    assert.ok(!("concurrency" in config) && !("precision" in config));
+    // the single card sets the rate, the shard and the allocator
+    assert.equal(config.monthlyRate, GPU_PRESETS.H100_SXM5_single.monthly);
+    assert.equal(config.tensorParallel, 1);
+    assert.equal(config.blockSize, FRAMEWORK_PRESETS.tensorrt.blockSize);
+    assert.equal(computePhysics(config).deployedGPUs, 1);
+  });
+
+  test("keeps an export's own rate and sharding through the rename", () => {
+    const { config } = parseConfig({ gpu: "H100", monthlyRate: 9000, tensorParallel: 2 });
+    assert.equal(config.monthlyRate, 9000);
+    assert.equal(config.tensorParallel, 2);
+  });
+
+  test("refuses a config from a newer version", () => {
+    assert.throws(() => parseConfig({ ...DEFAULT_CONFIG, version: CONFIG_VERSION + 1 }), /newer version/);
+    assert.throws(() => parseConfig([DEFAULT_CONFIG]), /isn't an estimator configuration/);
+  });
+
+  test("falls back to the default for a bad field", () => {
+    const { config, errors } = parseConfig({ ...DEFAULT_CONFIG, version: CONFIG_VERSION, concurrentSessions: -5, gpu: "TPUv9", surprise: 1 });
+    assert.deepEqual(errors.map(e => e.field).sort(), ["concurrentSessions", "gpu", "surprise"]);
+    assert.equal(config.concurrentSessions, DEFAULT_CONFIG.concurrentSessions);
+    assert.equal(config.gpu, DEFAULT_CONFIG.gpu);
+    assert.ok(!("surprise" in config));
+  });
+
+  test("checks forecast upgrades against the models it knows", () => {
+    const customModels = { custom_mini: { ...LLM_PRESETS.llama3_8b, name: "Mini" } };
+    const forecast = (llm) => ({ ...DEFAULT_CONFIG, version: CONFIG_VERSION, customModels, forecast: { months: 12, upgrades: [{ month: 6, llm }] } });
+    assert.deepEqual(parseConfig(forecast("custom_mini")).errors, []);
+    const { config, errors } = parseConfig(forecast("gpt_9"));
+    assert.deepEqual(errors.map(e => e.field), ["forecast.upgrades"]);
+    assert.deepEqual(config.forecast, { months: 12 });
+  });
+
+  test("drops bad list entries and keeps the rest", () => {
+    const portfolio = [
+      { name: "Chat", llm: "llama3_8b", inputTokens: 2000, outputTokens: 500, concurrentSessions: 100 },
+      { name: "Ghost", llm: "no_such_model", inputTokens: 2000, outputTokens: 500, concurrentSessions: 100 },
+      { name: "RAG", llm: "llama3_70b", inputTokens: 0, outputTokens: 500, concurrentSessions: 10 },
+    ];
+    const kvTiers = [{ tier: "dram", latencySec: 0 }, { tier: "tape" }, { tier: "nvme", capacityGB: -1 }, { tier: "nvme", bandwidthGBps: 0 }, { tier: "ddn" }];
+    const { config, errors } = parseConfig({ ...DEFAULT_CONFIG, version: CONFIG_VERSION, portfolio, kvTiers });
+    assert.deepEqual(errors.map(e => e.field), ["kvTiers[1]", "kvTiers[2]", "kvTiers[3]", "portfolio[1]", "portfolio[2]"]);
+    assert.equal(errors[2].message, "Bandwidth (GB/s) must be a positive number");
+    assert.deepEqual(config.portfolio, [portfolio[0]]);
+    assert.deepEqual(config.kvTiers, [kvTiers[0], kvTiers[4]]);
+  });
+});
@@ -0,0 +1,1467 @@
+// KV Cache sizing engine shared by kv-cache-estimator.jsx and index.html.
+// Pure functions over a plain config object — no React, no DOM — so both
+// front ends (and anything else) get identical numbers for the same workload.
+
+// ── PRESETS ──────────────────────────────────────────────────────────────────
+
+// vram is per node (gpus × per-GPU HBM); prices are per node, and so are
+// tdpKW and rackUnits — single-GPU presets carry one GPU's share of a node.
+// Compute and bandwidth are per GPU: dense tensor TFLOPS (no sparsity) and
+// HBM bandwidth in GB/s. tflopsFP8 is null where the GPU has no FP8 path.
+const H100 = { hbmBandwidth: 3350, tflopsFP16: 989, tflopsFP8: 1979 };
+const H200 = { hbmBandwidth: 4800, tflopsFP16: 989, tflopsFP8: 1979 };
+const A100 = { hbmBandwidth: 2039, tflopsFP16: 312, tflopsFP8: null };
+const L40S = { hbmBandwidth: 864,  tflopsFP16: 362, tflopsFP8: 733 };
+
+export const GPU_PRESETS = {
+  H100_SXM5: { name: "H100 SXM5 (8× node)", gpus: 8, vram: 640, hourly: 32, capex: 400000, monthly: 85000, tdpKW: 10.2, rackUnits: 8, dtype: "H100 SXM5 8×GPU", ...H100 },
+  H200_SXM5: { name: "H200 SXM5 (8× node)", gpus: 8, vram: 1128, hourly: 48, capex: 600000, monthly: 130000, tdpKW: 10.2, rackUnits: 8, dtype: "H200 SXM5 8×GPU", ...H200 },
+  A100_SXM4: { name: "A100 SXM4 (8× node)", gpus: 8, vram: 640, hourly: 20, capex: 280000, monthly: 55000, tdpKW: 6.5, rackUnits: 6, dtype: "A100 SXM4 8×GPU", ...A100 },
+  L40S_8x:   { name: "L40S (8× node)",       gpus: 8, vram: 384, hourly: 12, capex: 160000, monthly: 32000, tdpKW: 5.2, rackUnits: 4, dtype: "L40S 8×GPU", ...L40S },
+  H100_SXM5_single: { name: "H100 SXM5 (single GPU)", gpus: 1, vram: 80, hourly: 4,  capex: 50000, monthly: 10625, tdpKW: 1.28, rackUnits: 1,    dtype: "H100 SXM5", ...H100 },
+  A100_SXM4_single: { name: "A100 SXM4 (single GPU)", gpus: 1, vram: 80, hourly: 2.5,capex: 35000, monthly: 6875,  tdpKW: 0.81, rackUnits: 0.75, dtype: "A100 SXM4", ...A100 },
+  L40S_single:      { name: "L40S (single GPU)",       gpus: 1, vram: 48, hourly: 1.5,capex: 20000, monthly: 4000,  tdpKW: 0.65, rackUnits: 0.5,  dtype: "L40S", ...L40S },
+};
+
+// head_dim is authoritative; hidden / heads is only the fallback for models
+// that don't publish it (see headDim below). Models without an `attention`
+// list use full GQA attention on every layer (see attentionGroups below).
+// active_params (MoE only) is what one token runs through; params is what HBM holds.
+export const LLM_PRESETS = {
+  llama3_8b:   { name: "Llama 3 8B",    params: 8,   layers: 32,  hidden: 4096,  heads: 32,  kv_heads: 8,  head_dim: 128, vocab: 128256, max_context: 131072 },
+  llama3_70b:  { name: "Llama 3 70B",   params: 70,  layers: 80,  hidden: 8192,  heads: 64,  kv_heads: 8,  head_dim: 128, vocab: 128256, max_context: 131072 },
+  llama3_405b: { name: "Llama 3 405B",  params: 405, layers: 126, hidden: 16384, heads: 128, kv_heads: 8,  head_dim: 128, vocab: 128256, max_context: 131072 },
+  mixtral_8x7b:{ name: "Mixtral 8×7B",  params: 47,  active_params: 13, layers: 32,  hidden: 4096,  heads: 32,  kv_heads: 8,  head_dim: 128, vocab: 32000,  max_context: 32768 },
+  mixtral_8x22b:{ name: "Mixtral 8×22B",params: 141, active_params: 39, layers: 56,  hidden: 6144,  heads: 48,  kv_heads: 8,  head_dim: 128, vocab: 32768,  max_context: 65536 },
+  gemma2_27b:  { name: "Gemma 2 27B",   params: 27,  layers: 46,  hidden: 4608,  heads: 32,  kv_heads: 16, head_dim: 128, vocab: 256000, max_context: 8192,
+                 attention: [{ type: "sliding", layers: 23, window: 4096 }, { type: "full", layers: 23 }] },
+  deepseek_v3: { name: "DeepSeek V3",   params: 671, active_params: 37, layers: 61,  hidden: 7168,  heads: 128, kv_heads: 128, head_dim: 192, vocab: 129280, max_context: 163840,
+                 attention: [{ type: "mla", layers: 61, kv_lora_rank: 512, rope_dim: 64 }] },
+};
+
+// Per-layer-group attention. full = GQA over the whole context; sliding =
+// GQA over the last `window` tokens; mla = one compressed latent per token
+// (kv_lora_rank + rope_dim wide) shared by all heads instead of K and V.
+export const ATTENTION_TYPES = {
+  full:    { name: "Full (GQA)" },
+  sliding: { name: "Sliding window" },
+  mla:     { name: "MLA (latent KV)" },
+};
+
+// KV allocator defaults per framework. blockSize is tokens per KV block;
+// gpuMemoryUtilization is the share of HBM the engine may claim (vLLM's
+// gpu_memory_utilization, TRT-LLM's free_gpu_memory_fraction); maxBatchTokens
+// sizes the activation workspace; cudaGraphGB is per GPU.
+export const FRAMEWORK_PRESETS = {
+  vllm:       { name: "vLLM",          blockSize: 16, gpuMemoryUtilization: 0.90, maxBatchTokens: 8192, cudaGraphGB: 1.0, desc: "PagedAttention, open source" },
+  tensorrt:   { name: "TensorRT-LLM",  blockSize: 64, gpuMemoryUtilization: 0.90, maxBatchTokens: 8192, cudaGraphGB: 1.5, desc: "NVIDIA optimized, lower latency" },
+  custom:     { name: "Custom/Other",  blockSize: 16, gpuMemoryUtilization: 0.85, maxBatchTokens: 4096, cudaGraphGB: 1.0, desc: "Generic serving stack" },
+};
+
+// Bytes per element. Weights and KV cache are quantized independently — e.g.
+// AWQ INT4 weights commonly run with an FP16 KV cache.
+export const WEIGHT_DTYPES = {
+  fp32: { name: "FP32 (full precision)",  bytes: 4 },
+  fp16: { name: "FP16 / BF16 (standard)", bytes: 2 },
+  fp8:  { name: "FP8 (E4M3)",             bytes: 1 },
+  int8: { name: "INT8 (W8A16 / SmoothQuant)", bytes: 1 },
+  int4: { name: "INT4 (AWQ / GPTQ)",      bytes: 0.5 },
+};
+
+export const KV_DTYPES = {
+  fp16: { name: "FP16 / BF16 (standard)", bytes: 2 },
+  fp8:  { name: "FP8 (E4M3 / E5M2)",      bytes: 1 },
+  int8: { name: "INT8",                   bytes: 1 },
+  int4: { name: "INT4",                   bytes: 0.5 },
+};
+
+// ── CONSTANTS ────────────────────────────────────────────────────────────────
+
+export const DDN_BANDWIDTH = 200;   // GB/s
+export const NAS_BANDWIDTH = 10;    // GB/s
+export const BILLION = 1e9;
+
+export const AVG_SESSION_TIME_SEC = 30;     // assumed active time per session between swaps
+export const RESTORE_SLO_SEC = 5;           // restore time beyond which storage is "overloaded"
+export const SESSION_TURNOVER_PER_HOUR = 3; // default new sessions per concurrent slot per hour
+export const WITH_DDN_RESIDENT_FRACTION = 0.3; // share of sessions kept hot in VRAM with DDN
+export const STORAGE_HEADROOM = 3;          // offload capacity bought per GB of peak KV overflow
+export const CAPEX_AMORTIZATION = 0.3;      // share of avoided CAPEX counted per year in ROI
+export const ACTIVATION_HIDDEN_MULTIPLE = 16; // peak FP16 activations per batched token, in hidden-size vectors
+export const HBM_COST_PER_GB = 375;         // $ / GB of GPU HBM, for tier comparisons
+export const PREFILL_MFU = 0.5;             // share of peak tensor FLOPS prefill sustains
+export const DECODE_MBU = 0.7;              // share of peak HBM bandwidth decode sustains
+
+// ── OFFLOAD TIERS ────────────────────────────────────────────────────────────
+
+// Where KV goes once HBM is full. "node" tiers are provisioned in every GPU
+// node and a restore is served by that node's link; "cluster" tiers are one
+// shared pool. Fabric tiers take their bandwidth from the config's
+// ddnBandwidth / nasBandwidth so the storage sliders still drive them.
+export const KV_TIERS = {
+  dram: { name: "Host DRAM",     scope: "node",    capacityGB: 1024,      bandwidthGBps: 256, latencySec: 0.00001, costPerGB: 5 },
+  nvme: { name: "Local NVMe",    scope: "node",    capacityGB: 15360,     bandwidthGBps: 40,  latencySec: 0.0001,  costPerGB: 0.1 },
+  ddn:  { name: "DDN AI Fabric", scope: "cluster", capacityGB: 1_000_000, bandwidthGBps: DDN_BANDWIDTH, bandwidthKey: "ddnBandwidth", latencySec: 0.0005, costPerGB: 0.4 },
+  nas:  { name: "Standard NAS",  scope: "cluster", capacityGB: 1_000_000, bandwidthGBps: NAS_BANDWIDTH, bandwidthKey: "nasBandwidth", latencySec: 0.005,  costPerGB: 0.15 },
+};
+
+// Fields a config tier entry may override
+export const TIER_FIELDS = [
+  { key: "capacityGB",    label: "Capacity (GB)",    min: 0 },
+  { key: "bandwidthGBps", label: "Bandwidth (GB/s)", min: 0.001 }, // restores divide by it
+  { key: "latencySec",    label: "Latency (s)",      min: 0 },
+  { key: "costPerGB",     label: "$ / GB",           min: 0 },
+];
+
+// ── STORAGE PRICING ──────────────────────────────────────────────────────────
+
+// DDN AI Fabric list pricing by performance tier. A tier's base price buys
+// its bandwidth (controllers and networking); capacity is added per TB above
+// the tier's minimum. Upfront is a one-off purchase; subscription is monthly.
+// powerKW and rackUnits are the tier's appliances, for the TCO.
+export const STORAGE_PERFORMANCE_TIERS = {
+  entry:       { name: "Entry",       bandwidthGBps: 50,  minTB: 50,  upfrontBase: 150_000,   upfrontPerTB: 400, monthlyBase: 4_000,  monthlyPerTB: 15, powerKW: 2.5,  rackUnits: 2 },
+  standard:    { name: "Standard",    bandwidthGBps: 200, minTB: 100, upfrontBase: 300_000,   upfrontPerTB: 400, monthlyBase: 8_000,  monthlyPerTB: 15, powerKW: 7.5,  rackUnits: 6 },
+  performance: { name: "Performance", bandwidthGBps: 400, minTB: 200, upfrontBase: 550_000,   upfrontPerTB: 400, monthlyBase: 14_000, monthlyPerTB: 15, powerKW: 12.5, rackUnits: 10 },
+  extreme:     { name: "Extreme",     bandwidthGBps: 800, minTB: 400, upfrontBase: 1_000_000, upfrontPerTB: 400, monthlyBase: 25_000, monthlyPerTB: 15, powerKW: 22.5, rackUnits: 18 },
+};
+
+// Support on a purchase is a yearly share of its price; on a subscription,
+// standard support is included and premium is an uplift.
+export const SUPPORT_TERMS = {
+  standard: { name: "Standard (next business day)", upfrontPctPerYear: 10, subscriptionUpliftPct: 0 },
+  premium:  { name: "Premium (4-hour)",             upfrontPctPerYear: 18, subscriptionUpliftPct: 8 },
+};
+
+export const PRICING_MODELS = {
+  subscription: { name: "Subscription" },
+  upfront:      { name: "Upfront purchase" },
+};
+
+// performanceTier "auto" picks the smallest tier that delivers the configured
+// bandwidth; capacityTB null sizes capacity from the peak KV overflow.
+export const DEFAULT_STORAGE_PRICING = {
+  model: "subscription",
+  performanceTier: "auto",
+  capacityTB: null,
+  termMonths: 36,
+  support: "standard",
+  discountRatePct: 8,     // annual, for NPV and discounted payback
+};
+
+// What the offload tier costs to hold capacityGB of KV at bandwidthGBps.
+export function storagePricing(cfg, capacityGB, bandwidthGBps = cfg.ddnBandwidth ?? DDN_BANDWIDTH) {
+  const p = { ...DEFAULT_STORAGE_PRICING, ...cfg.storagePricing };
+  const keys = Object.keys(STORAGE_PERFORMANCE_TIERS);
+  const tierKey = STORAGE_PERFORMANCE_TIERS[p.performanceTier] ? p.performanceTier
+    : keys.find(k => STORAGE_PERFORMANCE_TIERS[k].bandwidthGBps >= bandwidthGBps) ?? keys[keys.length - 1];
+  const tier = STORAGE_PERFORMANCE_TIERS[tierKey];
+  const support = SUPPORT_TERMS[p.support] ?? SUPPORT_TERMS.standard;
+  const capacityTB = Math.max(tier.minTB, Math.ceil(p.capacityTB ?? capacityGB / 1000));
+
+  const upfront = p.model === "upfront" ? tier.upfrontBase + tier.upfrontPerTB * capacityTB : 0;
+  const monthly = p.model === "upfront"
+    ? upfront * support.upfrontPctPerYear / 100 / 12
+    : (tier.monthlyBase + tier.monthlyPerTB * capacityTB) * (1 + support.subscriptionUpliftPct / 100);
+  const totalCost = upfront + monthly * p.termMonths;
+  return { ...p, tierKey, tier, support, capacityTB, upfront, monthly, totalCost, effectiveMonthly: totalCost / p.termMonths };
+}
+
+// Cash flows of the offload tier against the GPU spend it avoids, over the
+// storage term. Month 0 pays any upfront price — and, when GPUs are bought
+// rather than rented, banks the avoided CAPEX. Every month after nets the
+// avoided rental (or GPU-hour OPEX) against the storage's monthly cost.
+export function storageInvestment(economics, procurement = "rental") {
+  const s = economics.storage;
+  const r = Math.pow(1 + s.discountRatePct / 100, 1 / 12) - 1;
+  const benefit = procurement === "capex" ? economics.annualOpexSavings / 12 : economics.monthlyRentalSavings;
+  const upfrontBenefit = procurement === "capex" ? economics.capexAvoidance : 0;
+
+  let cumulative = upfrontBenefit - s.upfront;
+  let discounted = cumulative;
+  // Only a month-0 surplus counts as breaking even before the first month
+  let breakEvenMonth = cumulative > 0 ? 0 : null;
+  let paybackMonths = discounted >= 0 ? 0 : null;
+  const months = [{ month: 0, savings: upfrontBenefit, storageCost: s.upfront, net: cumulative }];
+  for (let m = 1; m <= s.termMonths; m++) {
+    const net = benefit - s.monthly;
+    const before = discounted;
+    cumulative += net;
+    discounted += net / Math.pow(1 + r, m);
+    if (breakEvenMonth === null && cumulative >= 0) breakEvenMonth = m;
+    if (paybackMonths === null && discounted >= 0) paybackMonths = m - 1 + (-before) / (discounted - before);
+    months.push({ month: m, savings: upfrontBenefit + benefit * m, storageCost: s.upfront + s.monthly * m, net: cumulative });
+  }
+  return { procurement, months, npv: discounted, breakEvenMonth, paybackMonths, monthlyNet: benefit - s.monthly };
+}
+
+// ── FACILITY ─────────────────────────────────────────────────────────────────
+
+// What hosting the hardware costs on top of the hardware itself. Racks fill
+// on rack units or on power, whichever runs out first.
+export const DEFAULT_FACILITY = {
+  powerCostPerKWh: 0.12,
+  pue: 1.3,                  // facility power per watt of IT load
+  rackCostPerMonth: 2_000,   // space, per rack
+  rackUnitsPerRack: 42,
+  kWPerRack: 40,             // power the racks are provisioned for
+  networkCostPerNode: 30_000, // InfiniBand ports, optics and cabling, one-off
+};
+
+export const FACILITY_FIELDS = [
+  { key: "powerCostPerKWh",    label: "$ / kWh",           step: 0.01 },
+  { key: "pue",                label: "PUE",               step: 0.05 },
+  { key: "rackCostPerMonth",   label: "$ / rack / month",  step: 100 },
+  { key: "kWPerRack",          label: "kW / rack",         step: 1 },
+  { key: "networkCostPerNode", label: "Network $ / node",  step: 1000 },
+];
+
+// What a million tokens costs to serve, against a public API's list price.
+// Costs are split between input and output by the GPU time each takes.
+export const TOKEN_COST_BASES = {
+  rental: { name: "GPU rental + storage" },
+  tco:    { name: "Full TCO" },
+};
+
+export const DEFAULT_TOKEN_PRICING = {
+  costBasis: "tco",
+  apiInputPer1M: 3,    // $ per 1M input tokens
+  apiOutputPer1M: 15,  // $ per 1M output tokens
+};
+
+export const TCO_CATEGORIES = {
+  gpu:     { name: "GPU nodes" },
+  power:   { name: "Power & cooling" },
+  space:   { name: "Rack space" },
+  network: { name: "Network" },
+  storage: { name: "KV offload storage" },
+};
+
+// ── LOAD PROFILES ────────────────────────────────────────────────────────────
+
+// Concurrency through a day (24 hourly values) or a week (168, Monday first),
+// each a share of cfg.concurrentSessions — the peak the cluster is sized for.
+const BUSINESS_DAY = [0.1, 0.08, 0.07, 0.07, 0.08, 0.12, 0.25, 0.5, 0.8, 0.95, 1, 1, 0.9, 0.95, 1, 0.95, 0.85, 0.65, 0.45, 0.35, 0.3, 0.25, 0.18, 0.12];
+const WEEKEND_DAY = BUSINESS_DAY.map(s => Math.round(s * 25) / 100);
+
+export const LOAD_PROFILES = {
+  flat:         { name: "Flat (always at peak)", shares: Array(24).fill(1) },
+  business:     { name: "Business hours",        shares: BUSINESS_DAY },
+  consumer:     { name: "Consumer evenings",     shares: [0.35, 0.25, 0.18, 0.12, 0.1, 0.1, 0.15, 0.3, 0.45, 0.55, 0.6, 0.65, 0.7, 0.65, 0.6, 0.6, 0.65, 0.7, 0.8, 0.9, 1, 0.95, 0.8, 0.55] },
+  global:       { name: "Follow the sun",        shares: [0.55, 0.5, 0.5, 0.55, 0.6, 0.65, 0.7, 0.8, 0.9, 0.95, 1, 1, 0.95, 0.95, 1, 1, 0.95, 0.9, 0.85, 0.8, 0.75, 0.7, 0.65, 0.6] },
+  businessWeek: { name: "Business week",         shares: [...Array(5).fill(BUSINESS_DAY).flat(), ...WEEKEND_DAY, ...WEEKEND_DAY] },
+};
+
+export const PROFILE_LENGTHS = [24, 168];
+
+// A pasted curve — 24 or 168 numbers separated by commas, spaces or newlines.
+// Shares (every value ≤ 1) are kept as they are; session counts are scaled by
+// their peak, which comes back as peakSessions for the caller to adopt.
+export function parseLoadProfile(text) {
+  const values = String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+  const errors = [];
+  if (values.some(v => !Number.isFinite(v) || v < 0)) errors.push("values must be non-negative numbers");
+  else if (!PROFILE_LENGTHS.includes(values.length)) errors.push(`expected 24 or 168 values, got ${values.length}`);
+  else if (Math.max(...values) <= 0) errors.push("at least one hour needs some load");
+  if (errors.length) return { errors };
+  const peak = Math.max(...values);
+  return peak <= 1
+    ? { shares: values, peakSessions: null, errors }
+    : { shares: values.map(v => v / peak), peakSessions: Math.round(peak), errors };
+}
+
+// The config's profile, or flat when it has none
+export function profileShares(cfg) {
+  return PROFILE_LENGTHS.includes(cfg.loadProfile?.length) ? cfg.loadProfile : LOAD_PROFILES.flat.shares;
+}
+
+// Concurrent sessions in each hour of the config's profile
+export function profileSessions(cfg) {
+  return profileShares(cfg).map(s => Math.max(0, Math.round(cfg.concurrentSessions * s)));
+}
+
+export const DEFAULT_CONFIG = {
+  gpu: "H100_SXM5",
+  llm: "llama3_70b",
+  framework: "vllm",
+  blockSize: FRAMEWORK_PRESETS.vllm.blockSize,
+  gpuMemoryUtilization: FRAMEWORK_PRESETS.vllm.gpuMemoryUtilization,
+  maxBatchTokens: FRAMEWORK_PRESETS.vllm.maxBatchTokens,
+  weightDtype: "fp16",
+  kvDtype: "fp16",
+  tensorParallel: 8,
+  pipelineParallel: 1,
+  replicas: 1,
+  inputTokens: 8000,
+  outputTokens: 1500,
+  concurrentSessions: 200,
+  ddnBandwidth: DDN_BANDWIDTH,
+  nasBandwidth: NAS_BANDWIDTH,
+  monthlyRate: GPU_PRESETS.H100_SXM5.monthly,
+  contractMonths: 12,
+  sharedPrefixTokens: 0,
+  ragOverlap: 0,
+  multiTurnReuse: 0,
+  loadProfile: LOAD_PROFILES.flat.shares,
+  sessionTurnoverPerHour: SESSION_TURNOVER_PER_HOUR,
+  avgSessionTimeSec: AVG_SESSION_TIME_SEC,
+  ddnResidentFraction: WITH_DDN_RESIDENT_FRACTION,
+  kvTiers: [{ tier: "dram" }, { tier: "nvme" }, { tier: "ddn" }], // fastest first; entries override KV_TIERS fields
+  customModels: {},
+};
+
+// Switching framework resets the allocator settings to that framework's defaults.
+export function withFramework(cfg, key) {
+  const { blockSize, gpuMemoryUtilization, maxBatchTokens } = FRAMEWORK_PRESETS[key];
+  return { ...cfg, framework: key, blockSize, gpuMemoryUtilization, maxBatchTokens };
+}
+
+// ── KV MATH ──────────────────────────────────────────────────────────────────
+
+export function headDim(llm) {
+  return llm.head_dim ?? llm.hidden / llm.heads;
+}
+
+export function attentionGroups(llm) {
+  return llm.attention?.length ? llm.attention : [{ type: "full", layers: llm.layers }];
+}
+
+// Bytes one layer of the group stores per cached token.
+function groupBytesPerToken(llm, g, bytes) {
+  if (g.type === "mla") return (g.kv_lora_rank + (g.rope_dim ?? 0)) * bytes;
+  return 2 * llm.kv_heads * headDim(llm) * bytes;
+}
+
+// KV for one sequence of `tokens`, broken down by layer group. Sliding-window
+// layers stop growing once the sequence is longer than the window.
+export function kvBreakdown(llm, tokens, bytes = KV_DTYPES.fp16.bytes) {
+  return attentionGroups(llm).map(g => {
+    const cached = g.type === "sliding" ? Math.min(tokens, g.window) : tokens;
+    const bytesPerToken = g.layers * groupBytesPerToken(llm, g, bytes);
+    return { ...g, cachedTokens: cached, bytesPerToken, bytes: bytesPerToken * cached };
+  });
+}
+
+// Paged allocation: each sequence holds whole blocks of blockSize tokens per
+// layer group, so the tail of its last block is allocated but unused.
+export function pageKV(groups, blockSize) {
+  return groups.map(g => {
+    const blocks = Math.ceil(g.cachedTokens / blockSize);
+    return { ...g, blocks, allocatedBytes: blocks * blockSize * g.bytesPerToken };
+  });
+}
+
+export function kvBytesForTokens(llm, tokens, bytes = KV_DTYPES.fp16.bytes) {
+  return kvBreakdown(llm, tokens, bytes).reduce((s, g) => s + g.bytes, 0);
+}
+
+// Marginal KV bytes per additional token once every sliding window is full —
+// for plain GQA models this is 2 * layers * kv_heads * head_dim * bytes.
+export function kvBytesPerToken(llm, bytes = KV_DTYPES.fp16.bytes) {
+  return attentionGroups(llm)
+    .filter(g => g.type !== "sliding")
+    .reduce((s, g) => s + g.layers * groupBytesPerToken(llm, g, bytes), 0);
+}
+
+// ── CUSTOM MODELS ────────────────────────────────────────────────────────────
+
+// User-defined models live in cfg.customModels, keyed like LLM_PRESETS, so
+// they are saved and exported with the rest of the config.
+export const MODEL_FIELDS = [
+  { key: "params",      label: "Parameters (B)", min: 0.1 },
+  { key: "layers",      label: "Layers",         min: 1, int: true },
+  { key: "hidden",      label: "Hidden size",    min: 1, int: true },
+  { key: "heads",       label: "Attention heads", min: 1, int: true },
+  { key: "kv_heads",    label: "KV heads",       min: 1, int: true },
+  { key: "head_dim",    label: "Head dim",       min: 1, int: true },
+  { key: "vocab",       label: "Vocab size",     min: 1, int: true },
+  { key: "max_context", label: "Max context",    min: 1, int: true },
+];
+
+export function allModels(cfg) {
+  return { ...LLM_PRESETS, ...cfg.customModels };
+}
+
+export function resolveModel(cfg) {
+  return cfg.customModels?.[cfg.llm] ?? LLM_PRESETS[cfg.llm];
+}
+
+export function customModelKey(name, existing = {}) {
+  const base = "custom_" + (name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "") || "model");
+  let key = base;
+  for (let i = 2; key in existing || key in LLM_PRESETS; i++) key = `${base}_${i}`;
+  return key;
+}
+
+// Returns a list of problems; empty means the model is usable by the engine.
+export function validateModel(m) {
+  const errors = [];
+  if (!m.name?.trim()) errors.push("name is required");
+  for (const { key, label, min, int } of MODEL_FIELDS) {
+    const v = m[key];
+    if (typeof v !== "number" || !Number.isFinite(v)) errors.push(`${label} is required`);
+    else if (v < min) errors.push(`${label} must be at least ${min}`);
+    else if (int && !Number.isInteger(v)) errors.push(`${label} must be a whole number`);
+  }
+  if (!errors.length && m.kv_heads > m.heads) errors.push("KV heads cannot exceed attention heads");
+  if (!errors.length && m.heads % m.kv_heads !== 0) errors.push("attention heads must be a multiple of KV heads");
+  if (m.attention?.length) {
+    const pos = (v) => Number.isInteger(v) && v >= 1;
+    m.attention.forEach((g, i) => {
+      const at = `attention group ${i + 1}`;
+      if (!ATTENTION_TYPES[g.type]) errors.push(`${at} has unknown type "${g.type}"`);
+      if (!pos(g.layers)) errors.push(`${at} needs a whole number of layers`);
+      if (g.type === "sliding" && !pos(g.window)) errors.push(`${at} needs a window size`);
+      if (g.type === "mla" && !pos(g.kv_lora_rank)) errors.push(`${at} needs a KV latent rank`);
+      if (g.type === "mla" && !(Number.isInteger(g.rope_dim ?? 0) && (g.rope_dim ?? 0) >= 0)) errors.push(`${at} has an invalid RoPE dim`);
+    });
+    const total = m.attention.reduce((s, g) => s + (g.layers || 0), 0);
+    if (total !== m.layers) errors.push(`attention groups cover ${total} layers but the model has ${m.layers}`);
+  }
+  return errors;
+}
+
+// Rough dense/MoE parameter count (billions) from a HuggingFace config — used
+// when importing, since config.json doesn't state the parameter count.
+export function estimateParamsB({ layers, hidden, heads, kv_heads, head_dim, vocab, intermediate, experts = 1, tiedEmbeddings = false, mla = null }) {
+  const attn = mla
+    ? hidden * (mla.kv_lora_rank + mla.rope_dim) + mla.kv_lora_rank * heads * (head_dim - mla.rope_dim + mla.v_head_dim)
+      + hidden * heads * head_dim + heads * mla.v_head_dim * hidden
+    : hidden * heads * head_dim * 2 + hidden * kv_heads * head_dim * 2;
+  const mlp = 3 * hidden * intermediate * experts;
+  const embed = vocab * hidden * (tiedEmbeddings ? 1 : 2);
+  return (layers * (attn + mlp) + embed) / BILLION;
+}
+
+// Maps a HuggingFace config.json onto the LLM_PRESETS schema. Multimodal
+// configs nest the language model under text_config.
+export function importHFConfig(json) {
+  if (!json || typeof json !== "object") throw new Error("config.json must be a JSON object");
+  const c = json.text_config ? { ...json, ...json.text_config } : json;
+  const pick = (...keys) => keys.map(k => c[k]).find(v => typeof v === "number");
+
+  const layers = pick("num_hidden_layers", "n_layer", "num_layers");
+  const hidden = pick("hidden_size", "d_model", "n_embd");
+  const heads = pick("num_attention_heads", "n_head");
+  const missing = [["num_hidden_layers", layers], ["hidden_size", hidden], ["num_attention_heads", heads]]
+    .filter(([, v]) => v == null).map(([k]) => k);
+  if (missing.length) throw new Error(`config.json is missing ${missing.join(", ")}`);
+
+  const kv_heads = pick("num_key_value_heads", "n_head_kv") ?? (c.multi_query ? 1 : heads);
+  const head_dim = pick("head_dim")
+    ?? (c.qk_nope_head_dim != null ? c.qk_nope_head_dim + (c.qk_rope_head_dim ?? 0) : hidden / heads);
+  const vocab = pick("vocab_size") ?? 32000;
+  const max_context = pick("max_position_embeddings", "n_positions", "seq_length", "max_sequence_length") ?? 4096;
+  const intermediate = pick("intermediate_size", "ffn_hidden_size", "n_inner") ?? hidden * 4;
+  const experts = pick("num_local_experts", "n_routed_experts", "num_experts") ?? 1;
+  const expertsPerToken = pick("num_experts_per_tok", "moe_topk");
+  const attention = importAttention(c, layers);
+  const mla = attention?.[0].type === "mla"
+    ? { ...attention[0], v_head_dim: pick("v_head_dim") ?? head_dim - attention[0].rope_dim }
+    : null;
+  const shape = {
+    layers, hidden, heads, kv_heads, head_dim, vocab, mla,
+    // MoE configs give the per-expert width separately from the dense one
+    intermediate: experts > 1 ? pick("moe_intermediate_size") ?? intermediate : intermediate,
+    tiedEmbeddings: !!c.tie_word_embeddings,
+  };
+  const params = estimateParamsB({ ...shape, experts });
+  const activeParams = experts > 1 && expertsPerToken
+    ? estimateParamsB({ ...shape, experts: expertsPerToken + (pick("n_shared_experts") ?? 0) })
+    : null;
+
+  const name = (json._name_or_path?.split("/").pop()) || json.architectures?.[0] || c.model_type || "Imported model";
+  const model = { name, params: Math.round(params * 10) / 10, layers, hidden, heads, kv_heads, head_dim, vocab, max_context };
+  if (activeParams) model.active_params = Math.round(activeParams * 10) / 10;
+  return attention ? { ...model, attention } : model;
+}
+
+// Attention layout from a HuggingFace config: DeepSeek-style MLA
+// (kv_lora_rank), explicit layer_types, Gemma 2/3 local/global interleaving,
+// or a model-wide sliding window (Mistral). Returns null for plain full attention.
+function importAttention(c, layers) {
+  if (typeof c.kv_lora_rank === "number") {
+    return [{ type: "mla", layers, kv_lora_rank: c.kv_lora_rank, rope_dim: c.qk_rope_head_dim ?? 0 }];
+  }
+  const window = c.use_sliding_window === false ? null : c.sliding_window;
+  if (typeof window !== "number") return null;
+
+  let local;
+  if (Array.isArray(c.layer_types)) local = c.layer_types.filter(t => t === "sliding_attention").length;
+  else if (typeof c.sliding_window_pattern === "number") local = layers - Math.floor(layers / c.sliding_window_pattern);
+  else if (c.model_type === "gemma2") local = Math.ceil(layers / 2);
+  else local = layers;
+
+  const groups = [{ type: "sliding", layers: local, window }, { type: "full", layers: layers - local }];
+  return groups.filter(g => g.layers > 0);
+}
+
+// ── PREFIX CACHING ───────────────────────────────────────────────────────────
+
+// Token-level view of KV sharing for one session. The shared system prompt
+// and overlapping RAG chunks are treated as one prefix that every session on
+// a replica reuses — true when retrieved documents follow the system prompt
+// in a stable order. Prefix caching shares whole blocks only, and generated
+// tokens are never shared. multiTurnReuse is the share of the remaining input
+// that is the session's own earlier turns: it raises the hit rate without
+// deduplicating anything across sessions.
+export function prefixSharing(cfg, blockSize) {
+  const input = cfg.inputTokens;
+  const prefix = Math.min(cfg.sharedPrefixTokens ?? 0, input);
+  const rag = (input - prefix) * (cfg.ragOverlap ?? 0);
+  // at least one token per session stays private, so sessions still cost KV
+  const sharedTokens = Math.floor(Math.min(prefix + rag, input + cfg.outputTokens - 1) / blockSize) * blockSize;
+  const ownInput = input - sharedTokens;
+  const turnReuseTokens = ownInput * (cfg.multiTurnReuse ?? 0);
+  const cacheHitTokens = sharedTokens + turnReuseTokens;
+  return {
+    sharedTokens,
+    uniqueTokens: input + cfg.outputTokens - sharedTokens,
+    cacheHitTokens,
+    prefillTokens: input - cacheHitTokens,
+    prefixHitRatePct: input > 0 ? (cacheHitTokens / input) * 100 : 0,
+  };
+}
+
+// ── SHARDING ─────────────────────────────────────────────────────────────────
+
+// One model replica spans tp × pp GPUs. PP splits layers (weights and KV);
+// TP splits weights and KV heads, but once tp exceeds kv_heads each KV head is
+// duplicated on tp / kv_heads GPUs rather than split further. An MLA latent
+// has no heads to split, so every TP rank holds a full copy. kvGroups come
+// from pageKV; capacity is counted in allocated (block-rounded) bytes.
+// sharedShare is the fraction of each session's allocated KV that is a
+// shared prefix, held once per replica.
+export function shardModel(gpu, llm, { tensorParallel: tp, pipelineParallel: pp }, weightsGB, workspace, kvGroups, blockSize, sharedShare = 0) {
+  const gpusPerReplica = tp * pp;
+  const vramPerGPU = gpu.vram / gpu.gpus;
+  const weightsPerGPUGB = weightsGB / gpusPerReplica;
+  const overheadPerGPUGB = workspace.reservedGB + workspace.activationGB + workspace.cudaGraphGB;
+  const kvCapacityPerGPUGB = Math.max(0, vramPerGPU - weightsPerGPUGB - overheadPerGPUGB);
+  const kvSplit = (g) => g.type === "mla" ? 1 : Math.min(tp, llm.kv_heads);
+  const perGPU = (bytesOf) => kvGroups.reduce((s, g) => s + bytesOf(g) / 1e9 / kvSplit(g), 0) / pp;
+  const kvAllocatedGB = kvGroups.reduce((s, g) => s + g.allocatedBytes, 0) / 1e9;
+  const kvFullSessionPerGPUGB = perGPU(g => g.allocatedBytes);
+  const kvSharedPerGPUGB = kvFullSessionPerGPUGB * sharedShare;
+  const kvPerSessionPerGPUGB = kvFullSessionPerGPUGB - kvSharedPerGPUGB;
+  const kvReplication = kvAllocatedGB > 0
+    ? kvGroups.reduce((s, g) => s + g.allocatedBytes / 1e9 * tp / kvSplit(g), 0) / kvAllocatedGB
+    : tp / Math.min(tp, llm.kv_heads);
+  const weightsFit = weightsPerGPUGB + overheadPerGPUGB <= vramPerGPU;
+  // The fewest GPUs per replica whose shards would hold the weights — when
+  // the weights don't fit, the config can't be deployed as sharded
+  const gpusToFit = vramPerGPU > overheadPerGPUGB ? Math.ceil(weightsGB / (vramPerGPU - overheadPerGPUGB)) : Infinity;
+  const sessionsPerReplica = kvCapacityPerGPUGB >= kvSharedPerGPUGB
+    ? Math.floor((kvCapacityPerGPUGB - kvSharedPerGPUGB) / kvPerSessionPerGPUGB)
+    : 0;
+
+  // One block holds blockSize tokens of every layer group on this GPU
+  const kvBlockPerGPUGB = perGPU(g => g.bytesPerToken * blockSize);
+  const kvBlocksPerGPU = Math.floor(kvCapacityPerGPUGB / kvBlockPerGPUGB);
+
+  // A replica either packs into a node or spans whole nodes.
+  const replicasPerNode = gpusPerReplica <= gpu.gpus ? Math.floor(gpu.gpus / gpusPerReplica) : 0;
+  const nodesPerReplica = Math.ceil(gpusPerReplica / gpu.gpus);
+  const nodesFor = (replicas) => replicasPerNode > 0 ? Math.ceil(replicas / replicasPerNode) : replicas * nodesPerReplica;
+
+  return {
+    gpusPerReplica, vramPerGPU, weightsPerGPUGB, overheadPerGPUGB,
+    kvCapacityPerGPUGB, kvPerSessionPerGPUGB, kvSharedPerGPUGB, kvReplication, weightsFit, gpusToFit,
+    kvBlockPerGPUGB, kvBlocksPerGPU,
+    sessionsPerReplica, replicasPerNode, nodesPerReplica, nodesFor,
+  };
+}
+
+// Per-GPU memory the serving engine holds outside weights and KV: HBM it is
+// told to leave unclaimed, the activation workspace for one max-size batch,
+// and captured CUDA graphs. Activations are replicated across TP ranks.
+export function engineWorkspace(gpu, llm, { gpuMemoryUtilization, maxBatchTokens, cudaGraphGB }) {
+  const vramPerGPU = gpu.vram / gpu.gpus;
+  return {
+    reservedGB: vramPerGPU * (1 - gpuMemoryUtilization),
+    activationGB: (maxBatchTokens * llm.hidden * ACTIVATION_HIDDEN_MULTIPLE * 2) / 1e9,
+    cudaGraphGB,
+  };
+}
+
+// ── TIER PLACEMENT ───────────────────────────────────────────────────────────
+
+// The config's tier list with preset defaults filled in, fastest first.
+export function resolveTiers(cfg) {
+  return (cfg.kvTiers ?? DEFAULT_CONFIG.kvTiers)
+    .filter(t => KV_TIERS[t.tier])
+    .map(t => {
+      const preset = KV_TIERS[t.tier];
+      const bandwidthGBps = preset.bandwidthKey ? cfg[preset.bandwidthKey] ?? preset.bandwidthGBps : t.bandwidthGBps ?? preset.bandwidthGBps;
+      return { ...preset, ...t, bandwidthGBps };
+    });
+}
+
+// Overflow cascades down the hierarchy: each tier fills before the next takes
+// anything. Node tiers scale with the node count; restore time is one
+// session's KV over a single tier link plus its access latency.
+export function placeKV(tiers, overflowGB, sessionGB, nodes) {
+  let remainingGB = overflowGB;
+  const placed = tiers.map(t => {
+    const capacityGB = t.capacityGB * (t.scope === "node" ? nodes : 1);
+    const usedGB = Math.min(remainingGB, capacityGB);
+    remainingGB -= usedGB;
+    return {
+      ...t, capacityGB, usedGB,
+      occupancyPct: capacityGB > 0 ? (usedGB / capacityGB) * 100 : 0,
+      sessions: sessionGB > 0 ? usedGB / sessionGB : 0,
+      restoreTimeSec: t.latencySec + sessionGB / t.bandwidthGBps,
+      costUSD: capacityGB * t.costPerGB,
+    };
+  });
+  const restoreTimeAvgSec = overflowGB > remainingGB
+    ? placed.reduce((s, t) => s + t.restoreTimeSec * t.usedGB, 0) / (overflowGB - remainingGB)
+    : 0;
+  return { tiers: placed, unplacedGB: remainingGB, restoreTimeAvgSec };
+}
+
+// ── COMPUTE ──────────────────────────────────────────────────────────────────
+
+// FLOPs to prefill positions [from, to) of a sequence: 2 per active parameter
+// per token for the matmuls, plus causal attention (QKᵀ and AV, 4 FLOPs per
+// head dim per attended token). Sliding layers attend to at most `window`.
+export function prefillFLOPs(llm, to, from = 0) {
+  const active = (llm.active_params ?? llm.params) * BILLION;
+  // Σ over positions t in [from, to) of min(t, window)
+  const attended = (window) => {
+    const span = (n) => n <= window ? n * n / 2 : window * window / 2 + (n - window) * window;
+    return span(to) - span(from);
+  };
+  const attn = attentionGroups(llm).reduce((s, g) =>
+    s + g.layers * attended(g.type === "sliding" ? g.window : Infinity), 0);
+  return 2 * active * (to - from) + 4 * llm.heads * headDim(llm) * attn;
+}
+
+// Sustained throughput of `gpus` GPUs. FP8 weights run FP8 tensor cores where
+// the GPU has them; weight-only INT8/INT4 dequantize and run at FP16.
+export function gpuThroughput(gpu, weightDtype, gpus) {
+  const tflops = weightDtype === "fp8" && gpu.tflopsFP8 ? gpu.tflopsFP8 : gpu.tflopsFP16;
+  return {
+    flops: tflops * 1e12 * gpus * PREFILL_MFU,
+    hbmBytesPerSec: gpu.hbmBandwidth * 1e9 * gpus * DECODE_MBU,
+  };
+}
+
+// Geometric context sweep from 512 tokens up to `maxTokens`, √2 apart.
+export function contextSweep(maxTokens) {
+  const points = [];
+  for (let t = 512; t < maxTokens; t = Math.round(t * Math.SQRT2)) points.push(t);
+  return [...points, maxTokens];
+}
+
+// Recompute (prefill the whole context again) vs. restore (read its KV back
+// from a tier) across context lengths. crossoverTokens is where restoring
+// from that tier becomes the faster option; null when one side always wins
+// inside the sweep.
+export function recomputeVsRestore(cfg) {
+  const ph = computePhysics(cfg);
+  if (!ph) return null;
+  const { llm, kvDtype } = ph;
+  const { flops } = gpuThroughput(ph.gpu, cfg.weightDtype ?? "fp16", cfg.tensorParallel ?? 1);
+  const tiers = [...resolveTiers(cfg), ...["ddn", "nas"].map(tier => resolveTiers({ ...cfg, kvTiers: [{ tier }] })[0])]
+    .filter((t, i, all) => all.findIndex(u => u.tier === t.tier) === i);
+
+  const recomputeSec = (tokens) => prefillFLOPs(llm, tokens) / flops;
+  const restoreSec = (t, tokens) => t.latencySec + kvBytesForTokens(llm, tokens, kvDtype.bytes) / 1e9 / t.bandwidthGBps;
+
+  const maxTokens = Math.max(llm.max_context ?? 131072, cfg.inputTokens + cfg.outputTokens);
+  const points = contextSweep(maxTokens).map(tokens => ({
+    tokens,
+    recomputeSec: recomputeSec(tokens),
+    ...Object.fromEntries(tiers.map(t => [t.tier, restoreSec(t, tokens)])),
+  }));
+
+  const crossovers = tiers.map(t => {
+    const faster = (tokens) => restoreSec(t, tokens) < recomputeSec(tokens);
+    const i = points.findIndex(p => faster(p.tokens));
+    if (i <= 0) return { ...t, crossoverTokens: null, restoreAlwaysFaster: i === 0 };
+    let lo = points[i - 1].tokens, hi = points[i].tokens;
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (faster(mid)) hi = mid; else lo = mid;
+    }
+    return { ...t, crossoverTokens: hi, restoreAlwaysFaster: false };
+  });
+
+  return { points, tiers: crossovers, contextTokens: cfg.inputTokens + cfg.outputTokens };
+}
+
+// What avoiding `nodesAvoided` GPU nodes is worth against the cost of the
+// offload tier holding `capacityGB`.
+function nodeEconomics(cfg, gpu, nodesAvoided, capacityGB) {
+  const monthlyRentalPerNode = cfg.monthlyRate ?? gpu.monthly;
+  const monthlyRentalSavings = nodesAvoided * monthlyRentalPerNode;
+  const contractSavings = monthlyRentalSavings * (cfg.contractMonths ?? 12);
+  const capexAvoidance = nodesAvoided * gpu.capex;
+  const annualOpexSavings = nodesAvoided * gpu.hourly * 24 * 365;
+  const storage = storagePricing(cfg, capacityGB);
+  const ddnMonthlyCost = storage.effectiveMonthly;
+  const annualSavings = annualOpexSavings + capexAvoidance * CAPEX_AMORTIZATION;
+  const roiPct = ((annualSavings - ddnMonthlyCost * 12) / (ddnMonthlyCost * 12)) * 100;
+  return { monthlyRentalSavings, contractSavings, capexAvoidance, annualOpexSavings, storage, ddnMonthlyCost, annualSavings, roiPct };
+}
+
+// ── PHYSICS ENGINE ───────────────────────────────────────────────────────────
+
+export function computePhysics(cfg) {
+  const gpu    = GPU_PRESETS[cfg.gpu];
+  const llm    = resolveModel(cfg);
+  const fw     = FRAMEWORK_PRESETS[cfg.framework];
+  const wd     = WEIGHT_DTYPES[cfg.weightDtype ?? "fp16"];
+  const kd     = KV_DTYPES[cfg.kvDtype ?? "fp16"];
+  if (!gpu || !llm || !fw || !wd || !kd) return null;
+
+  const ddnBandwidth = cfg.ddnBandwidth ?? DDN_BANDWIDTH;
+  const nasBandwidth = cfg.nasBandwidth ?? NAS_BANDWIDTH;
+  const avgSessionTimeSec = cfg.avgSessionTimeSec ?? AVG_SESSION_TIME_SEC;
+  const ddnResidentFraction = cfg.ddnResidentFraction ?? WITH_DDN_RESIDENT_FRACTION;
+
+  // Allocator settings — the config carries them, framework presets fill gaps
+  const blockSize = cfg.blockSize ?? fw.blockSize;
+  const gpuMemoryUtilization = cfg.gpuMemoryUtilization ?? fw.gpuMemoryUtilization;
+  const maxBatchTokens = cfg.maxBatchTokens ?? fw.maxBatchTokens;
+
+  // Weights for one model replica (GB)
+  const weightsPerReplicaGB = (llm.params * BILLION * wd.bytes) / 1e9;
+
+  // KV Cache per session (GB) — covers the prompt plus everything generated.
+  // kvPerSessionGB is what the tokens need (and what storage moves);
+  // kvAllocatedPerSessionGB is what the paged allocator reserves for them.
+  const totalTokens = cfg.inputTokens + cfg.outputTokens;
+  const exceedsMaxContext = llm.max_context != null && totalTokens > llm.max_context;
+  const kvGroups = pageKV(kvBreakdown(llm, totalTokens, kd.bytes), blockSize);
+  const kvPerSessionGB = kvGroups.reduce((s, g) => s + g.bytes, 0) / 1e9;
+  const kvAllocatedPerSessionGB = kvGroups.reduce((s, g) => s + g.allocatedBytes, 0) / 1e9;
+  const kvBlocksPerSession = kvGroups.reduce((s, g) => s + g.blocks, 0);
+  const fragmentationPct = kvAllocatedPerSessionGB > 0 ? (1 - kvPerSessionGB / kvAllocatedPerSessionGB) * 100 : 0;
+  const bytesPerToken = totalTokens > 0 ? kvPerSessionGB * 1e9 / totalTokens : kvBytesPerToken(llm, kd.bytes);
+
+  // Prefix caching — the shared prefix is block-aligned, so it carries no
+  // padding; its share of the KV is approximated by its share of the tokens.
+  const prefix = prefixSharing(cfg, blockSize);
+  const kvSharedPerReplicaGB = totalTokens > 0 ? kvPerSessionGB * prefix.sharedTokens / totalTokens : 0;
+  const kvUniquePerSessionGB = kvPerSessionGB - kvSharedPerReplicaGB;
+  const sharedShare = kvAllocatedPerSessionGB > 0 ? kvSharedPerReplicaGB / kvAllocatedPerSessionGB : 0;
+
+  // Sharding — each replica spans tensorParallel × pipelineParallel GPUs
+  const replicas = Math.max(1, cfg.replicas ?? 1);
+  const workspace = engineWorkspace(gpu, llm, { gpuMemoryUtilization, maxBatchTokens, cudaGraphGB: fw.cudaGraphGB });
+  const { nodesFor, ...shard } = shardModel(gpu, llm, {
+    tensorParallel: cfg.tensorParallel ?? 1,
+    pipelineParallel: cfg.pipelineParallel ?? 1,
+  }, weightsPerReplicaGB, workspace, kvGroups, blockSize, sharedShare);
+  const deployedGPUs = replicas * shard.gpusPerReplica;
+  const nodesDeployed = nodesFor(replicas);
+  // GPUs on the deployed nodes that run no replica. They are paid for but
+  // hold nothing, so their HBM is left out of the capacity below.
+  const idleGPUs = nodesDeployed * gpu.gpus - deployedGPUs;
+  const idleVRAMGB = idleGPUs * shard.vramPerGPU;
+  const replicasToFillNodes = shard.replicasPerNode > 0 ? nodesDeployed * shard.replicasPerNode : replicas;
+
+  // KV footprint — every replica keeps one copy of the shared prefix, every
+  // session its own tokens. kvRawTotalGB is the footprint with no sharing.
+  const kvRawTotalGB = kvPerSessionGB * cfg.concurrentSessions;
+  const kvSharedGB = cfg.concurrentSessions > 0 ? kvSharedPerReplicaGB * replicas : 0;
+  const kvUniqueGB = kvUniquePerSessionGB * cfg.concurrentSessions;
+  const kvTotalGB = kvSharedGB + kvUniqueGB;
+  const kvDedupSavingsGB = kvRawTotalGB - kvTotalGB;
+  const kvAllocatedTotalGB = kvSharedGB + (kvAllocatedPerSessionGB - kvSharedPerReplicaGB) * cfg.concurrentSessions;
+
+  // VRAM components across the deployed replicas (GB)
+  const modelWeightsGB = weightsPerReplicaGB * replicas;
+  const reservedGB = workspace.reservedGB * deployedGPUs;
+  const activationGB = workspace.activationGB * deployedGPUs;
+  const cudaGraphGB = workspace.cudaGraphGB * deployedGPUs;
+  const engineOverheadGB = reservedGB + activationGB + cudaGraphGB;
+  const physicalVRAM = deployedGPUs * shard.vramPerGPU;
+  const totalVRAMNeeded = modelWeightsGB + engineOverheadGB + kvAllocatedTotalGB * shard.kvReplication;
+
+  // KV capacity counts unique, block-allocated KV — head duplication under
+  // wide TP eats into it. Block padding never leaves the GPU, so the overflow
+  // to storage is in token bytes. Shared prefixes stay resident.
+  const availableForKV = Math.max(0, physicalVRAM - modelWeightsGB - engineOverheadGB) / shard.kvReplication;
+  const paddingShare = kvAllocatedTotalGB > 0 ? 1 - kvTotalGB / kvAllocatedTotalGB : 0;
+  const kvResidentAllocatedGB = Math.min(kvAllocatedTotalGB, availableForKV);
+  const kvInVRAMGB = kvResidentAllocatedGB * (1 - paddingShare);
+  const kvFragmentationGB = kvResidentAllocatedGB - kvInVRAMGB;
+  const kvOverflow = Math.max(0, kvTotalGB - kvInVRAMGB);
+  const kvOverflowNoSharingGB = Math.max(0, kvAllocatedPerSessionGB * cfg.concurrentSessions - availableForKV) * (1 - fragmentationPct / 100);
+  const isOffloading = kvAllocatedTotalGB > availableForKV;
+  const utilizationPct = Math.min(100, (totalVRAMNeeded / physicalVRAM) * 100);
+
+  // HBM as it is physically laid out (GB, summing to physicalVRAM)
+  const hbm = {
+    weights: modelWeightsGB,
+    activations: activationGB,
+    cudaGraphs: cudaGraphGB,
+    kv: kvInVRAMGB * shard.kvReplication,
+    fragmentation: kvFragmentationGB * shard.kvReplication,
+    reserved: reservedGB,
+  };
+  hbm.free = Math.max(0, physicalVRAM - Object.values(hbm).reduce((s, v) => s + v, 0));
+
+  // Sessions that fit in VRAM without offloading
+  const sessionsInVRAM = shard.weightsFit ? replicas * shard.sessionsPerReplica : 0;
+  const sessionsOffloaded = Math.max(0, cfg.concurrentSessions - sessionsInVRAM);
+
+  // Restore time (seconds) - time to reload one session's KV from storage.
+  // Only the session's own KV moves; the shared prefix is already resident.
+  const kvRestorePerSessionGB = kvUniquePerSessionGB;
+  const restoreTimeDDN = kvRestorePerSessionGB / ddnBandwidth;
+  const restoreTimeNAS = kvRestorePerSessionGB / nasBandwidth;
+
+  // Where the overflow lands in the offload hierarchy
+  const placement = placeKV(resolveTiers(cfg), kvOverflow, kvRestorePerSessionGB, nodesDeployed);
+
+  // KV written per turn — only tokens that missed the prefix cache are new
+  const kvWritePerTurnGB = totalTokens > 0 ? kvPerSessionGB * (prefix.prefillTokens + cfg.outputTokens) / totalTokens : 0;
+
+  // Prefill and decode latency. Pipeline stages run one after another for a
+  // given request, so only the tensor-parallel width speeds it up. Prefill is
+  // compute-bound: a cold prompt, or the whole context again after eviction
+  // (less any cached prefix). A decode step reads the weights once and the KV
+  // of every session in the batch, so it is bandwidth-bound until the batch
+  // is large enough for its matmuls to dominate.
+  const { flops, hbmBytesPerSec } = gpuThroughput(gpu, cfg.weightDtype ?? "fp16", cfg.tensorParallel ?? 1);
+  const prefillTimeSec = prefillFLOPs(llm, cfg.inputTokens) / flops;
+  const recomputeTimeSec = prefillFLOPs(llm, totalTokens, prefix.sharedTokens) / flops;
+  const decodeBatch = Math.max(1, Math.min(shard.sessionsPerReplica, Math.ceil(cfg.concurrentSessions / replicas)));
+  const decodeStepSec = Math.max(
+    (weightsPerReplicaGB + kvSharedPerReplicaGB + decodeBatch * kvUniquePerSessionGB) * 1e9 / hbmBytesPerSec,
+    2 * (llm.active_params ?? llm.params) * BILLION * decodeBatch / flops,
+  );
+  const decodeTimeSec = cfg.outputTokens * decodeStepSec;
+  const restoreBeatsRecompute = restoreTimeDDN < recomputeTimeSec;
+
+  // Restore traffic — every offloaded session is read back once per turn
+  const turnIntervalSec = avgSessionTimeSec + decodeTimeSec;
+  const restoreDemandGBps = isOffloading ? sessionsOffloaded * kvRestorePerSessionGB / turnIntervalSec : 0;
+
+  // Restore time as a share of the session's end-to-end response time — null
+  // when the turn generates no tokens to weigh it against
+  const restoreOverheadPct = (restoreTime) => decodeTimeSec > 0 ? (restoreTime / (decodeTimeSec + restoreTime)) * 100 : null;
+  const restoreOverheadPctDDN = restoreOverheadPct(restoreTimeDDN);
+  const restoreOverheadPctNAS = restoreOverheadPct(restoreTimeNAS);
+
+  // Sustainable swaps per hour
+  const swapsPerHourDDN = isOffloading ? Math.floor(3600 / (avgSessionTimeSec + restoreTimeDDN)) * sessionsOffloaded : cfg.concurrentSessions * 120;
+  const swapsPerHourNAS = isOffloading ? Math.floor(3600 / (avgSessionTimeSec + restoreTimeNAS)) * sessionsOffloaded : cfg.concurrentSessions * 10;
+
+  // GPU nodes needed — whole replicas, packed onto nodes. Without DDN every
+  // session stays resident; with DDN only the hot fraction does.
+  const replicasFor = (sessions) => shard.sessionsPerReplica > 0
+    ? Math.max(replicas, Math.ceil(sessions / shard.sessionsPerReplica))
+    : replicas;
+  const replicasWithoutDDN = replicasFor(cfg.concurrentSessions);
+  const replicasWithDDN = replicasFor(cfg.concurrentSessions * ddnResidentFraction);
+  const nodesWithoutDDN = nodesFor(replicasWithoutDDN);
+  const nodesWithDDN = nodesFor(replicasWithDDN);
+  const nodesAvoided = Math.max(0, nodesWithoutDDN - nodesWithDDN);
+
+  // Offload capacity to buy — the peak overflow with headroom
+  const ddnCapacityNeededGB = kvOverflow * STORAGE_HEADROOM;
+  const economics = nodeEconomics(cfg, gpu, nodesAvoided, ddnCapacityNeededGB);
+
+  // System overload check
+  const isSystemOverload = isOffloading && restoreTimeNAS > RESTORE_SLO_SEC;
+
+  // Throughput ratio
+  const throughputGainPct = isOffloading ? Math.round((ddnBandwidth / nasBandwidth - 1) * 100) : 0;
+
+  // Data lifecycle — KV written across an average day of the load profile as
+  // each occupied slot turns over to new sessions
+  const hourly = profileSessions(cfg);
+  const turnover = cfg.sessionTurnoverPerHour ?? SESSION_TURNOVER_PER_HOUR;
+  const kvPerDayGB = kvWritePerTurnGB * turnover * hourly.reduce((s, n) => s + n, 0) / (hourly.length / 24);
+
+  return {
+    modelWeightsGB, engineOverheadGB, kvTotalGB, kvPerSessionGB,
+    weightsPerReplicaGB, reservedGB, activationGB, cudaGraphGB, hbm,
+    blockSize, gpuMemoryUtilization, maxBatchTokens,
+    kvAllocatedPerSessionGB, kvAllocatedTotalGB, kvBlocksPerSession, kvFragmentationGB, fragmentationPct,
+    ...prefix, kvRawTotalGB, kvSharedGB, kvUniqueGB, kvSharedPerReplicaGB, kvUniquePerSessionGB,
+    kvDedupSavingsGB, kvOverflowNoSharingGB, kvRestorePerSessionGB, kvWritePerTurnGB,
+    ...shard, replicas, deployedGPUs, nodesDeployed, idleGPUs, idleVRAMGB, replicasToFillNodes,
+    kvBytesPerToken: bytesPerToken, kvGroups, headDim: headDim(llm), exceedsMaxContext,
+    totalVRAMNeeded, physicalVRAM, availableForKV, kvInVRAMGB, kvOverflow,
+    isOffloading, utilizationPct, sessionsInVRAM, sessionsOffloaded,
+    ddnBandwidth, nasBandwidth,
+    restoreTimeDDN, restoreTimeNAS,
+    tiers: placement.tiers, kvUnplacedGB: placement.unplacedGB, restoreTimeAvgSec: placement.restoreTimeAvgSec,
+    prefillTimeSec, recomputeTimeSec, decodeBatch, decodeStepSec, decodeTimeSec, restoreBeatsRecompute,
+    avgSessionTimeSec, ddnResidentFraction, turnIntervalSec, restoreDemandGBps,
+    restoreOverheadPctDDN, restoreOverheadPctNAS,
+    swapsPerHourDDN, swapsPerHourNAS,
+    replicasWithoutDDN, replicasWithDDN,
+    nodesWithoutDDN, nodesWithDDN, nodesAvoided,
+    ddnCapacityNeededGB, ...economics,
+    throughputGainPct, isSystemOverload,
+    kvPerDayGB,
+    concurrentSessions: cfg.concurrentSessions, inputTokens: cfg.inputTokens, outputTokens: cfg.outputTokens,
+    pipelineParallel: cfg.pipelineParallel ?? 1,
+    gpu, llm, fw, weightDtype: wd, kvDtype: kd,
+  };
+}
+
+// What KV quantization alone buys: the same config re-run with an FP16 KV cache.
+export function kvQuantizationImpact(cfg) {
+  const quantized = computePhysics(cfg);
+  const baseline = computePhysics({ ...cfg, kvDtype: "fp16" });
+  if (!quantized || !baseline) return null;
+  return {
+    baseline, quantized,
+    kvSavedGB: baseline.kvTotalGB - quantized.kvTotalGB,
+    extraSessionsInVRAM: quantized.sessionsInVRAM - baseline.sessionsInVRAM,
+    nodesSaved: baseline.nodesWithoutDDN - quantized.nodesWithoutDDN,
+    restoreSpeedup: baseline.restoreTimeDDN / quantized.restoreTimeDDN,
+  };
+}
+
+// ── HOURLY LOAD ──────────────────────────────────────────────────────────────
+
+// Every hour of the load profile run through the engine at that hour's
+// concurrency, on the cluster sized for the peak. Storage only sees the KV of
+// sessions that don't fit in HBM.
+export function computeLoadProfile(cfg) {
+  if (!computePhysics(cfg)) return null;
+  const turnover = cfg.sessionTurnoverPerHour ?? SESSION_TURNOVER_PER_HOUR;
+  const hours = profileSessions(cfg).map((sessions, hour) => {
+    const ph = computePhysics({ ...cfg, concurrentSessions: sessions });
+    const kvGeneratedGB = ph.kvWritePerTurnGB * sessions * turnover;
+    return {
+      hour, day: Math.floor(hour / 24), hourOfDay: hour % 24,
+      sessions,
+      sessionsOffloaded: ph.sessionsOffloaded,
+      offloading: ph.isOffloading,
+      kvOverflowGB: ph.kvOverflow,
+      kvUnplacedGB: ph.kvUnplacedGB,
+      restoreGBps: ph.restoreDemandGBps,
+      kvGeneratedGB,
+      storageWrittenGB: sessions > 0 ? kvGeneratedGB * ph.sessionsOffloaded / sessions : 0,
+    };
+  });
+
+  const days = hours.length / 24;
+  const perDay = (key) => hours.reduce((s, h) => s + h[key], 0) / days;
+  const peak = hours.reduce((a, b) => b.restoreGBps > a.restoreGBps ? b : a);
+  return {
+    hours, days,
+    averageSessions: hours.reduce((s, h) => s + h.sessions, 0) / hours.length,
+    hoursOffloadingPerDay: hours.filter(h => h.offloading).length / days,
+    hoursOverCapacityPerDay: hours.filter(h => h.kvUnplacedGB > 0).length / days,
+    peakRestoreGBps: peak.restoreGBps,
+    peakRestoreHour: peak.hour,
+    peakOverflowGB: Math.max(...hours.map(h => h.kvOverflowGB)),
+    kvGeneratedPerDayGB: perDay("kvGeneratedGB"),
+    storageWrittenPerDayGB: perDay("storageWrittenGB"),
+    storageWrittenPerMonthGB: perDay("storageWrittenGB") * 30,
+  };
+}
+
+// ── GROWTH FORECAST ──────────────────────────────────────────────────────────
+
+// Growth compounds monthly. Upgrades switch the served model from their month
+// on, e.g. { month: 9, llm: "llama3_405b" }.
+export const DEFAULT_FORECAST = {
+  months: 24,
+  sessionGrowthPct: 0,   // % more concurrent sessions each month
+  contextGrowthPct: 0,   // % longer input contexts each month
+  upgrades: [],
+};
+
+export const FORECAST_HORIZONS = [18, 24, 36];
+
+// Month-by-month sizing on today's cluster shape, from month 1 (today's
+// workload) to the horizon. Costs are monthly node rental, plus the DDN
+// subscription on the offload path, accumulated from month 1.
+export function computeForecast(cfg, overrides = {}) {
+  const fc = { ...DEFAULT_FORECAST, ...cfg.forecast, ...overrides };
+  if (!computePhysics(cfg)) return null;
+  // An upgrade to a model that's gone — a deleted custom model — is skipped
+  const upgrades = fc.upgrades.filter(u => resolveModel({ ...cfg, llm: u.llm })).sort((a, b) => a.month - b.month);
+  const grown = (value, pct, month) => Math.round(value * Math.pow(1 + pct / 100, month - 1));
+
+  let cumulativeWithoutDDN = 0, cumulativeWithDDN = 0;
+  const months = [];
+  for (let month = 1; month <= fc.months; month++) {
+    const llm = upgrades.filter(u => u.month <= month).pop()?.llm ?? cfg.llm;
+    const ph = computePhysics({
+      ...cfg, llm,
+      concurrentSessions: grown(cfg.concurrentSessions, fc.sessionGrowthPct, month),
+      inputTokens: grown(cfg.inputTokens, fc.contextGrowthPct, month),
+    });
+    if (!ph) return null;
+    const rate = cfg.monthlyRate ?? ph.gpu.monthly;
+    const monthlyWithoutDDN = ph.nodesWithoutDDN * rate;
+    const monthlyWithDDN = ph.nodesWithDDN * rate + ph.ddnMonthlyCost;
+    cumulativeWithoutDDN += monthlyWithoutDDN;
+    cumulativeWithDDN += monthlyWithDDN;
+    months.push({
+      month, llm, ph,
+      sessions: ph.concurrentSessions,
+      inputTokens: ph.inputTokens,
+      weightsFit: ph.weightsFit,
+      nodesWithoutDDN: ph.nodesWithoutDDN,
+      nodesWithDDN: ph.nodesWithDDN,
+      monthlyWithoutDDN, monthlyWithDDN,
+      cumulativeWithoutDDN, cumulativeWithDDN,
+      cumulativeSavings: cumulativeWithoutDDN - cumulativeWithDDN,
+    });
+  }
+
+  const last = months[months.length - 1];
+  return {
+    settings: fc, months,
+    ceilingMonth: months.find(m => m.ph.isOffloading)?.month ?? null,
+    unfitMonth: months.find(m => !m.weightsFit)?.month ?? null,
+    upgradeMonths: upgrades.filter(u => u.month <= fc.months).map(u => u.month),
+    peakNodesWithoutDDN: Math.max(...months.map(m => m.nodesWithoutDDN)),
+    peakNodesWithDDN: Math.max(...months.map(m => m.nodesWithDDN)),
+    cumulativeSavings: last.cumulativeSavings,
+  };
+}
+
+// ── PORTFOLIO ────────────────────────────────────────────────────────────────
+
+// Fields each portfolio line sets; the cluster (GPU, framework, precision,
+// parallelism, storage, economics) comes from the surrounding config.
+export const PORTFOLIO_LINE_FIELDS = [
+  { key: "inputTokens",        label: "Input tok",  min: 1 },
+  { key: "outputTokens",       label: "Output tok", min: 1 },
+  { key: "concurrentSessions", label: "Sessions",   min: 1 },
+  { key: "weight",             label: "Weight",     min: 0, step: 0.05 },
+];
+
+export function newPortfolioLine(cfg, name = "Workload") {
+  return {
+    name, llm: cfg.llm,
+    inputTokens: cfg.inputTokens, outputTokens: cfg.outputTokens, concurrentSessions: cfg.concurrentSessions,
+    sharedPrefixTokens: cfg.sharedPrefixTokens ?? 0, ragOverlap: cfg.ragOverlap ?? 0, multiTurnReuse: cfg.multiTurnReuse ?? 0,
+    weight: 1,
+  };
+}
+
+// The single-workload config for one line. weight scales the line's
+// concurrency — 0.5 means it averages half its peak sessions.
+export function portfolioLineConfig(cfg, line) {
+  return {
+    ...cfg,
+    llm: line.llm,
+    inputTokens: line.inputTokens,
+    outputTokens: line.outputTokens,
+    concurrentSessions: Math.max(0, Math.round(line.concurrentSessions * (line.weight ?? 1))),
+    sharedPrefixTokens: line.sharedPrefixTokens ?? 0,
+    ragOverlap: line.ragOverlap ?? 0,
+    multiTurnReuse: line.multiTurnReuse ?? 0,
+    replicas: 1,
+    portfolio: [],
+  };
+}
+
+// Several workloads on one cluster. Each line needs replicas of its own model,
+// so lines are sized independently and their GPUs packed onto shared nodes.
+// Costs are split by each line's share of GPUs (and of KV overflow for the
+// storage subscription).
+export function computePortfolio(cfg) {
+  const gpu = GPU_PRESETS[cfg.gpu];
+  const lines = (cfg.portfolio ?? [])
+    .map(line => ({ line, ph: computePhysics(portfolioLineConfig(cfg, line)) }))
+    .filter(l => l.ph);
+  if (!gpu || !lines.length) return null;
+
+  const sum = (f) => lines.reduce((s, l) => s + f(l.ph), 0);
+  const gpusWithoutDDN = sum(p => p.replicasWithoutDDN * p.gpusPerReplica);
+  const gpusWithDDN = sum(p => p.replicasWithDDN * p.gpusPerReplica);
+  const nodesWithoutDDN = Math.ceil(gpusWithoutDDN / gpu.gpus);
+  const nodesWithDDN = Math.ceil(gpusWithDDN / gpu.gpus);
+  const nodesAvoided = Math.max(0, nodesWithoutDDN - nodesWithDDN);
+  const kvOverflow = sum(p => p.kvOverflow);
+  const ddnCapacityNeededGB = kvOverflow * STORAGE_HEADROOM;
+  const economics = nodeEconomics(cfg, gpu, nodesAvoided, ddnCapacityNeededGB);
+  const concurrentSessions = sum(p => p.concurrentSessions);
+
+  const monthlyRate = cfg.monthlyRate ?? gpu.monthly;
+  const share = (part, whole) => whole > 0 ? part / whole : 0;
+  const breakdown = lines.map(({ line, ph }) => {
+    const lineGPUsWithout = ph.replicasWithoutDDN * ph.gpusPerReplica;
+    const lineGPUsWith = ph.replicasWithDDN * ph.gpusPerReplica;
+    const monthlyWithoutDDN = nodesWithoutDDN * monthlyRate * share(lineGPUsWithout, gpusWithoutDDN);
+    const storageShare = kvOverflow > 0 ? share(ph.kvOverflow, kvOverflow) : share(ph.concurrentSessions, concurrentSessions);
+    const monthlyWithDDN = nodesWithDDN * monthlyRate * share(lineGPUsWith, gpusWithDDN) + economics.ddnMonthlyCost * storageShare;
+    return {
+      line, ph,
+      gpusWithoutDDN: lineGPUsWithout, gpusWithDDN: lineGPUsWith,
+      monthlyWithoutDDN, monthlyWithDDN,
+      monthlySavings: monthlyWithoutDDN - monthlyWithDDN,
+    };
+  });
+
+  return {
+    lines: breakdown, gpu,
+    concurrentSessions,
+    physicalVRAM: sum(p => p.physicalVRAM),
+    totalVRAMNeeded: sum(p => p.totalVRAMNeeded),
+    modelWeightsGB: sum(p => p.modelWeightsGB),
+    engineOverheadGB: sum(p => p.engineOverheadGB),
+    kvTotalGB: sum(p => p.kvTotalGB),
+    kvInVRAMGB: sum(p => p.kvInVRAMGB),
+    kvOverflow, ddnCapacityNeededGB,
+    sessionsInVRAM: sum(p => Math.min(p.sessionsInVRAM, p.concurrentSessions)),
+    restoreDemandGBps: sum(p => p.restoreDemandGBps),
+    kvPerDayGB: sum(p => p.kvPerDayGB),
+    gpusWithoutDDN, gpusWithDDN, nodesWithoutDDN, nodesWithDDN, nodesAvoided,
+    ...economics,
+  };
+}
+
+// ── TOTAL COST OF OWNERSHIP ──────────────────────────────────────────────────
+
+const HOURS_PER_MONTH = 24 * 365 / 12;
+
+// Both architectures over cfg.contractMonths: the GPU nodes (rented monthly,
+// or bought outright under "capex"), their power at TDP grossed up by PUE,
+// the racks they fill, a one-off network cost per node, and — with DDN — the
+// storage's own payments, power and space. `ex` is a computePhysics or
+// computePortfolio result.
+export function computeTCO(cfg, ex, procurement = "rental") {
+  const f = { ...DEFAULT_FACILITY, ...cfg.facility };
+  const gpu = ex.gpu;
+  const months = cfg.contractMonths ?? 12;
+  const rate = cfg.monthlyRate ?? gpu.monthly;
+  const s = ex.storage;
+
+  const architecture = (key, name, nodes, withStorage) => {
+    const powerKW = nodes * gpu.tdpKW + (withStorage ? s.tier.powerKW : 0);
+    const rackUnits = nodes * gpu.rackUnits + (withStorage ? s.tier.rackUnits : 0);
+    const racks = Math.ceil(Math.max(rackUnits / f.rackUnitsPerRack, powerKW / f.kWPerRack));
+    const costs = {
+      gpu: procurement === "capex" ? nodes * gpu.capex : nodes * rate * months,
+      power: powerKW * f.pue * HOURS_PER_MONTH * months * f.powerCostPerKWh,
+      space: racks * f.rackCostPerMonth * months,
+      network: nodes * f.networkCostPerNode,
+      storage: withStorage ? s.upfront + s.monthly * months : 0,
+    };
+    const total = Object.values(costs).reduce((a, b) => a + b, 0);
+    return { key, name, nodes, powerKW, rackUnits, racks, costs, total, monthly: total / months };
+  };
+
+  const without = architecture("gpuOnly", "GPU only", ex.nodesWithoutDDN, false);
+  const withDDN = architecture("withDDN", "With DDN offload", ex.nodesWithDDN, true);
+  const savings = without.total - withDDN.total;
+  return {
+    procurement, months, facility: f,
+    architectures: [without, withDDN],
+    savings,
+    savingsPct: without.total > 0 ? (savings / without.total) * 100 : 0,
+  };
+}
+
+// ── BILL OF MATERIALS ────────────────────────────────────────────────────────
+
+// One 400 Gb/s port moves 50 GB/s
+export const FABRIC_PORT_GBPS = 50;
+
+// computeTCO's hardware as quote line items — GPU nodes, fabric ports and the
+// DDN system, each with a quantity, unit price and extended price. Lines
+// recur for `months` when they're monthly, so each architecture's total ties
+// out to its gpu + network + storage costs in computeTCO; power and space are
+// the facility's and stay out. One fabric port per GPU, priced so a node's
+// ports cost networkCostPerNode; the storage's own ports ship with it.
+export function computeBOM(cfg, ex, procurement = "rental") {
+  const tco = computeTCO(cfg, ex, procurement);
+  const f = tco.facility;
+  const gpu = ex.gpu;
+  const months = tco.months;
+  const rate = cfg.monthlyRate ?? gpu.monthly;
+  const s = ex.storage;
+  const line = (category, part, description, quantity, unit, unitPrice, recurring = false) => ({
+    category, part, description, quantity, unit, unitPrice,
+    months: recurring ? months : null,
+    extended: quantity * unitPrice * (recurring ? months : 1),
+  });
+
+  const architectures = tco.architectures.map(a => {
+    const lines = [
+      procurement === "capex"
+        ? line("GPU nodes", gpu.dtype, gpu.name, a.nodes, "node", gpu.capex)
+        : line("GPU nodes", gpu.dtype, `${gpu.name}, rented`, a.nodes, "node-month", rate, true),
+      line("Network", "400 Gb/s fabric port", "Compute fabric port, optics and cabling — one per GPU",
+        a.nodes * gpu.gpus, "port", f.networkCostPerNode / gpu.gpus),
+    ];
+    if (a.key === "withDDN") {
+      const storage = `DDN AI Fabric ${s.tier.name}`;
+      const spec = `${s.tier.bandwidthGBps} GB/s tier`;
+      if (s.model === "upfront") {
+        lines.push(
+          line("Storage", storage, `${spec}, base system`, 1, "system", s.tier.upfrontBase),
+          line("Storage", `${storage} capacity`, `${s.capacityTB} TB usable`, s.capacityTB, "TB", s.tier.upfrontPerTB),
+          line("Storage", `${storage} support`, s.support.name, 1, "month", s.monthly, true),
+        );
+      } else {
+        const uplift = 1 + s.support.subscriptionUpliftPct / 100;
+        lines.push(
+          line("Storage", storage, `${spec} subscription, ${s.support.name} support`, 1, "month", s.tier.monthlyBase * uplift, true),
+          line("Storage", `${storage} capacity`, `${s.capacityTB} TB usable`, s.capacityTB, "TB-month", s.tier.monthlyPerTB * uplift, true),
+        );
+      }
+      lines.push(line("Network", "400 Gb/s fabric port", `Storage fabric port — included with ${storage}`,
+        Math.ceil(s.tier.bandwidthGBps / FABRIC_PORT_GBPS), "port", 0));
+    }
+    return { key: a.key, name: a.name, nodes: a.nodes, lines, total: lines.reduce((t, l) => t + l.extended, 0) };
+  });
+
+  const [without, withDDN] = architectures;
+  return { procurement, months, architectures, savings: without.total - withDDN.total };
+}
+
+// ── TOKEN ECONOMICS ──────────────────────────────────────────────────────────
+
+// Tokens one workload asks for each hour, and what each architecture can
+// serve of it. Every session runs a turn each turnIntervalSec — longer with
+// DDN by the restore of the sessions it keeps offloaded. GPU time caps the
+// turns a replica can serve: each holds it for its prefill and its share of
+// a decode batch, one turn per pipeline stage at a time. With DDN the
+// restores also share the fabric.
+function tokenDemand(ph) {
+  const offloadedShare = 1 - ph.ddnResidentFraction;
+  const turnsPerHour = ph.concurrentSessions * 3600 / ph.turnIntervalSec;
+  const turnsPerHourWithDDN = ph.concurrentSessions * 3600 / (ph.turnIntervalSec + offloadedShare * ph.restoreTimeDDN);
+  // GPU-seconds per turn: prefill holds the replica, decode shares it with the batch
+  const prefillGPUSec = ph.prefillTimeSec;
+  const decodeGPUSec = ph.outputTokens * ph.decodeStepSec / ph.decodeBatch;
+  const computeTurnsPerHour = (replicas) => prefillGPUSec + decodeGPUSec > 0 ? replicas * ph.pipelineParallel * 3600 / (prefillGPUSec + decodeGPUSec) : Infinity;
+  return {
+    ph, turnsPerHour, turnsPerHourWithDDN,
+    computeCapWithout: computeTurnsPerHour(ph.replicasWithoutDDN),
+    computeCapWith: computeTurnsPerHour(ph.replicasWithDDN),
+    restoreGBPerHour: turnsPerHourWithDDN * offloadedShare * ph.kvRestorePerSessionGB,
+    prefillGPUSec, decodeGPUSec,
+  };
+}
+
+// $/1M input, output and blended tokens for the GPU-only and DDN
+// architectures of the configured workload (or portfolio — `ex` is a
+// computePhysics or computePortfolio result), and what the same tokens would
+// cost from the API at its list prices.
+export function computeTokenCosts(cfg, ex, procurement = "rental") {
+  const p = { ...DEFAULT_TOKEN_PRICING, ...cfg.tokenPricing };
+  const demand = (ex.lines ? ex.lines.map(l => l.ph) : [ex]).map(tokenDemand);
+  const rate = cfg.monthlyRate ?? ex.gpu.monthly;
+  const tco = computeTCO(cfg, ex, procurement);
+  const monthlyCost = p.costBasis === "tco"
+    ? tco.architectures.map(a => a.monthly)
+    : [ex.nodesWithoutDDN * rate, ex.nodesWithDDN * rate + ex.ddnMonthlyCost];
+
+  // The fabric is shared, so restores throttle every workload by the same share
+  const restoreGBPerHour = demand.reduce((s, d) => s + d.restoreGBPerHour, 0);
+  const ddnBandwidth = cfg.ddnBandwidth ?? DDN_BANDWIDTH;
+  const restoreCap = restoreGBPerHour > 0 ? Math.min(1, ddnBandwidth * 3600 / restoreGBPerHour) : 1;
+
+  const architecture = (key, name, i) => {
+    let inputPerHour = 0, outputPerHour = 0, demandedOutput = 0, inputGPUSec = 0, totalGPUSec = 0;
+    let computeMin = 1;
+    const restoreShare = i === 0 ? 1 : restoreCap;
+    for (const d of demand) {
+      const turns = i === 0 ? d.turnsPerHour : d.turnsPerHourWithDDN;
+      const computeShare = Math.min(1, (i === 0 ? d.computeCapWithout : d.computeCapWith) / turns);
+      const served = turns * Math.min(computeShare, restoreShare);
+      computeMin = Math.min(computeMin, computeShare);
+      inputPerHour += served * d.ph.inputTokens;
+      outputPerHour += served * d.ph.outputTokens;
+      demandedOutput += d.turnsPerHour * d.ph.outputTokens;
+      inputGPUSec += served * d.prefillGPUSec;
+      totalGPUSec += served * (d.prefillGPUSec + d.decodeGPUSec);
+    }
+    const limitedBy = Math.min(computeMin, restoreShare) >= 1 ? null : computeMin <= restoreShare ? "compute" : "restore";
+    const costPerHour = monthlyCost[i] / HOURS_PER_MONTH;
+    const inputShare = totalGPUSec > 0 ? inputGPUSec / totalGPUSec : 0;
+    const per1M = (cost, tokens) => tokens > 0 ? cost / tokens * 1e6 : Infinity;
+    return {
+      key, name,
+      monthlyCost: monthlyCost[i],
+      inputTokensPerHour: inputPerHour,
+      outputTokensPerHour: outputPerHour,
+      servedPct: demandedOutput > 0 ? outputPerHour / demandedOutput * 100 : 100,
+      limitedBy,
+      costPer1MInput: per1M(costPerHour * inputShare, inputPerHour),
+      costPer1MOutput: per1M(costPerHour * (1 - inputShare), outputPerHour),
+      costPer1MBlended: per1M(costPerHour, inputPerHour + outputPerHour),
+      outputTokensPerDollar: costPerHour > 0 ? outputPerHour / costPerHour : Infinity,
+      apiMonthlyCost: (inputPerHour * p.apiInputPer1M + outputPerHour * p.apiOutputPer1M) / 1e6 * HOURS_PER_MONTH,
+    };
+  };
+
+  const architectures = [architecture("gpuOnly", "GPU only", 0), architecture("withDDN", "With DDN offload", 1)];
+  const ref = architectures[0];
+  const totalTokens = ref.inputTokensPerHour + ref.outputTokensPerHour;
+  return {
+    ...p, procurement,
+    architectures,
+    api: {
+      costPer1MInput: p.apiInputPer1M,
+      costPer1MOutput: p.apiOutputPer1M,
+      costPer1MBlended: totalTokens > 0 ? (ref.inputTokensPerHour * p.apiInputPer1M + ref.outputTokensPerHour * p.apiOutputPer1M) / totalTokens : 0,
+    },
+  };
+}
+
+// ── COMPARISON ───────────────────────────────────────────────────────────────
+
+// How many configs can be pinned side by side
+export const MAX_COMPARED = 4;
+
+const isScalar = (v) => typeof v === "number" || typeof v === "boolean" || typeof v === "string";
+
+// Every scalar output of computePhysics, keyed by field. Nested objects — hbm,
+// storage and the resolved gpu/llm/fw presets — flatten one level to "hbm.kv"
+// and so on; lists (tiers, kvGroups) are left out.
+export function physicsFields(ph) {
+  const fields = {};
+  for (const [k, v] of Object.entries(ph ?? {})) {
+    if (v && typeof v === "object" && !Array.isArray(v)) {
+      for (const [sub, x] of Object.entries(v)) if (isScalar(x)) fields[`${k}.${sub}`] = x;
+    } else if (isScalar(v)) {
+      fields[k] = v;
+    }
+  }
+  return fields;
+}
+
+// Runs computePhysics on each config and lines every output field up against
+// the first config, the baseline. delta and deltaPct are null for the baseline
+// itself and for fields that aren't finite numbers; changed marks rows where
+// any config differs from the baseline.
+export function compareConfigs(configs) {
+  const results = configs.map(computePhysics);
+  const flat = results.map(physicsFields);
+  const fields = [...new Set(flat.flatMap(Object.keys))];
+  const rows = fields.map(field => {
+    const values = flat.map(f => f[field]);
+    const base = values[0];
+    const numeric = values.every(Number.isFinite);
+    return {
+      field, values,
+      deltas: values.map((v, i) => i > 0 && numeric ? v - base : null),
+      deltaPcts: values.map((v, i) => i > 0 && numeric && base !== 0 ? (v - base) / Math.abs(base) * 100 : null),
+      changed: values.some(v => !Object.is(v, base)),
+    };
+  });
+  return { results, rows };
+}
+
+// ── SENSITIVITY ──────────────────────────────────────────────────────────────
+
+// The tornado swings every input ±swingPct around the config; the heatmap
+// sweeps two of them across HEATMAP_FACTORS of their current values.
+export const DEFAULT_SENSITIVITY = {
+  swingPct: 20,
+  rowField: "concurrentSessions",
+  colField: "inputTokens",
+};
+
+// Inputs the analysis varies. fallback is the engine's assumption when the
+// config doesn't set one — a function of the physics where it depends on the
+// hardware; max caps shares at 1.
+export const SENSITIVITY_INPUTS = [
+  { key: "ddnResidentFraction",  label: "Sessions kept in VRAM with DDN", fallback: WITH_DDN_RESIDENT_FRACTION, max: 1 },
+  { key: "avgSessionTimeSec",    label: "Active time between swaps (s)",  fallback: AVG_SESSION_TIME_SEC },
+  { key: "gpuMemoryUtilization", label: "GPU memory utilization",         max: 1 },
+  { key: "maxBatchTokens",       label: "Max batch tokens",               integer: true },
+  { key: "ddnBandwidth",         label: "DDN bandwidth (GB/s)",           fallback: DDN_BANDWIDTH },
+  { key: "nasBandwidth",         label: "NAS bandwidth (GB/s)",           fallback: NAS_BANDWIDTH },
+  { key: "inputTokens",          label: "Input tokens",                   integer: true },
+  { key: "outputTokens",         label: "Output tokens",                  integer: true },
+  { key: "concurrentSessions",   label: "Concurrent sessions",            integer: true },
+  { key: "monthlyRate",          label: "Monthly rate per node",          fallback: (ph) => ph.gpu.monthly },
+  { key: "contractMonths",       label: "Contract months",                fallback: 12, integer: true },
+];
+
+// What the tornado measures
+export const SENSITIVITY_METRICS = {
+  nodesAvoided:    { label: "GPU nodes avoided" },
+  contractSavings: { label: "Contract savings" },
+};
+
+// Heatmap axes — the inputs without a cap, so every step is a new value
+export const HEATMAP_AXES = SENSITIVITY_INPUTS.filter(i => !i.max).map(i => i.key);
+export const HEATMAP_FACTORS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4];
+
+// How a workload sits on its cluster: it fits in VRAM, offloads with restores
+// inside the SLO, or overloads storage — restores past the SLO or more
+// restore traffic than the DDN fabric carries. Before any of that, a replica
+// too narrow for the model's weights can't be deployed at all.
+export const CAPACITY_STATES = {
+  fit:      { label: "Fits in VRAM" },
+  offload:  { label: "Offloads to DDN" },
+  overload: { label: "Overloads storage" },
+  nofit:    { label: "Weights don't fit" },
+};
+
+export function capacityState(ph) {
+  if (!ph.weightsFit) return "nofit";
+  if (!ph.isOffloading) return "fit";
+  return ph.restoreTimeDDN > RESTORE_SLO_SEC || ph.restoreDemandGBps > ph.ddnBandwidth ? "overload" : "offload";
+}
+
+// An input scaled by factor, kept positive, whole where it must be and under
+// its cap.
+function scaleInput(input, value, factor) {
+  const v = Math.min(input.max ?? Infinity, value * factor);
+  return input.integer ? Math.max(1, Math.round(v)) : v;
+}
+
+// An input's current value: the config's, else the engine's assumption, else
+// what the physics resolved it to
+function inputValue(input, cfg, base) {
+  const fallback = typeof input.fallback === "function" ? input.fallback(base) : input.fallback;
+  return cfg[input.key] ?? fallback ?? base[input.key];
+}
+
+// Swings each input low and high on its own and records each metric there.
+// Per metric, inputs are sorted widest swing first — the tornado's shape.
+export function computeSensitivity(cfg) {
+  const s = { ...DEFAULT_SENSITIVITY, ...cfg.sensitivity };
+  const base = computePhysics(cfg);
+  if (!base) return null;
+  const swing = s.swingPct / 100;
+  const baseline = Object.fromEntries(Object.keys(SENSITIVITY_METRICS).map(m => [m, base[m]]));
+
+  const inputs = SENSITIVITY_INPUTS.map(input => {
+    const value = inputValue(input, cfg, base);
+    const at = (factor) => {
+      const varied = scaleInput(input, value, factor);
+      const ph = computePhysics({ ...cfg, [input.key]: varied });
+      return { value: varied, ...Object.fromEntries(Object.keys(SENSITIVITY_METRICS).map(m => [m, ph ? ph[m] : baseline[m]])) };
+    };
+    return { ...input, value, low: at(1 - swing), high: at(1 + swing) };
+  });
+
+  const tornado = Object.fromEntries(Object.keys(SENSITIVITY_METRICS).map(m => [m,
+    inputs.map(i => ({ key: i.key, label: i.label, value: i.value, lowValue: i.low.value, highValue: i.high.value, low: i.low[m] - baseline[m], high: i.high[m] - baseline[m] }))
+      .sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low)),
+  ]));
+
+  // Two-variable sweep, rows by cols
+  const axis = (key) => {
+    const input = SENSITIVITY_INPUTS.find(i => i.key === key);
+    const value = inputValue(input, cfg, base);
+    return { key, label: input.label, values: HEATMAP_FACTORS.map(f => scaleInput(input, value, f)) };
+  };
+  const rows = axis(s.rowField), cols = axis(s.colField);
+  const cells = rows.values.map(rv => cols.values.map(cv => {
+    const ph = computePhysics({ ...cfg, [rows.key]: rv, [cols.key]: cv });
+    return ph ? { state: capacityState(ph), nodesAvoided: ph.nodesAvoided, utilizationPct: ph.utilizationPct, restoreTimeDDN: ph.restoreTimeDDN } : null;
+  }));
+
+  return {
+    settings: s, baseline,
+    state: capacityState(base),
+    tornado,
+    heatmap: { rows, cols, cells },
+  };
+}
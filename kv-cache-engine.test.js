@@ -0,0 +1,388 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  GPU_PRESETS, LLM_PRESETS, KV_DTYPES, FRAMEWORK_PRESETS, DEFAULT_CONFIG,
+  kvBytesPerToken, headDim, engineWorkspace, computePhysics, computeSensitivity, SENSITIVITY_INPUTS,
+  computeTokenCosts, capacityState, importHFConfig, validateModel,
+  computePortfolio, portfolioLineConfig, newPortfolioLine, computeForecast,
+  computeTCO, DEFAULT_FACILITY, computeBOM, PRICING_MODELS, FABRIC_PORT_GBPS,
+} from "./kv-cache-engine.js";
+
+const close = (actual, expected, what) =>
+  assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${what}: ${actual} ≠ ${expected}`);
+
+// Every preset pair at one tensor-parallel replica per node — or per GPU on
+// the single-GPU presets — under a load that offloads on the small ones
+const pairs = Object.keys(LLM_PRESETS).flatMap(llm => Object.keys(GPU_PRESETS).map(gpu => ({
+  llm, gpu,
+  cfg: { ...DEFAULT_CONFIG, llm, gpu, tensorParallel: GPU_PRESETS[gpu].gpus, monthlyRate: GPU_PRESETS[gpu].monthly },
+})));
+
+describe("KV bytes per token", () => {
+  for (const [key, llm] of Object.entries(LLM_PRESETS)) {
+    test(key, () => {
+      for (const [dtype, { bytes }] of Object.entries(KV_DTYPES)) {
+        // K and V per KV head on every full-attention layer, or one latent
+        // per MLA layer; full sliding windows stop growing
+        const expected = (llm.attention ?? [{ type: "full", layers: llm.layers }])
+          .filter(g => g.type !== "sliding")
+          .reduce((s, g) => s + g.layers * (g.type === "mla" ? g.kv_lora_rank + (g.rope_dim ?? 0) : 2 * llm.kv_heads * headDim(llm)) * bytes, 0);
+        close(kvBytesPerToken(llm, bytes), expected, dtype);
+      }
+      if (!llm.attention) close(kvBytesPerToken(llm), 2 * llm.layers * llm.kv_heads * llm.head_dim * 2, "GQA fp16");
+    });
+  }
+});
+
+describe("every LLM × GPU preset", () => {
+  for (const { llm, gpu, cfg } of pairs) {
+    test(`${llm} on ${gpu}`, () => {
+      const ph = computePhysics(cfg);
+      const g = GPU_PRESETS[gpu], model = LLM_PRESETS[llm];
+
+      // KV covers the prompt and everything generated, for every session
+      close(ph.kvPerSessionGB, ph.kvBytesPerToken * (cfg.inputTokens + cfg.outputTokens) / 1e9, "KV per session");
+      close(ph.kvTotalGB, ph.kvPerSessionGB * cfg.concurrentSessions, "KV total");
+
+      // weightsFit — one replica's weight shard plus the engine's workspace
+      // against one GPU's HBM
+      const ws = engineWorkspace(g, model, FRAMEWORK_PRESETS.vllm);
+      const weightsPerGPU = model.params * 2 / cfg.tensorParallel; // billions of fp16 params → GB
+      assert.equal(ph.weightsFit, weightsPerGPU + ws.reservedGB + ws.activationGB + ws.cudaGraphGB <= g.vram / g.gpus);
+      assert.equal(ph.weightsFit, ph.gpusToFit <= ph.gpusPerReplica, "gpusToFit agrees with weightsFit");
+
+      // The HBM split adds up to the physical VRAM, and KV is either in it
+      // or overflowing to storage
+      if (ph.weightsFit) close(Object.values(ph.hbm).reduce((s, v) => s + v, 0), ph.physicalVRAM, "HBM total");
+      assert.ok(Object.values(ph.hbm).every(v => v >= 0), "no negative HBM segment");
+      close(ph.kvInVRAMGB + ph.kvOverflow, ph.kvTotalGB, "KV in VRAM + overflow");
+      assert.equal(ph.kvOverflow > 1e-9, ph.isOffloading, "overflow iff offloading");
+      if (!ph.weightsFit) assert.equal(ph.sessionsInVRAM, 0);
+      assert.equal(capacityState(ph) === "nofit", !ph.weightsFit, "capacity state");
+
+      // Node counts — whole nodes of whole replicas, and DDN never needs more
+      assert.equal(ph.nodesDeployed, Math.ceil(ph.replicas * ph.gpusPerReplica / g.gpus));
+      assert.equal(ph.nodesWithoutDDN, Math.ceil(ph.replicasWithoutDDN * ph.gpusPerReplica / g.gpus));
+      assert.equal(ph.nodesWithDDN, Math.ceil(ph.replicasWithDDN * ph.gpusPerReplica / g.gpus));
+      assert.ok(ph.nodesWithDDN >= ph.nodesDeployed && ph.nodesWithoutDDN >= ph.nodesWithDDN);
+      assert.equal(ph.nodesAvoided, ph.nodesWithoutDDN - ph.nodesWithDDN);
+      close(ph.monthlyRentalSavings, ph.nodesAvoided * g.monthly, "rental savings");
+    });
+  }
+
+  test("no restore overhead to report without generated tokens", () => {
+    const cfg = { ...DEFAULT_CONFIG, concurrentSessions: 2000 };
+    const ph = computePhysics(cfg);
+    close(ph.restoreOverheadPctDDN, ph.restoreTimeDDN / (ph.decodeTimeSec + ph.restoreTimeDDN) * 100, "DDN overhead");
+    const silent = computePhysics({ ...cfg, outputTokens: 0 });
+    assert.ok(silent.isOffloading && silent.restoreTimeNAS > 0);
+    assert.equal(silent.restoreOverheadPctDDN, null);
+    assert.equal(silent.restoreOverheadPctNAS, null);
+  });
+
+  test("a part-filled node reports its idle GPUs", () => {
+    const cfg = { ...DEFAULT_CONFIG, llm: "llama3_8b", tensorParallel: 1, replicas: 1 };
+    const ph = computePhysics(cfg);
+    assert.equal(ph.nodesDeployed, 1);
+    assert.equal(ph.idleGPUs, 7);
+    close(ph.idleVRAMGB, 7 * ph.vramPerGPU, "idle HBM");
+    assert.equal(ph.replicasToFillNodes, 8);
+    const full = computePhysics({ ...cfg, replicas: ph.replicasToFillNodes });
+    assert.equal(full.nodesDeployed, 1);
+    assert.equal(full.idleGPUs, 0);
+    assert.ok(full.availableForKV > ph.availableForKV);
+  });
+});
+
+describe("sensitivity", () => {
+  test("inputs the config leaves out swing around the engine's assumption", () => {
+    const cfg = { ...DEFAULT_CONFIG, gpu: "H200_SXM5", sensitivity: { rowField: "monthlyRate", colField: "contractMonths" } };
+    for (const { key } of SENSITIVITY_INPUTS) delete cfg[key];
+    Object.assign(cfg, { inputTokens: 32_000, outputTokens: 1000, concurrentSessions: 400 });
+    const sens = computeSensitivity(cfg);
+    const rows = Object.values(sens.tornado).flat();
+    assert.equal(rows.length, SENSITIVITY_INPUTS.length * Object.keys(sens.tornado).length);
+    for (const r of rows) assert.ok([r.value, r.lowValue, r.highValue, r.low, r.high].every(Number.isFinite), r.key);
+    assert.equal(rows.find(r => r.key === "monthlyRate").value, GPU_PRESETS.H200_SXM5.monthly);
+    assert.equal(sens.heatmap.rows.values[3], GPU_PRESETS.H200_SXM5.monthly);
+    assert.equal(sens.heatmap.cols.values[3], 12);
+  });
+});
+
+describe("token costs", () => {
+  test("decode time caps the turns served", () => {
+    const cfg = { ...DEFAULT_CONFIG, concurrentSessions: 2000, avgSessionTimeSec: 5 };
+    const ph = computePhysics(cfg);
+    const gpuSecPerTurn = ph.prefillTimeSec + ph.outputTokens * ph.decodeStepSec / ph.decodeBatch;
+    const [gpuOnly, withDDN] = computeTokenCosts(cfg, ph).architectures;
+    for (const [a, replicas] of [[gpuOnly, ph.replicasWithoutDDN], [withDDN, ph.replicasWithDDN]]) {
+      const cap = replicas * ph.pipelineParallel * 3600 / gpuSecPerTurn;
+      assert.ok(a.outputTokensPerHour <= cap * ph.outputTokens * (1 + 1e-9), a.key);
+      assert.ok(a.servedPct < 100 && a.limitedBy === "compute", a.key);
+    }
+  });
+});
+
+// Trimmed config.json files as published on the Hub, with the parameter
+// counts their model cards state (billions; active first for MoE)
+const HF_CONFIGS = {
+  llama: {
+    published: { params: 8.0 },
+    json: { _name_or_path: "meta-llama/Meta-Llama-3-8B", architectures: ["LlamaForCausalLM"], model_type: "llama", hidden_size: 4096, intermediate_size: 14336, num_hidden_layers: 32, num_attention_heads: 32, num_key_value_heads: 8, vocab_size: 128256, max_position_embeddings: 8192, tie_word_embeddings: false },
+  },
+  mistral: {
+    published: { params: 7.2 },
+    json: { architectures: ["MistralForCausalLM"], model_type: "mistral", hidden_size: 4096, intermediate_size: 14336, num_hidden_layers: 32, num_attention_heads: 32, num_key_value_heads: 8, sliding_window: 4096, vocab_size: 32000, max_position_embeddings: 32768, tie_word_embeddings: false },
+  },
+  gemma2: {
+    published: { params: 9.2 },
+    json: { architectures: ["Gemma2ForCausalLM"], model_type: "gemma2", hidden_size: 3584, intermediate_size: 14336, num_hidden_layers: 42, num_attention_heads: 16, num_key_value_heads: 8, head_dim: 256, sliding_window: 4096, vocab_size: 256000, max_position_embeddings: 8192 },
+  },
+  gemma3: {
+    published: { params: 27.4 },
+    json: { architectures: ["Gemma3ForConditionalGeneration"], model_type: "gemma3", text_config: { model_type: "gemma3_text", hidden_size: 5376, intermediate_size: 21504, num_hidden_layers: 62, num_attention_heads: 32, num_key_value_heads: 16, head_dim: 128, sliding_window: 1024, sliding_window_pattern: 6, max_position_embeddings: 131072, vocab_size: 262208 } },
+  },
+  deepseekV3: {
+    published: { params: 671, active: 37 },
+    json: { architectures: ["DeepseekV3ForCausalLM"], model_type: "deepseek_v3", hidden_size: 7168, intermediate_size: 18432, moe_intermediate_size: 2048, num_hidden_layers: 61, num_attention_heads: 128, num_key_value_heads: 128, kv_lora_rank: 512, q_lora_rank: 1536, qk_nope_head_dim: 128, qk_rope_head_dim: 64, v_head_dim: 128, n_routed_experts: 256, n_shared_experts: 1, num_experts_per_tok: 8, vocab_size: 129280, max_position_embeddings: 163840 },
+  },
+  mixtral: {
+    published: { params: 46.7, active: 12.9 },
+    json: { architectures: ["MixtralForCausalLM"], model_type: "mixtral", hidden_size: 4096, intermediate_size: 14336, num_hidden_layers: 32, num_attention_heads: 32, num_key_value_heads: 8, num_local_experts: 8, num_experts_per_tok: 2, sliding_window: null, vocab_size: 32000, max_position_embeddings: 32768 },
+  },
+};
+
+describe("importHFConfig", () => {
+  const imported = Object.fromEntries(Object.entries(HF_CONFIGS).map(([k, { json }]) => [k, importHFConfig(json)]));
+
+  for (const [key, { published }] of Object.entries(HF_CONFIGS)) {
+    test(`${key} imports as a valid model near its published size`, () => {
+      const m = imported[key];
+      assert.deepEqual(validateModel(m), []);
+      // parameter counts are estimated from the shapes, and embeddings count
+      // twice when config.json leaves tying to the model class (Gemma 2)
+      assert.ok(Math.abs(m.params / published.params - 1) < 0.15, `${m.params}B vs ${published.params}B`);
+      assert.equal("active_params" in m, published.active != null, "active parameters only for MoE");
+    });
+  }
+
+  test("Llama: grouped-query attention on every layer", () => {
+    const m = imported.llama;
+    assert.equal(m.name, "Meta-Llama-3-8B");
+    assert.equal(m.kv_heads, 8);
+    assert.equal(m.head_dim, 128);
+    assert.equal(m.attention, undefined);
+    assert.equal(kvBytesPerToken(m), 2 * 32 * 8 * 128 * 2);
+  });
+
+  test("Mistral: one model-wide sliding window", () => {
+    const m = imported.mistral;
+    assert.deepEqual(m.attention, [{ type: "sliding", layers: 32, window: 4096 }]);
+    // past the window, no layer grows
+    assert.equal(kvBytesPerToken(m), 0);
+  });
+
+  test("Gemma 2 and 3: local layers interleaved with global ones", () => {
+    assert.deepEqual(imported.gemma2.attention, [{ type: "sliding", layers: 21, window: 4096 }, { type: "full", layers: 21 }]);
+    assert.equal(imported.gemma2.head_dim, 256, "head_dim wins over hidden / heads");
+    // five local layers to every global one, from the nested text_config
+    assert.deepEqual(imported.gemma3.attention, [{ type: "sliding", layers: 52, window: 1024 }, { type: "full", layers: 10 }]);
+    assert.equal(imported.gemma3.max_context, 131072);
+    assert.equal(kvBytesPerToken(imported.gemma3), 2 * 10 * 16 * 128 * 2);
+  });
+
+  test("DeepSeek V3: a compressed latent instead of K and V heads", () => {
+    const m = imported.deepseekV3;
+    assert.deepEqual(m.attention, [{ type: "mla", layers: 61, kv_lora_rank: 512, rope_dim: 64 }]);
+    assert.equal(m.head_dim, 128 + 64);
+    assert.equal(kvBytesPerToken(m), 61 * (512 + 64) * 2);
+    // the dense first layers are counted as experts, so active runs high
+    assert.ok(m.active_params > HF_CONFIGS.deepseekV3.published.active && m.active_params < m.params / 10);
+  });
+
+  test("Mixtral: active parameters are two experts' worth", () => {
+    const m = imported.mixtral;
+    assert.ok(Math.abs(m.active_params / HF_CONFIGS.mixtral.published.active - 1) < 0.1, `${m.active_params}B active`);
+    assert.equal(m.attention, undefined, "a null sliding_window means full attention");
+  });
+
+  test("rejects configs without the core shape", () => {
+    assert.throws(() => importHFConfig(null), /JSON object/);
+    assert.throws(() => importHFConfig({ hidden_size: 4096 }), /missing num_hidden_layers, num_attention_heads/);
+  });
+});
+
+describe("validateModel", () => {
+  const llama = LLM_PRESETS.llama3_8b;
+
+  test("accepts every preset", () => {
+    for (const [key, m] of Object.entries(LLM_PRESETS)) assert.deepEqual(validateModel(m), [], key);
+  });
+
+  test("names what is wrong", () => {
+    assert.deepEqual(validateModel({ ...llama, name: " " }), ["name is required"]);
+    assert.deepEqual(validateModel({ ...llama, layers: 31.5 }), ["Layers must be a whole number"]);
+    assert.deepEqual(validateModel({ ...llama, kv_heads: 64 }), ["KV heads cannot exceed attention heads"]);
+    assert.deepEqual(validateModel({ ...llama, kv_heads: 6 }), ["attention heads must be a multiple of KV heads"]);
+    assert.deepEqual(validateModel({ ...llama, attention: [{ type: "sliding", layers: 16 }, { type: "full", layers: 8 }] }),
+      ["attention group 1 needs a window size", "attention groups cover 24 layers but the model has 32"]);
+  });
+});
+
+describe("computePortfolio", () => {
+  const cfg = {
+    ...DEFAULT_CONFIG,
+    concurrentSessions: 400,
+    portfolio: [
+      { ...newPortfolioLine(DEFAULT_CONFIG, "Chat"), llm: "llama3_8b", inputTokens: 4000, concurrentSessions: 600 },
+      { ...newPortfolioLine(DEFAULT_CONFIG, "Research"), inputTokens: 32_000, concurrentSessions: 300, weight: 0.5 },
+    ],
+  };
+  const pf = computePortfolio(cfg);
+
+  test("sizes each line on its own and packs their GPUs onto shared nodes", () => {
+    for (const { line, ph } of pf.lines) assert.deepEqual(ph, computePhysics(portfolioLineConfig(cfg, line)), line.name);
+    assert.equal(pf.lines[1].ph.concurrentSessions, 150, "weight scales the line's sessions");
+    assert.equal(pf.concurrentSessions, 750);
+    for (const [gpus, nodes, key] of [[pf.gpusWithoutDDN, pf.nodesWithoutDDN, "replicasWithoutDDN"], [pf.gpusWithDDN, pf.nodesWithDDN, "replicasWithDDN"]]) {
+      assert.equal(gpus, pf.lines.reduce((s, l) => s + l.ph[key] * l.ph.gpusPerReplica, 0));
+      assert.equal(nodes, Math.ceil(gpus / GPU_PRESETS[cfg.gpu].gpus));
+    }
+    assert.equal(pf.nodesAvoided, pf.nodesWithoutDDN - pf.nodesWithDDN);
+    close(pf.kvOverflow, pf.lines.reduce((s, l) => s + l.ph.kvOverflow, 0), "overflow");
+  });
+
+  test("splits the cluster's cost across its lines", () => {
+    const rate = cfg.monthlyRate;
+    close(pf.lines.reduce((s, l) => s + l.monthlyWithoutDDN, 0), pf.nodesWithoutDDN * rate, "GPU-only cost");
+    close(pf.lines.reduce((s, l) => s + l.monthlyWithDDN, 0), pf.nodesWithDDN * rate + pf.ddnMonthlyCost, "DDN cost");
+    for (const l of pf.lines) close(l.monthlySavings, l.monthlyWithoutDDN - l.monthlyWithDDN, l.line.name);
+  });
+
+  test("no lines, no portfolio", () => {
+    assert.equal(computePortfolio(DEFAULT_CONFIG), null);
+    assert.equal(computePortfolio({ ...cfg, gpu: "TPUv9" }), null);
+  });
+});
+
+describe("computeForecast", () => {
+  const cfg = {
+    ...DEFAULT_CONFIG, concurrentSessions: 100,
+    forecast: { months: 18, sessionGrowthPct: 10, contextGrowthPct: 2, upgrades: [{ month: 9, llm: "llama3_405b" }] },
+  };
+  const fc = computeForecast(cfg);
+
+  test("month 1 is today's workload, compounding from there", () => {
+    assert.equal(fc.months.length, 18);
+    assert.equal(fc.months[0].sessions, cfg.concurrentSessions);
+    assert.equal(fc.months[0].inputTokens, cfg.inputTokens);
+    assert.equal(fc.months[12].sessions, Math.round(cfg.concurrentSessions * 1.1 ** 12));
+    assert.equal(fc.months[12].inputTokens, Math.round(cfg.inputTokens * 1.02 ** 12));
+  });
+
+  test("an upgrade serves its model from its month on", () => {
+    assert.deepEqual(fc.upgradeMonths, [9]);
+    assert.ok(fc.months.slice(0, 8).every(m => m.llm === cfg.llm));
+    assert.ok(fc.months.slice(8).every(m => m.llm === "llama3_405b"));
+    assert.equal(fc.unfitMonth, 9, "405B outgrows one node");
+    // an upgrade to a model that no longer exists is skipped
+    const gone = computeForecast({ ...cfg, forecast: { ...cfg.forecast, upgrades: [{ month: 9, llm: "custom_deleted" }] } });
+    assert.ok(gone.months.every(m => m.llm === cfg.llm));
+    assert.deepEqual(gone.upgradeMonths, []);
+  });
+
+  test("costs accumulate month by month", () => {
+    let without = 0, withDDN = 0;
+    for (const m of fc.months) {
+      assert.equal(m.monthlyWithoutDDN, m.nodesWithoutDDN * cfg.monthlyRate);
+      close(m.monthlyWithDDN, m.nodesWithDDN * cfg.monthlyRate + m.ph.ddnMonthlyCost, `month ${m.month}`);
+      without += m.monthlyWithoutDDN;
+      withDDN += m.monthlyWithDDN;
+      close(m.cumulativeSavings, without - withDDN, `month ${m.month} savings`);
+    }
+    close(fc.cumulativeSavings, without - withDDN, "total savings");
+    assert.equal(fc.peakNodesWithoutDDN, Math.max(...fc.months.map(m => m.nodesWithoutDDN)));
+  });
+
+  test("flags the first month that offloads", () => {
+    const first = fc.months.find(m => m.ph.isOffloading);
+    assert.ok(first?.month > 1, "growth outgrows HBM");
+    assert.equal(fc.ceilingMonth, first.month);
+    assert.ok(fc.months.slice(0, first.month - 1).every(m => !m.ph.isOffloading));
+    assert.equal(computeForecast({ ...cfg, concurrentSessions: 1, forecast: { months: 12 } }).ceilingMonth, null);
+  });
+});
+
+describe("computeTCO", () => {
+  const cfg = { ...DEFAULT_CONFIG, concurrentSessions: 400, contractMonths: 36 };
+  const ph = computePhysics(cfg);
+  const gpu = GPU_PRESETS[cfg.gpu], f = DEFAULT_FACILITY;
+
+  test("costs each architecture's nodes, power, racks and network over the contract", () => {
+    const tco = computeTCO(cfg, ph);
+    const [without, withDDN] = tco.architectures;
+    assert.equal(without.nodes, ph.nodesWithoutDDN);
+    assert.equal(withDDN.nodes, ph.nodesWithDDN);
+    for (const a of tco.architectures) {
+      const storage = a.key === "withDDN";
+      close(a.costs.gpu, a.nodes * cfg.monthlyRate * 36, `${a.key} GPUs`);
+      close(a.costs.network, a.nodes * f.networkCostPerNode, `${a.key} network`);
+      close(a.powerKW, a.nodes * gpu.tdpKW + (storage ? ph.storage.tier.powerKW : 0), `${a.key} power`);
+      close(a.costs.power, a.powerKW * f.pue * 24 * 365 / 12 * 36 * f.powerCostPerKWh, `${a.key} power cost`);
+      // racks hold whichever runs out first, rack units or power
+      assert.equal(a.racks, Math.ceil(Math.max(a.rackUnits / f.rackUnitsPerRack, a.powerKW / f.kWPerRack)));
+      close(a.costs.storage, storage ? ph.storage.upfront + ph.storage.monthly * 36 : 0, `${a.key} storage`);
+      close(a.total, Object.values(a.costs).reduce((t, c) => t + c, 0), `${a.key} total`);
+      close(a.monthly, a.total / 36, `${a.key} monthly`);
+    }
+    close(tco.savings, without.total - withDDN.total, "savings");
+    close(tco.savingsPct, tco.savings / without.total * 100, "savings %");
+  });
+
+  test("capex buys the nodes once", () => {
+    const rental = computeTCO(cfg, ph), capex = computeTCO(cfg, ph, "capex");
+    capex.architectures.forEach((a, i) => {
+      assert.equal(a.costs.gpu, a.nodes * gpu.capex);
+      const { gpu: _, ...rest } = a.costs, { gpu: __, ...rentalRest } = rental.architectures[i].costs;
+      assert.deepEqual(rest, rentalRest, "only the GPU line changes");
+    });
+  });
+
+  test("takes a portfolio as well as a single workload", () => {
+    const pf = computePortfolio({ ...cfg, portfolio: [newPortfolioLine(cfg, "A"), { ...newPortfolioLine(cfg, "B"), llm: "llama3_8b" }] });
+    const tco = computeTCO(cfg, pf);
+    assert.deepEqual(tco.architectures.map(a => a.nodes), [pf.nodesWithoutDDN, pf.nodesWithDDN]);
+  });
+});
+
+describe("computeBOM", () => {
+  const base = { ...DEFAULT_CONFIG, concurrentSessions: 400, contractMonths: 36 };
+
+  for (const model of Object.keys(PRICING_MODELS)) {
+    for (const procurement of ["rental", "capex"]) {
+      test(`ties out to the TCO's GPU, network and storage costs (${model} storage, ${procurement})`, () => {
+        const cfg = { ...base, storagePricing: { ...base.storagePricing, model } };
+        const ph = computePhysics(cfg);
+        const tco = computeTCO(cfg, ph, procurement), bom = computeBOM(cfg, ph, procurement);
+        bom.architectures.forEach((a, i) => {
+          const { costs } = tco.architectures[i];
+          close(a.total, costs.gpu + costs.network + costs.storage, a.key);
+          close(a.total, a.lines.reduce((t, l) => t + l.extended, 0), `${a.key} lines`);
+          for (const l of a.lines) close(l.extended, l.quantity * l.unitPrice * (l.months ?? 1), l.description);
+        });
+        close(bom.savings, bom.architectures[0].total - bom.architectures[1].total, "savings");
+      });
+    }
+  }
+
+  test("one fabric port per GPU, plus the storage's own at no charge", () => {
+    const ph = computePhysics(base);
+    const [without, withDDN] = computeBOM(base, ph).architectures;
+    const ports = (a) => a.lines.filter(l => l.part === "400 Gb/s fabric port");
+    assert.deepEqual(ports(without).map(l => l.quantity), [ph.nodesWithoutDDN * ph.gpu.gpus]);
+    const [compute, storage] = ports(withDDN);
+    assert.equal(compute.quantity, ph.nodesWithDDN * ph.gpu.gpus);
+    assert.equal(storage.quantity, Math.ceil(ph.storage.tier.bandwidthGBps / FABRIC_PORT_GBPS));
+    assert.equal(storage.extended, 0);
+  });
+});
@@ -1,39 +1,38 @@
 import { useState, useEffect, useCallback, useRef } from "react";
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
-  ResponsiveContainer, AreaChart, Area, LineChart, Line, ReferenceLine
+  ResponsiveContainer, AreaChart, Area, LineChart, Line, ReferenceLine, ComposedChart
 } from "recharts";
 import {
   Server, Database, Zap, TrendingUp, BookOpen, X, Download,
   Upload, AlertTriangle, CheckCircle, ChevronRight, Activity,
   DollarSign, Cpu, HardDrive, Clock, Users, Shield, FileText,
-  ChevronDown, Info
+  ChevronDown, Info, Calendar, Link, FolderOpen, GitCompare, Pin, Sliders
 } from "lucide-react";
+import {
+  GPU_PRESETS, FRAMEWORK_PRESETS, WEIGHT_DTYPES, KV_DTYPES, MODEL_FIELDS, ATTENTION_TYPES,
+  KV_TIERS, TIER_FIELDS, HBM_COST_PER_GB, PREFILL_MFU, DEFAULT_CONFIG, LOAD_PROFILES,
+  computeLoadProfile, parseLoadProfile, profileShares, FORECAST_HORIZONS, computeForecast,
+  STORAGE_PERFORMANCE_TIERS, SUPPORT_TERMS, PRICING_MODELS, STORAGE_HEADROOM, storageInvestment,
+  DEFAULT_FACILITY, FACILITY_FIELDS, TCO_CATEGORIES, computeTCO, computeBOM, TOKEN_COST_BASES, computeTokenCosts,
+  PORTFOLIO_LINE_FIELDS, computePhysics, computePortfolio, newPortfolioLine, kvQuantizationImpact, recomputeVsRestore, withFramework,
+  allModels, customModelKey, validateModel, importHFConfig, MAX_COMPARED, compareConfigs,
+  DEFAULT_SENSITIVITY, SENSITIVITY_INPUTS, SENSITIVITY_METRICS, HEATMAP_AXES, HEATMAP_FACTORS, CAPACITY_STATES, computeSensitivity,
+} from "./kv-cache-engine.js";
+import {
+  ARRIVAL_PATTERNS, EVICTION_POLICIES, SIM_TIERS, DEFAULT_SIMULATION,
+  simulate, defaultArrivalRatePerMin,
+} from "./kv-cache-sim.js";
+import { DEFAULT_SLO, BINDING_CONSTRAINTS, solveSLO } from "./kv-cache-solver.js";
+import { parseConfig, serializeConfig } from "./kv-cache-config.js";
+import { REPORT_FORMATS, BOM_FORMATS, buildReport } from "./kv-cache-report.js";
+import {
+  configHash, configFromHash, shareUrl,
+  listConfigs, saveConfig, updateConfig, duplicateConfig, deleteConfig,
+} from "./kv-cache-library.js";
+import { useNumberDraft } from "./kv-cache-components.js";
 
-// ── CONSTANTS ────────────────────────────────────────────────────────────────
-
-const GPU_PRESETS = {
-  H100_SXM5: { name: "H100 SXM5 (8× node)", vram: 640, hourly: 32, capex: 400000, monthly: 85000, dtype: "H100 SXM5 8×GPU" },
-  H200_SXM5: { name: "H200 SXM5 (8× node)", vram: 1128, hourly: 48, capex: 600000, monthly: 130000, dtype: "H200 SXM5 8×GPU" },
-  A100_SXM4: { name: "A100 SXM4 (8× node)", vram: 640, hourly: 20, capex: 280000, monthly: 55000, dtype: "A100 SXM4 8×GPU" },
-  L40S_8x:   { name: "L40S (8× node)",       vram: 384, hourly: 12, capex: 160000, monthly: 32000, dtype: "L40S 8×GPU" },
-  H100_SXM5_single: { name: "H100 SXM5 (single GPU)", vram: 80, hourly: 4,  capex: 50000, monthly: 10625, dtype: "H100 SXM5" },
-  A100_SXM4_single: { name: "A100 SXM4 (single GPU)", vram: 80, hourly: 2.5,capex: 35000, monthly: 6875,  dtype: "A100 SXM4" },
-  L40S_single:      { name: "L40S (single GPU)",       vram: 48, hourly: 1.5,capex: 20000, monthly: 4000,  dtype: "L40S" },
-};
-
-const LLM_PRESETS = {
-  llama3_8b:   { name: "Llama 3 8B",    params: 8,   layers: 32,  heads: 32,  kv_heads: 8,  head_dim: 128 },
-  llama3_70b:  { name: "Llama 3 70B",   params: 70,  layers: 80,  heads: 64,  kv_heads: 8,  head_dim: 128 },
-  llama3_405b: { name: "Llama 3 405B",  params: 405, layers: 126, heads: 128, kv_heads: 8,  head_dim: 128 },
-  mixtral_8x7b:{ name: "Mixtral 8×7B",  params: 47,  layers: 32,  heads: 32,  kv_heads: 8,  head_dim: 128 },
-  mixtral_8x22b:{ name: "Mixtral 8×22B",params: 141, layers: 56,  heads: 48,  kv_heads: 8,  head_dim: 128 },
-};
-
-const FRAMEWORK_PRESETS = {
-  vllm:       { name: "vLLM",          overhead: 1.15, desc: "PagedAttention, open source" },
-  tensorrt:   { name: "TensorRT-LLM",  overhead: 1.25, desc: "NVIDIA optimized, lower latency" },
-};
+// ── SCENARIOS ────────────────────────────────────────────────────────────────
 
 const SCENARIOS = {
   longContext: {
@@ -62,85 +61,11 @@ const SCENARIOS = {
     icon: "🤖",
     desc: "Multi-turn reasoning chains, RAG pipelines — high KV Cache reuse across turns",
     inputTokens: 16000, outputTokens: 4000, concurrentSessions: 100,
+    sharedPrefixTokens: 2000, ragOverlap: 0.25, multiTurnReuse: 0.6,
     gpu: "H200_SXM5", llm: "llama3_405b", framework: "vllm",
   },
 };
 
-const DDN_BANDWIDTH = 200;   // GB/s
-const NAS_BANDWIDTH = 10;    // GB/s
-const BYTES_PER_PARAM = 2;   // FP16
-const BILLION = 1e9;
-
-// ── PHYSICS ENGINE ───────────────────────────────────────────────────────────
-
-function computePhysics(cfg) {
-  const gpu    = GPU_PRESETS[cfg.gpu];
-  const llm    = LLM_PRESETS[cfg.llm];
-  const fw     = FRAMEWORK_PRESETS[cfg.framework];
-  if (!gpu || !llm || !fw) return null;
-
-  // VRAM components (GB)
-  const modelWeightsGB = (llm.params * BILLION * BYTES_PER_PARAM) / 1e9;
-  const engineOverheadGB = modelWeightsGB * (fw.overhead - 1);
-
-  // KV Cache per session (GB)
-  // 2 (K+V) * layers * kv_heads * head_dim * (inputTokens + outputTokens) * 2 bytes
-  const totalTokens = cfg.inputTokens + cfg.outputTokens;
-  const kvPerSessionBytes = 2 * llm.layers * llm.kv_heads * llm.head_dim * totalTokens * BYTES_PER_PARAM;
-  const kvPerSessionGB = kvPerSessionBytes / 1e9;
-
-  const kvTotalGB = kvPerSessionGB * cfg.concurrentSessions;
-  const totalVRAMNeeded = modelWeightsGB + engineOverheadGB + kvTotalGB;
-
-  const physicalVRAM = gpu.vram;
-  const availableForKV = physicalVRAM - modelWeightsGB - engineOverheadGB;
-  const kvOverflow = Math.max(0, kvTotalGB - availableForKV);
-  const isOffloading = kvOverflow > 0;
-  const utilizationPct = Math.min(100, (totalVRAMNeeded / physicalVRAM) * 100);
-
-  // Sessions that fit in VRAM without offloading
-  const sessionsInVRAM = Math.max(0, Math.floor(availableForKV / kvPerSessionGB));
-
-  // Restore time (seconds) - time to reload one session's KV from storage
-  const restoreTimeDDN = kvPerSessionGB / DDN_BANDWIDTH;
-  const restoreTimeNAS = kvPerSessionGB / NAS_BANDWIDTH;
-
-  // Sustainable swaps per hour
-  const avgSessionTimeSec = 30; // assume 30s avg session
-  const swapsPerHourDDN = kvOverflow > 0 ? Math.floor(3600 / (avgSessionTimeSec + restoreTimeDDN)) * (cfg.concurrentSessions - sessionsInVRAM) : cfg.concurrentSessions * 120;
-  const swapsPerHourNAS = kvOverflow > 0 ? Math.floor(3600 / (avgSessionTimeSec + restoreTimeNAS)) * (cfg.concurrentSessions - sessionsInVRAM) : cfg.concurrentSessions * 10;
-
-  // GPU nodes needed
-  const nodesWithoutDDN = Math.ceil(totalVRAMNeeded / physicalVRAM);
-  const nodesWithDDN = Math.ceil((modelWeightsGB + engineOverheadGB + kvPerSessionGB * Math.min(sessionsInVRAM, cfg.concurrentSessions * 0.3)) / physicalVRAM);
-  const nodesAvoided = Math.max(0, nodesWithoutDDN - nodesWithDDN);
-
-  // Economics
-  const monthlyRentalPerNode = cfg.monthlyRate;
-  const monthlyRentalSavings = nodesAvoided * monthlyRentalPerNode;
-  const contractSavings = monthlyRentalSavings * cfg.contractMonths;
-  const capexAvoidance = nodesAvoided * gpu.capex;
-  const annualOpexSavings = nodesAvoided * gpu.hourly * 24 * 365;
-
-  // System overload check
-  const isSystemOverload = isOffloading && restoreTimeNAS > 5;
-
-  // Throughput ratio
-  const throughputGainPct = kvOverflow > 0 ? Math.round((DDN_BANDWIDTH / NAS_BANDWIDTH - 1) * 100) : 0;
-
-  return {
-    modelWeightsGB, engineOverheadGB, kvTotalGB, kvPerSessionGB,
-    totalVRAMNeeded, physicalVRAM, availableForKV, kvOverflow,
-    isOffloading, utilizationPct, sessionsInVRAM,
-    restoreTimeDDN, restoreTimeNAS,
-    swapsPerHourDDN, swapsPerHourNAS,
-    nodesWithoutDDN, nodesWithDDN, nodesAvoided,
-    monthlyRentalSavings, contractSavings, capexAvoidance, annualOpexSavings,
-    throughputGainPct, isSystemOverload,
-    gpu, llm, fw,
-  };
-}
-
 // ── HELPERS ──────────────────────────────────────────────────────────────────
 
 const fmt = {
@@ -151,6 +76,43 @@ const fmt = {
   num: (n) => Math.round(n).toLocaleString(),
 };
 
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const hourLabel = (h, length) => length > 24 ? `${WEEKDAYS[Math.floor(h / 24)]} ${h % 24}:00` : `${h}:00`;
+
+// Line colours for restore tiers on the recompute-vs-restore chart
+const TIER_COLORS = { dram: "#a78bfa", nvme: "#34d399", ddn: "#22d3ee", nas: "#f59e0b" };
+// One color per pinned config in the Compare tab, baseline first
+const PIN_COLORS = ["#22d3ee", "#f59e0b", "#a78bfa", "#22c55e"];
+
+// Heatmap cell colors by capacity state
+const STATE_STYLES = {
+  fit:      "bg-green-500/25 text-green-300",
+  offload:  "bg-amber-500/25 text-amber-300",
+  overload: "bg-red-500/30 text-red-300",
+  nofit:    "bg-slate-700 text-slate-400",
+};
+
+// A computePhysics output field for the diff table
+const fmtField = (v) => {
+  if (typeof v === "boolean") return v ? "yes" : "no";
+  if (typeof v !== "number") return v ?? "—";
+  if (!Number.isFinite(v)) return v > 0 ? "∞" : "—";
+  if (Number.isInteger(v)) return v.toLocaleString();
+  return Math.abs(v) < 1 ? v.toPrecision(3) : v.toLocaleString(undefined, { maximumFractionDigits: 2 });
+};
+
+const TCO_COLORS = { gpu: "#22d3ee", power: "#f59e0b", space: "#a78bfa", network: "#64748b", storage: "#22c55e" };
+
+// Segments of ph.hbm, in the order they are drawn on the HBM bar
+const HBM_SEGMENTS = [
+  { key: "weights",       label: "Model Weights",       short: "Weights",  bg: "bg-blue-600",   fill: "#2563eb" },
+  { key: "activations",   label: "Activation Workspace", short: "Act.",    bg: "bg-indigo-500", fill: "#6366f1" },
+  { key: "cudaGraphs",    label: "CUDA Graphs",         short: "Graphs",   bg: "bg-violet-500", fill: "#8b5cf6" },
+  { key: "kv",            label: "KV Cache (in VRAM)",  short: "KV Cache", bg: "bg-amber-500",  fill: "#f59e0b" },
+  { key: "fragmentation", label: "Block Fragmentation", short: "Frag.",    bg: "bg-orange-700", fill: "#c2410c" },
+  { key: "reserved",      label: "Reserved Headroom",   short: "Reserved", bg: "bg-slate-500",  fill: "#64748b" },
+];
+
 // ── TOOLTIP ──────────────────────────────────────────────────────────────────
 
 function Tip({ label, children }) {
@@ -199,6 +161,16 @@ function MetricCard({ label, value, sub, icon: Icon, color = "cyan", warn }) {
   );
 }
 
+// ── NUMBER INPUT ─────────────────────────────────────────────────────────────
+
+// Holds what's typed until blur or Enter, then reports it if it's in range
+// (see useNumberDraft); a bad entry gets a red border and is dropped on blur.
+function NumberInput({ value, min, max, step, integer, optional, placeholder, onChange, className }) {
+  const { invalid, inputProps } = useNumberDraft({ value, min, max, integer, optional, onChange });
+  return <input {...inputProps} min={min} max={max} step={step} placeholder={placeholder}
+    className={className} style={invalid ? { borderColor: "#ef4444" } : undefined} />;
+}
+
 // ── CUSTOM CHART TOOLTIP ─────────────────────────────────────────────────────
 
 function ChartTip({ active, payload, label }) {
@@ -217,6 +189,51 @@ function ChartTip({ active, payload, label }) {
   );
 }
 
+// ── LOAD PROFILE EDITOR ──────────────────────────────────────────────────────
+
+// One bar per hour; click or drag across the bars to draw the curve. Values
+// snap to 5% of peak.
+function LoadProfileEditor({ shares, onChange }) {
+  const draw = (e, i) => {
+    if (!(e.buttons & 1)) return;
+    const r = e.currentTarget.getBoundingClientRect();
+    const v = Math.round(Math.min(1, Math.max(0, (r.bottom - e.clientY) / r.height)) * 20) / 20;
+    if (v !== shares[i]) onChange(shares.map((s, j) => j === i ? v : s));
+  };
+  return (
+    <div className="flex items-end gap-px h-24 select-none cursor-crosshair">
+      {shares.map((s, i) => (
+        <div key={i} onMouseDown={e => draw(e, i)} onMouseMove={e => draw(e, i)} title={`${hourLabel(i, shares.length)} — ${Math.round(s * 100)}%`}
+          className="flex-1 h-full flex items-end bg-slate-900/60 rounded-sm">
+          <div className="w-full bg-cyan-500/70 rounded-sm" style={{ height: `${Math.min(100, s * 100)}%` }} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Pasted hourly values, parsed by parseLoadProfile; onApply gets the result
+// once it parses cleanly. Its own component, so the text survives App renders.
+function LoadProfilePaste({ onApply }) {
+  const [paste, setPaste] = useState("");
+  const [errors, setErrors] = useState([]);
+  const apply = () => {
+    const r = parseLoadProfile(paste);
+    setErrors(r.errors);
+    if (!r.errors.length) onApply(r);
+  };
+  return (
+    <>
+      <div className="flex gap-2 mt-3">
+        <textarea value={paste} onChange={e => setPaste(e.target.value)} rows={1} placeholder="Paste 24 or 168 values — shares of peak, or session counts"
+          className="flex-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono resize-y" />
+        <button onClick={apply} className="text-xs text-cyan-400 hover:text-cyan-300 px-2">Apply</button>
+      </div>
+      {errors.length > 0 && <div className="text-xs text-red-400 mt-1">{errors.join(" · ")}</div>}
+    </>
+  );
+}
+
 // ── SELLER'S GUIDE MODAL ─────────────────────────────────────────────────────
 
 function SellersGuide({ onClose }) {
@@ -240,7 +257,7 @@ function SellersGuide({ onClose }) {
           <h4 className="text-sm font-bold text-white mb-2">The Three Components of GPU Memory Consumption</h4>
           <div className="space-y-2 text-sm">
             <div className="flex gap-3"><span className="text-cyan-400 font-mono w-32 shrink-0">Model Weights</span><span className="text-slate-300">The static parameters of the neural network. A 70B parameter model in FP16 precision requires ~140GB of VRAM. This never changes at runtime.</span></div>
-            <div className="flex gap-3"><span className="text-cyan-400 font-mono w-32 shrink-0">Engine Overhead</span><span className="text-slate-300">Memory consumed by the inference framework (vLLM, TensorRT-LLM) for runtime state, CUDA kernels, and paged memory management. Typically 15–25% above model weights.</span></div>
+            <div className="flex gap-3"><span className="text-cyan-400 font-mono w-32 shrink-0">Engine Overhead</span><span className="text-slate-300">Memory the inference framework (vLLM, TensorRT-LLM) holds outside weights and KV: the activation workspace for the largest batch, captured CUDA graphs, and the HBM headroom it is told to leave unclaimed. Paged KV blocks also round every session up to a whole block.</span></div>
             <div className="flex gap-3"><span className="text-amber-400 font-mono w-32 shrink-0">KV Cache</span><span className="text-slate-300">Dynamic memory that grows with context length and concurrent session count. This is the bottleneck. It scales as: 2 × layers × KV heads × head dimension × total tokens × 2 bytes.</span></div>
           </div>
         </div>
@@ -330,7 +347,7 @@ function SellersGuide({ onClose }) {
         {[
           ["\"We'll just add more GPUs.\"", "That's exactly the pattern DDN eliminates. More GPUs don't fix the KV Cache problem — they defer it. As your context windows grow and concurrency scales, you'll hit the same wall on the next cluster. DDN changes the cost curve permanently, not just for this purchase."],
           ["\"Our NAS is fast enough.\"", "Standard NAS delivers 10–20 GB/s. A single 32K-token Llama 70B session generates ~17GB of KV state. At 10 GB/s, restoring that context takes 1.7 seconds — before you've generated a single output token. Multiply by concurrent sessions and you have a system that's spending more time doing I/O than inference. Run the numbers for your specific workload in this tool."],
-          ["\"We use vLLM's built-in KV eviction.\"", "vLLM's eviction policy is a concurrency cap, not a solution. When the scheduler evicts KV Cache, it has to recompute the prefill for that session on the next request — a full forward pass over the entire context. For 32K+ token contexts, that's seconds of compute per session. DDN offload preserves the state and recalls it at storage bandwidth, which is faster than recomputation at scale."],
+          ["\"We use vLLM's built-in KV eviction.\"", "vLLM's eviction policy is a concurrency cap, not a solution. When the scheduler evicts KV Cache, it has to recompute the prefill for that session on the next request — a full forward pass over the entire context. For 32K+ token contexts, that's seconds of compute per session. DDN offload preserves the state and recalls it at storage bandwidth, which is faster than recomputation at scale. The Recompute vs. Restore chart on the Inference Physics tab shows where the crossover sits for your model and GPUs."],
           ["\"DDN is expensive.\"", "The question is expensive relative to what. If DDN eliminates two H100 nodes from a cluster, that's $170K in avoided CAPEX or $170K/year in avoided rental cost. DDN AI Fabric storage at that scale costs a fraction of that. The storage pays for itself in avoided GPU spend. Run the Executive Report tab to see the specific numbers for your configuration."],
           ["\"We're in the cloud, we don't need this.\"", "Cloud GPU instances have the same VRAM constraints as bare metal — often worse, because multi-tenancy limits VRAM allocation further. The KV Cache math is identical. The difference is that cloud costs are fully variable, so the over-provisioning tax is paid every month with no offsetting asset. DDN + Boost Run bare metal gives you the storage solution and a predictable cost structure."],
         ].map(([obj, resp]) => (
@@ -364,7 +381,7 @@ function SellersGuide({ onClose }) {
             "How many GPU nodes are you currently running for inference?",
             "What's your current monthly GPU infrastructure spend?",
             "Are you buying or renting? If renting, what's your contract term?",
-            "What's your projected scale 12 months from now?",
+            "What's your projected scale 12 months from now? (Enter it in the Growth Forecast tab.)",
           ]},
           { cat: "Capital Markets Specific", qs: [
             "What's your latency SLO for inference responses — P50 and P99?",
@@ -455,65 +472,397 @@ function SellersGuide({ onClose }) {
   );
 }
 
+// ── CUSTOM MODEL EDITOR ──────────────────────────────────────────────────────
+
+function ModelEditor({ initial, onSave, onDelete, onClose }) {
+  const [model, setModel] = useState(initial ?? { name: "" });
+  const [importError, setImportError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const fileRef = useRef();
+  const errors = validateModel(model);
+  const num = (v) => v === "" ? undefined : +v;
+
+  // Attention layer groups — an empty list means full attention on every layer
+  const groups = model.attention ?? [];
+  const GROUP_DEFAULTS = { full: {}, sliding: { window: 4096 }, mla: { kv_lora_rank: 512, rope_dim: 64 } };
+  const setGroups = (next) => setModel(({ attention, ...m }) => next.length ? { ...m, attention: next } : m);
+  const setGroup = (i, patch) => setGroups(groups.map((g, j) => j === i ? { ...g, ...patch } : g));
+  const setGroupType = (i, type) => setGroups(groups.map((g, j) => j === i ? { type, layers: g.layers, ...GROUP_DEFAULTS[type] } : g));
+  const addGroup = () => {
+    const covered = groups.reduce((s, g) => s + (g.layers || 0), 0);
+    setGroups([...groups, { type: "sliding", layers: Math.max(1, (model.layers ?? 0) - covered), ...GROUP_DEFAULTS.sliding }]);
+  };
+
+  const importFile = (f) => {
+    if (!f) return;
+    const r = new FileReader();
+    r.onload = (ev) => {
+      try { setModel(importHFConfig(JSON.parse(ev.target.result))); setImportError(null); }
+      catch (err) { setImportError(err.message); }
+    };
+    r.readAsText(f);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+      <div className="bg-slate-900 border border-slate-700 rounded-2xl w-full max-w-lg flex flex-col shadow-2xl">
+        <div className="flex items-center justify-between p-5 border-b border-slate-700">
+          <div className="flex items-center gap-3">
+            <Cpu className="text-cyan-400" size={20} />
+            <div className="text-base font-bold text-white">{initial ? "Edit Custom Model" : "New Custom Model"}</div>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors p-2 hover:bg-slate-800 rounded-lg">
+            <X size={18} />
+          </button>
+        </div>
+        <div className="p-5 space-y-4 overflow-y-auto max-h-[70vh]">
+          {/* HuggingFace config.json drop zone */}
+          <div
+            onDragOver={e => { e.preventDefault(); setDragging(true); }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={e => { e.preventDefault(); setDragging(false); importFile(e.dataTransfer.files[0]); }}
+            onClick={() => fileRef.current?.click()}
+            className={`border-2 border-dashed rounded-xl p-4 text-center cursor-pointer transition-colors ${dragging ? "border-cyan-400 bg-cyan-500/10" : "border-slate-700 hover:border-slate-500"}`}>
+            <Upload size={16} className="mx-auto text-cyan-400 mb-1" />
+            <div className="text-xs text-slate-300">Drop a HuggingFace <span className="font-mono text-cyan-400">config.json</span> or click to browse</div>
+            <div className="text-xs text-slate-500 mt-1">Parameter count is estimated from the config — check it against the model card</div>
+            <input ref={fileRef} type="file" accept=".json" className="hidden" onChange={e => importFile(e.target.files[0])} />
+          </div>
+          {importError && <div className="text-xs text-red-400">{importError}</div>}
+
+          <div>
+            <label className="text-xs text-slate-400 block mb-1">Name</label>
+            <input value={model.name} onChange={e => setModel(m => ({ ...m, name: e.target.value }))}
+              className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:border-cyan-500 focus:outline-none" />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            {MODEL_FIELDS.map(({ key, label }) => (
+              <div key={key}>
+                <label className="text-xs text-slate-400 block mb-1">{label}</label>
+                <input type="number" value={model[key] ?? ""} onChange={e => setModel(m => ({ ...m, [key]: num(e.target.value) }))}
+                  className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-1.5 text-sm text-white focus:border-cyan-500 focus:outline-none font-mono" />
+              </div>
+            ))}
+          </div>
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-xs text-slate-400">Attention layout</label>
+              <button onClick={addGroup} className="text-xs text-cyan-400 hover:text-cyan-300">+ Layer group</button>
+            </div>
+            {groups.length === 0 && <div className="text-xs text-slate-500">Full attention on every layer</div>}
+            <div className="space-y-2">
+              {groups.map((g, i) => (
+                <div key={i} className="flex items-end gap-2">
+                  <select value={g.type} onChange={e => setGroupType(i, e.target.value)}
+                    className="bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none">
+                    {Object.entries(ATTENTION_TYPES).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                  </select>
+                  {[
+                    { key: "layers", label: "layers" },
+                    ...(g.type === "sliding" ? [{ key: "window", label: "window" }] : []),
+                    ...(g.type === "mla" ? [{ key: "kv_lora_rank", label: "rank" }, { key: "rope_dim", label: "RoPE" }] : []),
+                  ].map(({ key, label }) => (
+                    <div key={key}>
+                      <div className="text-xs text-slate-500">{label}</div>
+                      <input type="number" value={g[key] ?? ""} onChange={e => setGroup(i, { [key]: num(e.target.value) })}
+                        className="w-20 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono" />
+                    </div>
+                  ))}
+                  <button onClick={() => setGroups(groups.filter((_, j) => j !== i))} className="text-slate-500 hover:text-red-400 ml-auto pb-2">
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+          {errors.length > 0 && (
+            <ul className="text-xs text-amber-400 space-y-0.5">
+              {errors.map(e => <li key={e}>• {e}</li>)}
+            </ul>
+          )}
+        </div>
+        <div className="flex items-center justify-between p-5 border-t border-slate-700">
+          {onDelete
+            ? <button onClick={onDelete} className="text-xs text-red-400 hover:text-red-300">Delete model</button>
+            : <span />}
+          <button onClick={() => onSave(model)} disabled={errors.length > 0}
+            className="bg-cyan-500 hover:bg-cyan-400 disabled:opacity-40 disabled:cursor-not-allowed text-slate-900 font-bold text-sm px-5 py-2 rounded-lg transition-colors">
+            Save Model
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ── CONFIG LOADING ───────────────────────────────────────────────────────────
+
+// Parses a config from outside into { config, issue }. config is null when
+// nothing usable came in; issue describes what was rejected, for the banner.
+function readConfig(source, raw, defaults) {
+  try {
+    const { config, errors } = parseConfig(raw, defaults);
+    return { config, issue: errors.length ? { source, errors } : null };
+  } catch (err) {
+    return { config: null, issue: { source, message: err.message } };
+  }
+}
+
+function LoadIssueBanner({ issue, onDismiss }) {
+  return (
+    <div className={`flex items-start gap-3 px-6 py-3 border-b text-xs ${issue.message ? "bg-red-500/10 border-red-500/30 text-red-300" : "bg-amber-500/10 border-amber-500/30 text-amber-300"}`}>
+      <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+      <div className="flex-1">
+        {issue.message ? (
+          <div><span className="font-bold">{issue.source} couldn't be loaded:</span> {issue.message}</div>
+        ) : (
+          <>
+            <div className="font-bold mb-1">{issue.source} loaded, but {issue.errors.length === 1 ? "one field was" : `${issue.errors.length} fields were`} rejected and left at their defaults:</div>
+            <ul className="space-y-0.5 font-mono">
+              {issue.errors.map(e => <li key={e.field}>• {e.field} {e.message}</li>)}
+            </ul>
+          </>
+        )}
+      </div>
+      <button onClick={onDismiss} className="hover:text-white"><X size={14} /></button>
+    </div>
+  );
+}
+
+// ── CONFIG LIBRARY ───────────────────────────────────────────────────────────
+
+function ConfigLibrary({ cfg, onLoad, onClose }) {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState("");
+  const [customer, setCustomer] = useState("");
+  const [renaming, setRenaming] = useState(null); // { id, name, customer }
+
+  // Runs a library change, then reloads the list
+  const run = async (action) => {
+    try { await action?.(); setEntries(await listConfigs()); setError(null); }
+    catch (err) { setError(err.message ?? String(err)); }
+  };
+  useEffect(() => { run(); }, []);
+
+  const customers = entries ? [...new Set(entries.map(e => e.customer))].sort((a, b) => (a === "") - (b === "") || a.localeCompare(b)) : [];
+  const inputCls = "bg-slate-800 border border-slate-700 rounded-lg px-3 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4">
+      <div className="bg-slate-900 border border-slate-700 rounded-2xl w-full max-w-2xl flex flex-col shadow-2xl">
+        <div className="flex items-center justify-between p-5 border-b border-slate-700">
+          <div className="flex items-center gap-3">
+            <FolderOpen className="text-cyan-400" size={20} />
+            <div className="text-base font-bold text-white">Saved Configurations</div>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors p-2 hover:bg-slate-800 rounded-lg">
+            <X size={18} />
+          </button>
+        </div>
+        <div className="p-5 space-y-4 overflow-y-auto max-h-[70vh]">
+          <div className="flex gap-2">
+            <input value={name} onChange={e => setName(e.target.value)} placeholder="Name" className={`${inputCls} flex-1`} />
+            <input value={customer} onChange={e => setCustomer(e.target.value)} placeholder="Customer / opportunity" className={`${inputCls} flex-1`} list="library-customers" />
+            <datalist id="library-customers">{customers.filter(Boolean).map(c => <option key={c} value={c} />)}</datalist>
+            <button onClick={() => run(async () => { await saveConfig({ name, customer, config: cfg }); setName(""); })}
+              className="bg-cyan-500 hover:bg-cyan-400 text-slate-900 font-bold text-xs px-4 py-1.5 rounded-lg transition-colors">
+              Save current
+            </button>
+          </div>
+          {error && <div className="text-xs text-red-400">{error}</div>}
+          {entries === null && !error && <div className="text-xs text-slate-500">Loading…</div>}
+          {entries?.length === 0 && <div className="text-xs text-slate-500">Nothing saved yet. Name the current configuration above to keep it.</div>}
+          {customers.map(c => (
+            <div key={c}>
+              <div className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{c || "No customer"}</div>
+              <div className="space-y-1.5">
+                {entries.filter(e => e.customer === c).map(e => (
+                  <div key={e.id} className="flex items-center gap-2 bg-slate-800/60 border border-slate-700 rounded-lg px-3 py-2">
+                    {renaming?.id === e.id ? (
+                      <>
+                        <input value={renaming.name} onChange={ev => setRenaming(r => ({ ...r, name: ev.target.value }))} className={`${inputCls} flex-1`} autoFocus />
+                        <input value={renaming.customer} onChange={ev => setRenaming(r => ({ ...r, customer: ev.target.value }))} className={`${inputCls} flex-1`} list="library-customers" />
+                        <button onClick={() => run(async () => { await updateConfig(e.id, { name: renaming.name.trim() || e.name, customer: renaming.customer.trim() }); setRenaming(null); })}
+                          className="text-xs text-cyan-400 hover:text-cyan-300">Save</button>
+                        <button onClick={() => setRenaming(null)} className="text-xs text-slate-400 hover:text-white">Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <div className="flex-1 min-w-0">
+                          <div className="text-sm text-white truncate">{e.name}</div>
+                          <div className="text-xs text-slate-500">Modified {new Date(e.modified).toLocaleString()}</div>
+                        </div>
+                        <button onClick={() => { onLoad(e.name, e.config); onClose(); }} className="text-xs text-cyan-400 hover:text-cyan-300">Load</button>
+                        <button onClick={() => run(() => updateConfig(e.id, { config: cfg }))} className="text-xs text-slate-400 hover:text-white">Overwrite</button>
+                        <button onClick={() => setRenaming({ id: e.id, name: e.name, customer: e.customer })} className="text-xs text-slate-400 hover:text-white">Rename</button>
+                        <button onClick={() => run(() => duplicateConfig(e.id))} className="text-xs text-slate-400 hover:text-white">Duplicate</button>
+                        <button onClick={() => run(() => deleteConfig(e.id))} className="text-xs text-red-400 hover:text-red-300">Delete</button>
+                      </>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ── MAIN APP ─────────────────────────────────────────────────────────────────
 
 export default function App() {
   const defaultConfig = {
-    gpu: "H100_SXM5",
-    llm: "llama3_70b",
-    framework: "vllm",
-    inputTokens: 8000,
-    outputTokens: 1500,
-    concurrentSessions: 200,
-    ddnBandwidth: DDN_BANDWIDTH,
-    nasBandwidth: NAS_BANDWIDTH,
-    monthlyRate: 85000,
-    contractMonths: 12,
+    ...DEFAULT_CONFIG,
     configMode: "node",
   };
 
-  const [cfg, setCfg] = useState(() => {
+  // Start from whatever this browser last had open; a shared link replaces
+  // it once it's decompressed (see openLink)
+  const [boot] = useState(() => {
     try {
       const saved = localStorage.getItem("kv-cache-cfg");
-      return saved ? { ...defaultConfig, ...JSON.parse(saved) } : defaultConfig;
-    } catch { return defaultConfig; }
+      return saved ? readConfig("Your last session", JSON.parse(saved), defaultConfig) : { config: null, issue: null };
+    } catch (err) {
+      return { config: null, issue: { source: "The starting configuration", message: err.message } };
+    }
   });
+  const [bootHash] = useState(() => window.location.hash); // read before the first save rewrites it
+  const [cfg, setCfg] = useState(boot.config ?? defaultConfig);
+  const [loadIssue, setLoadIssue] = useState(boot.issue);
 
   const [tab, setTab] = useState("physics");
   const [showGuide, setShowGuide] = useState(false);
+  const [editingModel, setEditingModel] = useState(null); // { key, model } — key null when new
+  const [simRun, setSimRun] = useState(null); // { result, cfgKey } — cfgKey detects stale runs
+  const [solveRun, setSolveRun] = useState(null); // same shape, for the SLO solver
+  const [priceMode, setPriceMode] = useState("rental"); // the Executive tab's procurement — kept here so edits don't reset it
+  const [customer, setCustomer] = useState(""); // who the Executive tab's report is prepared for
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [pins, setPins] = useState(() => { // [{ id, name, config }] — the Compare tab's configs, baseline first
+    try {
+      const saved = JSON.parse(localStorage.getItem("kv-cache-pins") ?? "[]");
+      return saved.map(p => ({ ...p, config: parseConfig(p.config, defaultConfig).config }));
+    } catch { return []; }
+  });
+  const [diffAll, setDiffAll] = useState(false); // list unchanged fields in the Compare diff too
   const fileRef = useRef();
 
   useEffect(() => {
-    try { localStorage.setItem("kv-cache-cfg", JSON.stringify(cfg)); } catch {}
+    try { localStorage.setItem("kv-cache-cfg", JSON.stringify(serializeConfig(cfg))); } catch {}
+    // Keep the address bar a link to exactly this analysis — unless a later
+    // edit has already replaced this one
+    let stale = false;
+    configHash(cfg).then(hash => { if (!stale) window.history.replaceState(null, "", hash); }).catch(() => {});
+    return () => { stale = true; };
   }, [cfg]);
 
+  // A shared link — the one this page opened on, or another pasted or
+  // followed in this tab — replaces the config with the link's
+  useEffect(() => {
+    const openLink = async (hash) => {
+      let linked;
+      try { linked = await configFromHash(hash); }
+      catch (err) { setLoadIssue({ source: "The shared link", message: err.message }); return; }
+      if (!linked) return;
+      const loaded = readConfig("The shared link", linked, defaultConfig);
+      if (loaded.config) setCfg(loaded.config);
+      setLoadIssue(loaded.issue);
+    };
+    openLink(bootHash);
+    const onHashChange = () => openLink(window.location.hash);
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  useEffect(() => {
+    try { localStorage.setItem("kv-cache-pins", JSON.stringify(pins.map(p => ({ ...p, config: serializeConfig(p.config) })))); } catch {}
+  }, [pins]);
+
+  const copyLink = async () => {
+    const url = await shareUrl(cfg);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
   const set = useCallback((k, v) => setCfg(p => ({ ...p, [k]: v })), []);
   const ph = computePhysics(cfg);
+  const kvq = kvQuantizationImpact(cfg);
+  const rvr = recomputeVsRestore(cfg);
+  const pf = computePortfolio(cfg);
+  const ex = pf ?? ph; // what the Executive Report totals — the portfolio when one is set
+  const fc = computeForecast(cfg);
+
+  const models = allModels(cfg);
+  const isCustomModel = !!cfg.customModels?.[cfg.llm];
+
+  const saveModel = (model) => {
+    setCfg(p => {
+      const key = editingModel.key ?? customModelKey(model.name, p.customModels);
+      return { ...p, llm: key, customModels: { ...p.customModels, [key]: model } };
+    });
+    setEditingModel(null);
+  };
+
+  const deleteModel = () => {
+    setCfg(p => {
+      const { [editingModel.key]: _, ...rest } = p.customModels;
+      return { ...p, customModels: rest, llm: p.llm === editingModel.key ? DEFAULT_CONFIG.llm : p.llm };
+    });
+    setEditingModel(null);
+  };
+
+  const tiers = cfg.kvTiers ?? [];
+  const setTier = (i, patch) => set("kvTiers", tiers.map((t, j) => j === i ? { ...t, ...patch } : t));
+  const moveTierUp = (i) => set("kvTiers", [...tiers.slice(0, i - 1), tiers[i], tiers[i - 1], ...tiers.slice(i + 1)]);
 
   const applyScenario = (key) => {
     const s = SCENARIOS[key];
-    setCfg(p => ({
+    setCfg(p => withFramework({
       ...p,
       inputTokens: s.inputTokens,
       outputTokens: s.outputTokens,
       concurrentSessions: s.concurrentSessions,
+      sharedPrefixTokens: s.sharedPrefixTokens ?? 0,
+      ragOverlap: s.ragOverlap ?? 0,
+      multiTurnReuse: s.multiTurnReuse ?? 0,
       gpu: s.gpu,
       llm: s.llm,
-      framework: s.framework,
       monthlyRate: GPU_PRESETS[s.gpu].monthly,
-    }));
+    }, s.framework));
   };
 
   const exportCfg = () => {
-    const blob = new Blob([JSON.stringify(cfg, null, 2)], { type: "application/json" });
+    const blob = new Blob([JSON.stringify(serializeConfig(cfg), null, 2)], { type: "application/json" });
     const a = document.createElement("a"); a.href = URL.createObjectURL(blob);
     a.download = "kv-cache-config.json"; a.click();
   };
 
+  // Replaces the config with one from outside, reporting anything rejected
+  const loadCfg = (source, raw) => {
+    const { config, issue } = readConfig(source, raw, defaultConfig);
+    if (config) setCfg(config);
+    setLoadIssue(issue);
+  };
+
   const importCfg = (e) => {
     const f = e.target.files[0]; if (!f) return;
+    e.target.value = "";
     const r = new FileReader();
-    r.onload = (ev) => { try { setCfg(p => ({ ...p, ...JSON.parse(ev.target.result) })); } catch {} };
+    r.onload = (ev) => {
+      let raw;
+      try { raw = JSON.parse(ev.target.result); }
+      catch (err) { setLoadIssue({ source: f.name, message: `not valid JSON (${err.message})` }); return; }
+      loadCfg(f.name, raw);
+    };
     r.readAsText(f);
   };
 
@@ -522,35 +871,52 @@ export default function App() {
   const vramChartData = ph ? [
     {
       name: "Current Config",
-      "Model Weights": +ph.modelWeightsGB.toFixed(1),
-      "Engine Overhead": +ph.engineOverheadGB.toFixed(1),
-      "KV Cache (fits)": +Math.min(ph.kvTotalGB, ph.availableForKV).toFixed(1),
+      ...Object.fromEntries(HBM_SEGMENTS.map(s => [s.label, +ph.hbm[s.key].toFixed(1)])),
       "KV Overflow": +ph.kvOverflow.toFixed(1),
-      "Available": +Math.max(0, ph.physicalVRAM - ph.totalVRAMNeeded).toFixed(1),
+      "Available": +ph.hbm.free.toFixed(1),
     }
   ] : [];
 
   const throughputData = ph ? [
-    { name: "Standard NAS\n(~10 GB/s)", swaps: Math.round(ph.swapsPerHourNAS), bandwidth: ph.nasBandwidth },
-    { name: "DDN AI Fabric\n(200 GB/s)", swaps: Math.round(ph.swapsPerHourDDN), bandwidth: ph.ddnBandwidth },
+    { name: `Standard NAS\n(${ph.nasBandwidth} GB/s)`, swaps: Math.round(ph.swapsPerHourNAS), bandwidth: ph.nasBandwidth },
+    { name: `DDN AI Fabric\n(${ph.ddnBandwidth} GB/s)`, swaps: Math.round(ph.swapsPerHourDDN), bandwidth: ph.ddnBandwidth },
   ] : [];
 
   const sessionScaleData = ph ? Array.from({ length: 10 }, (_, i) => {
     const sessions = Math.round(cfg.concurrentSessions * (0.1 + i * 0.1) * 10 / 10);
-    const kv = ph.kvPerSessionGB * sessions;
-    const overflow = Math.max(0, kv - ph.availableForKV);
+    const unique = ph.kvUniquePerSessionGB * sessions;
+    const shared = sessions > 0 ? ph.kvSharedPerReplicaGB * ph.replicas : 0;
+    const kv = unique + shared;
+    const allocated = shared + (ph.kvAllocatedPerSessionGB - ph.kvSharedPerReplicaGB) * sessions;
+    const overflow = Math.max(0, allocated - ph.availableForKV) * (kv / allocated || 0);
     return {
       sessions,
       "KV Cache (GB)": +kv.toFixed(1),
+      "Unique KV": +unique.toFixed(1),
+      "Shared Prefix KV": +shared.toFixed(1),
+      "Without Prefix Caching": +(ph.kvPerSessionGB * sessions).toFixed(1),
       "VRAM Ceiling": +ph.physicalVRAM.toFixed(0),
       "Overflow (DDN handles)": +overflow.toFixed(1),
     };
   }) : [];
 
-  const savingsData = ph ? Array.from({ length: 12 }, (_, i) => ({
-    month: `M${i + 1}`,
-    "Cumulative Rental Savings": Math.round(ph.monthlyRentalSavings * (i + 1)),
-    "Cumulative DDN Cost (est.)": Math.round(8000 * (i + 1)), // estimated DDN monthly
+  // The session-scale and savings series carried forward month by month
+  const forecastData = fc ? fc.months.map(m => ({
+    month: `M${m.month}`,
+    "VRAM Needed": +m.ph.totalVRAMNeeded.toFixed(1),
+    "VRAM Ceiling": +m.ph.physicalVRAM.toFixed(0),
+    "Overflow (DDN handles)": +m.ph.kvOverflow.toFixed(1),
+    "Nodes without DDN": m.nodesWithoutDDN,
+    "Nodes with DDN": m.nodesWithDDN,
+    "Cumulative Cost — without DDN": Math.round(m.cumulativeWithoutDDN),
+    "Cumulative Cost — with DDN": Math.round(m.cumulativeWithDDN),
+    "Cumulative Savings": Math.round(m.cumulativeSavings),
+  })) : [];
+
+  const savingsData = ph ? storageInvestment(ex, "rental").months.map(m => ({
+    month: `M${m.month}`,
+    "Cumulative Rental Savings": Math.round(m.savings),
+    "Cumulative DDN Cost": Math.round(m.storageCost),
   })) : [];
 
   // ── SIDEBAR ────────────────────────────────────────────────────────────────
@@ -597,8 +963,14 @@ export default function App() {
           </div>
           <select value={cfg.llm} onChange={e => set("llm", e.target.value)}
             className="w-full bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:border-cyan-500 focus:outline-none">
-            {Object.entries(LLM_PRESETS).map(([k, v]) => <option key={k} value={k}>{v.name} ({v.params}B params)</option>)}
+            {Object.entries(models).map(([k, v]) => <option key={k} value={k}>{v.name} ({v.params}B params)</option>)}
           </select>
+          <div className="flex gap-3 mt-1.5">
+            <button onClick={() => setEditingModel({ key: null, model: null })} className="text-xs text-cyan-400 hover:text-cyan-300">+ Custom / import config.json</button>
+            {isCustomModel && (
+              <button onClick={() => setEditingModel({ key: cfg.llm, model: cfg.customModels[cfg.llm] })} className="text-xs text-slate-400 hover:text-white">Edit</button>
+            )}
+          </div>
         </div>
 
         {/* Framework */}
@@ -609,12 +981,82 @@ export default function App() {
           </div>
           <div className="grid grid-cols-2 gap-2">
             {Object.entries(FRAMEWORK_PRESETS).map(([k, v]) => (
-              <button key={k} onClick={() => set("framework", k)}
+              <button key={k} onClick={() => setCfg(p => withFramework(p, k))}
                 className={`p-2 rounded-lg text-xs font-semibold border transition-all ${cfg.framework === k ? "bg-cyan-500/20 border-cyan-500 text-cyan-400" : "bg-slate-800 border-slate-700 text-slate-400 hover:border-slate-600"}`}>
                 {v.name}
               </button>
             ))}
           </div>
+          <div className="grid grid-cols-3 gap-2 mt-2">
+            {[
+              { key: "blockSize", label: "Block (tok)", options: [8, 16, 32, 64, 128] },
+              { key: "maxBatchTokens", label: "Batch tok", options: [2048, 4096, 8192, 16384, 32768] },
+            ].map(({ key, label, options }) => (
+              <label key={key} className="text-xs text-slate-400">
+                {label}
+                <select value={cfg[key]} onChange={e => set(key, +e.target.value)}
+                  className="w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono">
+                  {options.map(n => <option key={n} value={n}>{n.toLocaleString()}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="text-xs text-slate-400">
+              GPU mem util
+              <input type="number" min={0.5} max={0.99} step={0.01} value={cfg.gpuMemoryUtilization} onChange={e => set("gpuMemoryUtilization", Math.min(0.99, Math.max(0.5, +e.target.value)))}
+                className="w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono" />
+            </label>
+          </div>
+          <div className="text-xs text-slate-500 mt-1.5">
+            KV is allocated in {cfg.blockSize}-token blocks
+            <Tip label="Paged KV Allocation">vLLM and TensorRT-LLM hand out KV in fixed-size blocks, so each sequence rounds up to whole blocks. GPU memory utilization is the share of HBM the engine may claim; max batch tokens sizes the activation workspace reserved for prefill.</Tip>
+          </div>
+        </div>
+
+        {/* Parallelism */}
+        <div>
+          <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2">
+            Parallelism
+            <Tip label="Tensor / Pipeline Parallelism">A model replica is sharded across TP × PP GPUs: tensor parallelism splits every layer, pipeline parallelism splits the layer stack. Replicas are independent copies that serve sessions side by side — e.g. Llama 3 405B at TP=8, PP=2, or 70B replicated at TP=4.</Tip>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {[
+              { key: "tensorParallel", label: "TP", options: [1, 2, 4, 8, 16] },
+              { key: "pipelineParallel", label: "PP", options: [1, 2, 4, 8] },
+            ].map(({ key, label, options }) => (
+              <label key={key} className="text-xs text-slate-400">
+                {label}
+                <select value={cfg[key]} onChange={e => set(key, +e.target.value)}
+                  className="w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono">
+                  {options.map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="text-xs text-slate-400">
+              Replicas
+              <input type="number" min={1} max={64} value={cfg.replicas} onChange={e => set("replicas", Math.max(1, +e.target.value))}
+                className="w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono" />
+            </label>
+          </div>
+        </div>
+
+        {/* Precision */}
+        <div>
+          <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2">
+            Precision
+            <Tip label="Weight vs. KV Precision">Model weights and the KV Cache are quantized independently. FP8 weights with an FP8 KV Cache is common on H100/H200; AWQ INT4 weights usually keep an FP16 KV Cache. KV precision directly scales per-session KV size and restore time.</Tip>
+          </div>
+          {[
+            { key: "weightDtype", label: "Weights", options: WEIGHT_DTYPES },
+            { key: "kvDtype", label: "KV Cache", options: KV_DTYPES },
+          ].map(({ key, label, options }) => (
+            <div key={key} className="flex items-center gap-2 mb-2">
+              <span className="text-xs text-slate-400 w-16 shrink-0">{label}</span>
+              <select value={cfg[key]} onChange={e => set(key, e.target.value)}
+                className="flex-1 bg-slate-800 border border-slate-700 rounded-lg px-3 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none">
+                {Object.entries(options).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+              </select>
+            </div>
+          ))}
         </div>
 
         <hr className="border-slate-800" />
@@ -641,6 +1083,34 @@ export default function App() {
 
         <hr className="border-slate-800" />
 
+        {/* Prefix caching */}
+        <div>
+          <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-3">
+            Prefix Caching
+            <Tip label="Prefix Caching">Sessions that start with the same tokens can share those KV blocks instead of each holding a copy. A shared system prompt and overlapping RAG documents are stored once per replica; earlier turns of a conversation are reused rather than recomputed.</Tip>
+          </div>
+          {[
+            { key: "sharedPrefixTokens", label: "Shared System Prompt", tip: "Tokens of system prompt / tool definitions identical across every session.", min: 0, max: Math.max(0, cfg.inputTokens), step: 64, show: (v) => `${v.toLocaleString()} tok` },
+            { key: "ragOverlap", label: "RAG Document Overlap", tip: "Share of the remaining prompt that is retrieved documents other sessions also hold — popular documents retrieved by many users.", min: 0, max: 1, step: 0.05, show: (v) => `${Math.round(v * 100)}%` },
+            { key: "multiTurnReuse", label: "Multi-Turn Reuse", tip: "Share of each session's own prompt that is earlier turns of the same conversation, already cached from the previous request.", min: 0, max: 1, step: 0.05, show: (v) => `${Math.round(v * 100)}%` },
+          ].map(({ key, label, tip, min, max, step, show }) => (
+            <div key={key} className="mb-3">
+              <div className="flex justify-between items-center mb-1">
+                <span className="text-xs text-slate-400">{label}<Tip label={label}>{tip}</Tip></span>
+                <span className="text-xs font-mono text-cyan-400">{show(cfg[key])}</span>
+              </div>
+              <input type="range" min={min} max={max} step={step} value={cfg[key]}
+                onChange={e => set(key, +e.target.value)}
+                className="w-full accent-cyan-500 h-1.5 rounded" />
+            </div>
+          ))}
+          {ph && ph.prefixHitRatePct > 0 && (
+            <div className="text-xs text-slate-500">{fmt.pct(ph.prefixHitRatePct)} prefix-cache hit rate · {fmt.gb(ph.kvDedupSavingsGB)} KV deduplicated</div>
+          )}
+        </div>
+
+        <hr className="border-slate-800" />
+
         {/* Storage */}
         <div>
           <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-3">
@@ -665,6 +1135,48 @@ export default function App() {
 
         <hr className="border-slate-800" />
 
+        {/* Offload tiers */}
+        <div>
+          <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-3">
+            Offload Tiers
+            <Tip label="Offload Hierarchy">KV that does not fit in HBM spills down this list in order — each tier fills before the next is used. Host DRAM and local NVMe are per node; fabric tiers are shared by the cluster and use the bandwidth set above.</Tip>
+          </div>
+          <div className="space-y-2">
+            {tiers.map((t, i) => {
+              const preset = KV_TIERS[t.tier];
+              return (
+                <div key={i} className="bg-slate-800/50 rounded-lg p-2 border border-slate-700">
+                  <div className="flex items-center gap-1.5 mb-1.5">
+                    <span className="text-xs font-mono text-slate-500 w-3">{i + 1}</span>
+                    <select value={t.tier} onChange={e => set("kvTiers", tiers.map((x, j) => j === i ? { tier: e.target.value } : x))}
+                      className="flex-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1 text-xs text-white focus:border-cyan-500 focus:outline-none">
+                      {Object.entries(KV_TIERS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                    </select>
+                    <button disabled={i === 0} onClick={() => moveTierUp(i)} title="Move up" className="text-xs text-slate-400 hover:text-cyan-400 disabled:opacity-30 px-1">↑</button>
+                    <button onClick={() => set("kvTiers", tiers.filter((_, j) => j !== i))} title="Remove" className="text-slate-500 hover:text-red-400"><X size={12} /></button>
+                  </div>
+                  <div className="grid grid-cols-2 gap-1.5">
+                    {TIER_FIELDS.map(({ key, label, min }) => {
+                      const linked = key === "bandwidthGBps" && preset.bandwidthKey;
+                      return (
+                        <label key={key} className="text-xs text-slate-500">
+                          {label}{preset.scope === "node" && key === "capacityGB" ? " / node" : ""}
+                          <input type="number" min={min} disabled={!!linked} value={linked ? cfg[preset.bandwidthKey] : t[key] ?? preset[key]}
+                            onChange={e => setTier(i, { [key]: Math.max(min, +e.target.value) })}
+                            className="w-full mt-0.5 bg-slate-800 border border-slate-700 rounded px-1.5 py-1 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono disabled:text-slate-500" />
+                        </label>
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+          <button onClick={() => set("kvTiers", [...tiers, { tier: "nas" }])} className="mt-2 text-xs text-cyan-400 hover:text-cyan-300">+ Add tier</button>
+        </div>
+
+        <hr className="border-slate-800" />
+
         {/* Rental Economics */}
         <div>
           <div className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-3">
@@ -711,6 +1223,24 @@ export default function App() {
     return (
       <div className="space-y-6 p-6">
         {/* Warning banners */}
+        {!ph.weightsFit && (
+          <div className="flex items-start gap-3 bg-red-500/10 border border-red-500/40 rounded-xl p-4">
+            <AlertTriangle className="text-red-400 shrink-0 mt-0.5" size={18} />
+            <div>
+              <div className="text-red-400 font-bold text-sm">Model Does Not Fit — Increase TP or PP</div>
+              <div className="text-xs text-slate-300 mt-1">Each GPU must hold a {fmt.gb(ph.weightsPerGPUGB + ph.overheadPerGPUGB)} weight shard but has only {fmt.gb(ph.vramPerGPU)} of HBM at TP={cfg.tensorParallel}, PP={cfg.pipelineParallel}. Shard the model across at least {ph.gpusToFit} GPUs per replica or quantize the weights.</div>
+            </div>
+          </div>
+        )}
+        {ph.exceedsMaxContext && (
+          <div className="flex items-start gap-3 bg-amber-500/10 border border-amber-500/40 rounded-xl p-4">
+            <AlertTriangle className="text-amber-400 shrink-0 mt-0.5" size={18} />
+            <div>
+              <div className="text-amber-400 font-bold text-sm">Context Exceeds Model Limit</div>
+              <div className="text-xs text-slate-300 mt-1">{fmt.num(cfg.inputTokens + cfg.outputTokens)} tokens per session is more than {ph.llm.name}'s {fmt.num(ph.llm.max_context)}-token context window.</div>
+            </div>
+          </div>
+        )}
         {ph.isSystemOverload && (
           <div className="flex items-start gap-3 bg-red-500/10 border border-red-500/40 rounded-xl p-4">
             <AlertTriangle className="text-red-400 shrink-0 mt-0.5" size={18} />
@@ -755,36 +1285,25 @@ export default function App() {
             </h3>
             <div className="text-xs text-slate-400">{ph.gpu.name}</div>
           </div>
-          <div className="text-xs text-slate-500 mb-4">How your {fmt.gb(ph.physicalVRAM)} of GPU memory is allocated</div>
+          <div className="text-xs text-slate-500 mb-4">How your {fmt.gb(ph.physicalVRAM)} of GPU memory is allocated across {ph.deployedGPUs} GPUs ({ph.replicas} replica{ph.replicas !== 1 ? "s" : ""} × TP{cfg.tensorParallel} × PP{cfg.pipelineParallel})</div>
 
           {/* Visual VRAM bar */}
           <div className="relative h-12 rounded-lg overflow-hidden flex mb-4 border border-slate-600">
-            <div style={{ width: pct(ph.modelWeightsGB) }} className="bg-blue-600 flex items-center justify-center text-xs font-bold text-white border-r border-slate-700 shrink-0">
-              {ph.modelWeightsGB > 20 ? "Weights" : ""}
-            </div>
-            <div style={{ width: pct(ph.engineOverheadGB) }} className="bg-indigo-500 flex items-center justify-center text-xs font-bold text-white border-r border-slate-700 shrink-0">
-              {ph.engineOverheadGB > 15 ? "Overhead" : ""}
-            </div>
-            <div style={{ width: pct(Math.min(ph.kvTotalGB, ph.availableForKV)) }} className="bg-amber-500 flex items-center justify-center text-xs font-bold text-white border-r border-slate-700 shrink-0">
-              {ph.kvTotalGB > 20 ? "KV Cache" : ""}
-            </div>
-            {ph.kvOverflow > 0 && (
-              <div style={{ width: pct(Math.min(ph.kvOverflow, ph.physicalVRAM - ph.modelWeightsGB - ph.engineOverheadGB - Math.min(ph.kvTotalGB, ph.availableForKV))) }} className="bg-red-500 animate-pulse flex items-center justify-center text-xs font-bold text-white shrink-0">
-                Overflow
+            {HBM_SEGMENTS.map(s => (
+              <div key={s.key} style={{ width: pct(ph.hbm[s.key]) }} className={`${s.bg} flex items-center justify-center text-xs font-bold text-white border-r border-slate-700 shrink-0 overflow-hidden`}>
+                {ph.hbm[s.key] / ph.physicalVRAM > 0.08 ? s.short : ""}
               </div>
-            )}
-            <div className="flex-1 bg-slate-700 flex items-center justify-center text-xs text-slate-400">
-              {ph.kvOverflow === 0 ? "Free" : ""}
+            ))}
+            <div className={`flex-1 flex items-center justify-center text-xs ${ph.kvOverflow > 0 ? "bg-red-500 animate-pulse text-white font-bold" : "bg-slate-700 text-slate-400"}`}>
+              {ph.kvOverflow > 0 ? "" : "Free"}
             </div>
           </div>
 
           {/* Legend */}
           <div className="flex flex-wrap gap-4 mb-4">
             {[
-              { color: "bg-blue-600",   label: "Model Weights",   val: fmt.gb(ph.modelWeightsGB) },
-              { color: "bg-indigo-500", label: "Engine Overhead",  val: fmt.gb(ph.engineOverheadGB) },
-              { color: "bg-amber-500",  label: "KV Cache (in VRAM)", val: fmt.gb(Math.min(ph.kvTotalGB, ph.availableForKV)) },
-              { color: "bg-red-500",    label: "KV Overflow → DDN", val: ph.kvOverflow > 0 ? fmt.gb(ph.kvOverflow) : "None" },
+              ...HBM_SEGMENTS.map(s => ({ color: s.bg, label: s.label, val: fmt.gb(ph.hbm[s.key]) })),
+              { color: "bg-red-500",    label: "KV Overflow → offload tiers", val: ph.kvOverflow > 0 ? fmt.gb(ph.kvOverflow) : "None" },
             ].map(l => (
               <div key={l.label} className="flex items-center gap-1.5 text-xs">
                 <span className={`w-2.5 h-2.5 rounded-sm ${l.color}`} />
@@ -801,13 +1320,43 @@ export default function App() {
               <YAxis type="category" dataKey="name" tick={{ fill: "#94a3b8", fontSize: 11 }} width={110} />
               <Tooltip content={<ChartTip />} />
               <ReferenceLine x={ph.physicalVRAM} stroke="#ef4444" strokeDasharray="4 4" label={{ value: "VRAM Limit", fill: "#ef4444", fontSize: 10 }} />
-              <Bar dataKey="Model Weights" stackId="a" fill="#2563eb" radius={[0,0,0,0]} />
-              <Bar dataKey="Engine Overhead" stackId="a" fill="#6366f1" />
-              <Bar dataKey="KV Cache (fits)" stackId="a" fill="#f59e0b" />
+              {HBM_SEGMENTS.map(s => <Bar key={s.key} dataKey={s.label} stackId="a" fill={s.fill} />)}
               <Bar dataKey="KV Overflow" stackId="a" fill="#ef4444" />
               <Bar dataKey="Available" stackId="a" fill="#1e293b" />
             </BarChart>
           </ResponsiveContainer>
+
+          {/* Below HBM — where the overflow lands */}
+          <div className="mt-5 pt-4 border-t border-slate-700">
+            <div className="flex items-center justify-between mb-3">
+              <div className="text-xs font-bold text-slate-300">Offload Hierarchy</div>
+              <div className="text-xs text-slate-500">{ph.kvOverflow > 0 ? `avg restore ${fmt.ms(ph.restoreTimeAvgSec)} per session` : "nothing offloaded"}</div>
+            </div>
+            <div className="grid grid-cols-12 gap-2 text-xs text-slate-500 mb-1">
+              <div className="col-span-3">Tier</div><div className="col-span-4">Occupancy</div>
+              <div className="col-span-2 text-right">Sessions</div><div className="col-span-2 text-right">Restore</div><div className="col-span-1 text-right">$/GB</div>
+            </div>
+            {[
+              { name: "GPU HBM", usedGB: ph.hbm.kv, capacityGB: ph.physicalVRAM, occupancyPct: ph.utilizationPct, sessions: Math.min(ph.sessionsInVRAM, cfg.concurrentSessions), restoreTimeSec: 0, costPerGB: HBM_COST_PER_GB, hbm: true },
+              ...ph.tiers,
+            ].map((t, i) => (
+              <div key={i} className="grid grid-cols-12 gap-2 items-center text-xs py-1">
+                <div className={`col-span-3 ${t.hbm ? "text-purple-400" : "text-cyan-400"}`}>{t.name}</div>
+                <div className="col-span-4">
+                  <div className="h-2 bg-slate-700 rounded-full overflow-hidden">
+                    <div className={`h-full rounded-full ${t.hbm ? "bg-purple-500" : t.occupancyPct >= 100 ? "bg-red-500" : "bg-cyan-500"}`} style={{ width: `${Math.min(100, t.occupancyPct)}%` }} />
+                  </div>
+                  <div className="text-slate-500 font-mono mt-0.5">{fmt.gb(t.usedGB)} / {fmt.gb(t.capacityGB)}</div>
+                </div>
+                <div className="col-span-2 text-right font-mono text-white">{fmt.num(t.sessions)}</div>
+                <div className="col-span-2 text-right font-mono text-white">{t.hbm ? "—" : fmt.ms(t.restoreTimeSec)}</div>
+                <div className="col-span-1 text-right font-mono text-slate-400">{t.costPerGB}</div>
+              </div>
+            ))}
+            {ph.kvUnplacedGB > 0 && (
+              <div className="mt-2 text-xs text-red-400">{fmt.gb(ph.kvUnplacedGB)} of overflow does not fit in any tier — add capacity or another tier.</div>
+            )}
+          </div>
         </div>
 
         {/* Context restore comparison */}
@@ -839,10 +1388,12 @@ export default function App() {
             <h3 className="text-sm font-bold text-white mb-4">Session Capacity</h3>
             <div className="space-y-3">
               {[
+                { label: "Sessions per replica", val: ph.sessionsPerReplica, color: "text-slate-300" },
                 { label: "Sessions in VRAM (no offload)", val: ph.sessionsInVRAM, color: "text-green-400" },
                 { label: "Total sessions required", val: cfg.concurrentSessions, color: "text-white" },
                 { label: "Sessions needing DDN offload", val: Math.max(0, cfg.concurrentSessions - ph.sessionsInVRAM), color: "text-amber-400" },
                 { label: "Virtual VRAM sessions (DDN)", val: ph.isOffloading ? Math.max(0, cfg.concurrentSessions - ph.sessionsInVRAM) : 0, color: "text-cyan-400" },
+                ...ph.tiers.filter(t => t.usedGB > 0).map(t => ({ label: `↳ held in ${t.name}`, val: Math.round(t.sessions), color: "text-slate-300" })),
               ].map(({ label, val, color }) => (
                 <div key={label} className="flex justify-between items-center">
                   <span className="text-xs text-slate-400">{label}</span>
@@ -852,6 +1403,142 @@ export default function App() {
             </div>
           </div>
         </div>
+
+        {/* Recompute vs. restore */}
+        {rvr && (
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-1">Recompute vs. Restore
+              <Tip label="Recompute vs. Restore">When a session's KV Cache is evicted, the engine can either run prefill over the whole context again (GPU compute) or read the saved KV back from a storage tier (bandwidth). Prefill cost grows with context length and model size; restore cost grows with KV bytes per token.</Tip>
+            </h3>
+            <div className="text-xs text-slate-500 mb-4">Time to bring one evicted session back, by context length — TP{cfg.tensorParallel} at {Math.round(PREFILL_MFU * 100)}% of peak {cfg.weightDtype === "fp8" && ph.gpu.tflopsFP8 ? "FP8" : "FP16"} TFLOPS</div>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 mb-4">
+              {[
+                { label: "Cold prefill", val: fmt.ms(ph.prefillTimeSec), sub: `${cfg.inputTokens.toLocaleString()} prompt tokens` },
+                { label: "Recompute after eviction", val: fmt.ms(ph.recomputeTimeSec), sub: ph.sharedTokens > 0 ? `less ${ph.sharedTokens.toLocaleString()} cached prefix tokens` : "whole context" },
+                { label: "Restore from DDN", val: fmt.ms(ph.restoreTimeDDN), sub: ph.restoreBeatsRecompute ? `${(ph.recomputeTimeSec / ph.restoreTimeDDN).toFixed(0)}× faster than recompute` : "slower than recompute" },
+                { label: "Decode", val: fmt.ms(ph.decodeTimeSec), sub: `${fmt.ms(ph.decodeStepSec)}/token at batch ${ph.decodeBatch}` },
+              ].map(m => (
+                <div key={m.label} className="bg-slate-900/60 rounded-lg p-3">
+                  <div className="text-xs text-slate-400">{m.label}</div>
+                  <div className="text-lg font-bold font-mono text-white">{m.val}</div>
+                  <div className="text-xs text-slate-500">{m.sub}</div>
+                </div>
+              ))}
+            </div>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={rvr.points.map(p => ({ tokens: p.tokens, Recompute: +(p.recomputeSec * 1000).toFixed(2), ...Object.fromEntries(rvr.tiers.map(t => [t.name, +(p[t.tier] * 1000).toFixed(2)])) }))}
+                margin={{ top: 10, right: 20, bottom: 0, left: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="tokens" type="number" scale="log" domain={["dataMin", "dataMax"]} tickFormatter={v => v >= 1000 ? `${Math.round(v / 1000)}K` : v} tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                <YAxis scale="log" domain={["auto", "auto"]} unit="ms" allowDataOverflow tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                <Tooltip content={<ChartTip />} />
+                <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+                <ReferenceLine x={rvr.contextTokens} stroke="#64748b" strokeDasharray="4 4" label={{ value: "This config", fill: "#94a3b8", fontSize: 10 }} />
+                <Line type="monotone" dataKey="Recompute" stroke="#ef4444" strokeWidth={2.5} dot={false} />
+                {rvr.tiers.map(t => <Line key={t.tier} type="monotone" dataKey={t.name} stroke={TIER_COLORS[t.tier]} strokeWidth={1.5} dot={false} />)}
+              </LineChart>
+            </ResponsiveContainer>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 mt-3">
+              {rvr.tiers.map(t => (
+                <div key={t.tier} className="text-xs text-slate-400">
+                  <span style={{ color: TIER_COLORS[t.tier] }}>{t.name}:</span>{" "}
+                  {t.restoreAlwaysFaster ? "restore always faster" : t.crossoverTokens ? `restore faster above ${t.crossoverTokens.toLocaleString()} tokens` : "recompute always faster"}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Model sharding */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-4">Model Sharding
+            <Tip label="Per-GPU Sharding">Weights and KV Cache are split across the GPUs of a replica. Node counts are whole replicas packed onto nodes — a replica larger than one node spans several.</Tip>
+          </h3>
+          <div className="grid grid-cols-3 lg:grid-cols-6 gap-4">
+            {[
+              { label: "GPUs / replica", val: ph.gpusPerReplica },
+              { label: "Weight shard / GPU", val: fmt.gb(ph.weightsPerGPUGB) },
+              { label: "KV capacity / GPU", val: fmt.gb(ph.kvCapacityPerGPUGB) },
+              { label: "KV / session / GPU", val: fmt.gb(ph.kvPerSessionPerGPUGB) },
+              { label: "Replicas / node", val: ph.replicasPerNode > 0 ? ph.replicasPerNode : `1 per ${ph.nodesPerReplica} nodes` },
+              { label: "Nodes deployed", val: ph.nodesDeployed },
+            ].map(({ label, val }) => (
+              <div key={label} className="bg-slate-900/60 rounded-lg p-3">
+                <div className="text-xs text-slate-400 mb-1">{label}</div>
+                <div className="text-sm font-bold font-mono text-cyan-400">{val}</div>
+              </div>
+            ))}
+          </div>
+          {ph.idleGPUs > 0 && (
+            <div className="text-xs text-amber-400 mt-3">
+              {ph.idleGPUs} of the {ph.nodesDeployed * ph.gpu.gpus} GPUs on {ph.nodesDeployed === 1 ? "the node" : `the ${ph.nodesDeployed} nodes`} run no replica — their {fmt.gb(ph.idleVRAMGB)} of HBM is paid for but holds no weights or KV.
+              {ph.replicasToFillNodes > ph.replicas && ` ${ph.replicasToFillNodes} replicas would fill ${ph.nodesDeployed === 1 ? "it" : "them"}${ph.isOffloading ? " and keep more sessions in HBM" : ""}.`}
+            </div>
+          )}
+          {ph.kvReplication > 1 && (ph.kvGroups.some(g => g.type === "mla")
+            ? <div className="text-xs text-amber-400 mt-3">MLA latent KV has no heads to split — each of the {cfg.tensorParallel} TP ranks holds a full copy.</div>
+            : <div className="text-xs text-amber-400 mt-3">TP={cfg.tensorParallel} exceeds the model's {ph.llm.kv_heads} KV heads — each KV head is duplicated on {ph.kvReplication} GPUs.</div>
+          )}
+        </div>
+
+        {/* Paged KV allocation */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-4">Paged KV Allocation
+            <Tip label="Block Fragmentation">Each session holds whole {ph.blockSize}-token blocks, so the unused tail of its last block is lost to other sessions. Short sessions and large blocks waste the most.</Tip>
+          </h3>
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+            {[
+              { label: "Block size", val: `${ph.blockSize} tokens` },
+              { label: "KV blocks / GPU", val: fmt.num(ph.kvBlocksPerGPU) },
+              { label: "Blocks / session", val: fmt.num(ph.kvBlocksPerSession) },
+              { label: "Allocated / session", val: fmt.gb(ph.kvAllocatedPerSessionGB) },
+              { label: "Fragmentation", val: `${fmt.pct(ph.fragmentationPct)} · ${fmt.gb(ph.hbm.fragmentation)}` },
+            ].map(({ label, val }) => (
+              <div key={label} className="bg-slate-900/60 rounded-lg p-3">
+                <div className="text-xs text-slate-400 mb-1">{label}</div>
+                <div className="text-sm font-bold font-mono text-cyan-400">{val}</div>
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-slate-500 mt-3">
+            {fmt.pct(ph.gpuMemoryUtilization * 100)} GPU memory utilization · {fmt.gb(ph.activationGB / ph.deployedGPUs)} activation workspace per GPU for {fmt.num(ph.maxBatchTokens)} batched tokens · {fmt.gb(ph.cudaGraphGB / ph.deployedGPUs)} CUDA graphs per GPU
+          </div>
+        </div>
+
+        {/* Attention layout — only for models that aren't full attention throughout */}
+        {ph.llm.attention?.length > 0 && (
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-4">Attention Layout
+              <Tip label="KV by Layer Group">Sliding-window layers only cache the last window of tokens, so their KV stops growing past the window. MLA layers cache one compressed latent per token instead of full K and V heads.</Tip>
+            </h3>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 text-left">
+                  <th className="pb-2 font-medium">Group</th>
+                  <th className="pb-2 font-medium">Layers</th>
+                  <th className="pb-2 font-medium">Tokens cached</th>
+                  <th className="pb-2 font-medium">KV / session</th>
+                  <th className="pb-2 font-medium">Share</th>
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {ph.kvGroups.map((g, i) => (
+                  <tr key={i} className="border-t border-slate-700/60">
+                    <td className="py-2 text-slate-300 font-sans">
+                      {ATTENTION_TYPES[g.type].name}
+                      {g.type === "sliding" && <span className="text-slate-500"> · {fmt.num(g.window)} window</span>}
+                      {g.type === "mla" && <span className="text-slate-500"> · rank {g.kv_lora_rank} + {g.rope_dim} RoPE</span>}
+                    </td>
+                    <td className="py-2 text-white">{g.layers}</td>
+                    <td className="py-2 text-white">{fmt.num(g.cachedTokens)}</td>
+                    <td className="py-2 text-cyan-400">{fmt.gb(g.bytes / 1e9)}</td>
+                    <td className="py-2 text-slate-400">{fmt.pct(ph.kvPerSessionGB > 0 ? g.bytes / 1e9 / ph.kvPerSessionGB * 100 : 0)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     );
   };
@@ -860,12 +1547,25 @@ export default function App() {
 
   const DataLifecycleTab = () => {
     if (!ph) return null;
+
+    const lp = computeLoadProfile(cfg);
+    const profile = profileShares(cfg);
+    const presetKey = Object.keys(LOAD_PROFILES).find(k => LOAD_PROFILES[k].shares.join() === profile.join());
+    const hourlyData = lp.hours.map(h => ({
+      label: hourLabel(h.hour, lp.hours.length),
+      "Sessions in HBM": h.sessions - h.sessionsOffloaded,
+      "Sessions offloaded": h.sessionsOffloaded,
+      "Restore GB/s": +h.restoreGBps.toFixed(2),
+    }));
+    const applyPaste = ({ shares, peakSessions }) =>
+      setCfg(p => ({ ...p, loadProfile: shares, ...(peakSessions ? { concurrentSessions: peakSessions } : {}) }));
+
     return (
       <div className="space-y-6 p-6">
         <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
           <MetricCard label="KV per Session" value={fmt.gb(ph.kvPerSessionGB)} sub="at current token config" icon={Database} color="amber" />
           <MetricCard label="Total KV Demand" value={fmt.gb(ph.kvTotalGB)} sub={`${cfg.concurrentSessions} sessions`} icon={HardDrive} color={ph.isOffloading ? "red" : "green"} />
-          <MetricCard label="DDN Capacity Needed" value={fmt.gb(ph.kvOverflow > 0 ? ph.kvOverflow * 3 : ph.kvTotalGB * 0.5)} sub="with 3× headroom buffer" icon={Server} color="cyan" />
+          <MetricCard label="DDN Capacity Needed" value={fmt.gb(ph.ddnCapacityNeededGB)} sub={`peak overflow × ${STORAGE_HEADROOM} headroom · ${ph.storage.capacityTB} TB priced`} icon={Server} color="cyan" />
           <MetricCard label="Sessions w/ DDN" value={fmt.num(cfg.concurrentSessions)} sub={`vs ${ph.sessionsInVRAM} without`} icon={Users} color="purple" />
         </div>
 
@@ -899,16 +1599,108 @@ export default function App() {
           </ResponsiveContainer>
         </div>
 
+        {/* Prefix caching — unique vs. shared KV */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-1">Unique vs. Shared KV
+            <Tip label="KV Deduplication">With prefix caching, the shared system prompt and overlapping RAG documents are held once per replica rather than once per session. Only each session's own tokens grow with session count — and only those are offloaded and restored.</Tip>
+          </h3>
+          <div className="text-xs text-slate-500 mb-4">
+            {ph.sharedTokens > 0
+              ? `${fmt.num(ph.sharedTokens)} of ${fmt.num(cfg.inputTokens)} prompt tokens are a shared prefix, held once per replica`
+              : "No shared prefix configured — set a shared system prompt or RAG overlap in the sidebar"}
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+            {[
+              { label: "Prefix-cache hit rate", val: fmt.pct(ph.prefixHitRatePct) },
+              { label: "KV deduplicated", val: fmt.gb(ph.kvDedupSavingsGB) },
+              { label: "Effective offload", val: `${fmt.gb(ph.kvOverflow)} (vs ${fmt.gb(ph.kvOverflowNoSharingGB)})` },
+              { label: "KV written per turn", val: fmt.gb(ph.kvWritePerTurnGB) },
+            ].map(({ label, val }) => (
+              <div key={label} className="bg-slate-900/60 rounded-lg p-3">
+                <div className="text-xs text-slate-400 mb-1">{label}</div>
+                <div className="text-sm font-bold font-mono text-cyan-400">{val}</div>
+              </div>
+            ))}
+          </div>
+          <ResponsiveContainer width="100%" height={240}>
+            <ComposedChart data={sessionScaleData} margin={{ top: 10, right: 20, bottom: 0, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="sessions" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+              <YAxis unit="GB" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+              <Tooltip content={<ChartTip />} />
+              <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+              <Bar dataKey="Shared Prefix KV" stackId="kv" fill="#22d3ee" />
+              <Bar dataKey="Unique KV" stackId="kv" fill="#f59e0b" />
+              <Line type="monotone" dataKey="Without Prefix Caching" stroke="#94a3b8" strokeDasharray="4 4" strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Load profile */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-sm font-bold text-white">Load Profile
+              <Tip label="Load Profile">Concurrent sessions through the day or week, as a share of the peak in the sidebar. The cluster is sized for the peak; every hour is then checked against it — quiet hours fit in HBM, busy ones offload to storage.</Tip>
+            </h3>
+            <div className="flex items-center gap-3">
+              <select value={presetKey ?? ""} onChange={e => set("loadProfile", LOAD_PROFILES[e.target.value].shares)}
+                className="bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none">
+                {!presetKey && <option value="">Custom ({profile.length} h)</option>}
+                {Object.entries(LOAD_PROFILES).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+              </select>
+              <label className="text-xs text-slate-400 flex items-center gap-2">New sessions / slot / hr
+                <NumberInput min={0} step={0.5} value={cfg.sessionTurnoverPerHour} onChange={v => set("sessionTurnoverPerHour", v)}
+                  className="w-16 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono" />
+              </label>
+            </div>
+          </div>
+          <div className="text-xs text-slate-500 mb-3">Click or drag to draw · {profile.length === 168 ? "Monday to Sunday" : "midnight to midnight"} · full height = {fmt.num(cfg.concurrentSessions)} sessions</div>
+          <LoadProfileEditor shares={profile} onChange={v => set("loadProfile", v)} />
+          <LoadProfilePaste onApply={applyPaste} />
+
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 my-4">
+            {[
+              { label: "Hours offloading / day", val: `${lp.hoursOffloadingPerDay.toFixed(1)} h` },
+              { label: "Peak restore bandwidth", val: `${lp.peakRestoreGBps.toFixed(1)} GB/s`, sub: `at ${hourLabel(lp.peakRestoreHour, profile.length)}` },
+              { label: "Storage written / day", val: fmt.gb(lp.storageWrittenPerDayGB) },
+              { label: "Storage written / month", val: fmt.gb(lp.storageWrittenPerMonthGB) },
+            ].map(({ label, val, sub }) => (
+              <div key={label} className="bg-slate-900/60 rounded-lg p-3">
+                <div className="text-xs text-slate-400 mb-1">{label}</div>
+                <div className="text-sm font-bold font-mono text-cyan-400">{val}</div>
+                {sub && <div className="text-xs text-slate-500 mt-0.5">{sub}</div>}
+              </div>
+            ))}
+          </div>
+          {lp.hoursOverCapacityPerDay > 0 && (
+            <div className="text-xs text-red-400 mb-3">For {lp.hoursOverCapacityPerDay.toFixed(1)} h a day the overflow exceeds every offload tier's capacity — add a tier or capacity in the sidebar.</div>
+          )}
+          <ResponsiveContainer width="100%" height={220}>
+            <ComposedChart data={hourlyData} margin={{ top: 10, right: 20, bottom: 0, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="label" tick={{ fill: "#94a3b8", fontSize: 10 }} interval={profile.length === 168 ? 23 : 2} />
+              <YAxis yAxisId="s" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+              <YAxis yAxisId="bw" orientation="right" unit=" GB/s" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+              <Tooltip content={<ChartTip />} />
+              <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+              <ReferenceLine yAxisId="s" y={ph.sessionsInVRAM} stroke="#ef4444" strokeDasharray="4 4" label={{ value: `HBM holds ${fmt.num(ph.sessionsInVRAM)}`, fill: "#ef4444", fontSize: 10 }} />
+              <Bar yAxisId="s" dataKey="Sessions in HBM" stackId="s" fill="#22d3ee" />
+              <Bar yAxisId="s" dataKey="Sessions offloaded" stackId="s" fill="#f59e0b" />
+              <Line yAxisId="bw" type="monotone" dataKey="Restore GB/s" stroke="#a78bfa" strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
         {/* Daily/Monthly capacity planning */}
         <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
           <h3 className="text-sm font-bold text-white mb-4">Long-Term Storage Capacity Planning</h3>
           <div className="grid grid-cols-3 gap-4">
             {[
-              { period: "Peak Hour", multiplier: 1, unit: "hr" },
-              { period: "Daily Total (est.)", multiplier: 24 * 3, unit: "day" },
-              { period: "Monthly Total (est.)", multiplier: 24 * 3 * 30, unit: "month" },
-            ].map(({ period, multiplier, unit }) => {
-              const totalTB = (ph.kvPerSessionGB * cfg.concurrentSessions * multiplier) / 1024;
+              { period: "Peak Hour", gb: ph.kvTotalGB, unit: "hr" },
+              { period: "Daily Total", gb: ph.kvPerDayGB, unit: "day" },
+              { period: "Monthly Total", gb: ph.kvPerDayGB * 30, unit: "month" },
+            ].map(({ period, gb, unit }) => {
+              const totalTB = gb / 1024;
               return (
                 <div key={period} className="bg-slate-900/60 rounded-lg p-4 text-center">
                   <div className="text-xs text-slate-400 mb-1">{period}</div>
@@ -923,11 +1715,706 @@ export default function App() {
     );
   };
 
+  // ── PORTFOLIO TAB ──────────────────────────────────────────────────────────
+
+  const PortfolioTab = () => {
+    const lines = cfg.portfolio ?? [];
+    const setLine = (i, patch) => set("portfolio", lines.map((l, j) => j === i ? { ...l, ...patch } : l));
+    const addLine = (line) => set("portfolio", [...lines, line]);
+    const addScenario = (key) => {
+      const s = SCENARIOS[key];
+      addLine({ ...newPortfolioLine(cfg, s.name), llm: s.llm, inputTokens: s.inputTokens, outputTokens: s.outputTokens, concurrentSessions: s.concurrentSessions,
+        sharedPrefixTokens: s.sharedPrefixTokens ?? 0, ragOverlap: s.ragOverlap ?? 0, multiTurnReuse: s.multiTurnReuse ?? 0 });
+    };
+    const inputCls = "w-full bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none";
+
+    return (
+      <div className="space-y-6 p-6">
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-sm font-bold text-white">Workload Portfolio
+              <Tip label="Workload Portfolio">Several workloads sharing one cluster. GPU, framework, precision, parallelism and storage come from the sidebar; each line brings its own model, token lengths and concurrency. Weight scales a line's concurrency — 0.5 means it averages half its peak. Each line is sized on its own replicas, then all GPUs are packed onto shared nodes.</Tip>
+            </h3>
+            <div className="flex items-center gap-2">
+              <select value="" onChange={e => e.target.value && addScenario(e.target.value)}
+                className="bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-slate-300 focus:border-cyan-500 focus:outline-none">
+                <option value="">+ Add scenario…</option>
+                {Object.entries(SCENARIOS).map(([k, s]) => <option key={k} value={k}>{s.icon} {s.name}</option>)}
+              </select>
+              <button onClick={() => addLine(newPortfolioLine(cfg, `Workload ${lines.length + 1}`))}
+                className="bg-cyan-500 hover:bg-cyan-400 text-slate-900 font-bold text-xs px-3 py-1.5 rounded-lg transition-colors">+ Current workload</button>
+            </div>
+          </div>
+          <div className="text-xs text-slate-500 mb-4">
+            {lines.length ? "The Executive Report totals these lines instead of the sidebar's single workload." : "No lines yet — the report covers the sidebar's single workload. Add the current workload or a scenario to start a mix."}
+          </div>
+          {lines.length > 0 && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  {["Name", "Model", ...PORTFOLIO_LINE_FIELDS.map(f => f.label), ""].map(h => <th key={h} className="text-left py-2 pr-2 font-medium">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((l, i) => (
+                  <tr key={i} className="border-b border-slate-700/50">
+                    <td className="py-1.5 pr-2"><input value={l.name} onChange={e => setLine(i, { name: e.target.value })} className={inputCls} /></td>
+                    <td className="py-1.5 pr-2">
+                      <select value={l.llm} onChange={e => setLine(i, { llm: e.target.value })} className={inputCls}>
+                        {Object.entries(models).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                      </select>
+                    </td>
+                    {PORTFOLIO_LINE_FIELDS.map(f => (
+                      <td key={f.key} className="py-1.5 pr-2 w-24">
+                        <NumberInput min={f.min} step={f.step ?? 1} value={l[f.key]}
+                          onChange={v => setLine(i, { [f.key]: v })} className={`${inputCls} font-mono`} />
+                      </td>
+                    ))}
+                    <td className="py-1.5">
+                      <button onClick={() => set("portfolio", lines.filter((_, j) => j !== i))} className="text-slate-500 hover:text-red-400"><X size={13} /></button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {pf && <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <MetricCard label="Total VRAM Needed" value={fmt.gb(pf.totalVRAMNeeded)} sub={`${fmt.gb(pf.modelWeightsGB)} weights + ${fmt.gb(pf.kvTotalGB)} KV`} icon={Cpu} color="purple" />
+            <MetricCard label="KV Overflow" value={fmt.gb(pf.kvOverflow)} sub={`${fmt.num(pf.concurrentSessions - pf.sessionsInVRAM)} of ${fmt.num(pf.concurrentSessions)} sessions offloaded`} icon={Database} color={pf.kvOverflow > 0 ? "amber" : "green"} />
+            <MetricCard label="Restore Throughput" value={`${pf.restoreDemandGBps.toFixed(1)} GB/s`} sub={`vs. ${cfg.ddnBandwidth} GB/s DDN AI Fabric`} icon={Zap} color={pf.restoreDemandGBps > cfg.ddnBandwidth ? "red" : "cyan"} />
+            <MetricCard label="GPU Server Nodes" value={`${pf.nodesWithDDN}`} sub={`vs ${pf.nodesWithoutDDN} without DDN · ${pf.nodesAvoided} avoided`} icon={Server} color="green" />
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-4">Per-Workload Sizing</h3>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  {["Workload", "Model", "Sessions", "VRAM Needed", "KV Overflow", "Restore GB/s", "GPUs w/o DDN", "GPUs with DDN"].map(h => <th key={h} className="text-left py-2 pr-3 font-medium">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {pf.lines.map(({ line, ph: p, gpusWithoutDDN, gpusWithDDN }, i) => (
+                  <tr key={i} className="border-b border-slate-700/50">
+                    <td className="py-2 pr-3 text-white">{line.name}</td>
+                    <td className="py-2 pr-3 text-slate-300">{p.llm.name}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{fmt.num(p.concurrentSessions)}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{fmt.gb(p.totalVRAMNeeded)}</td>
+                    <td className="py-2 pr-3 font-mono text-amber-400">{fmt.gb(p.kvOverflow)}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{p.restoreDemandGBps.toFixed(1)}</td>
+                    <td className="py-2 pr-3 font-mono text-red-400">{gpusWithoutDDN}</td>
+                    <td className="py-2 pr-3 font-mono text-green-400">{gpusWithDDN}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>}
+      </div>
+    );
+  };
+
+  // ── GROWTH FORECAST TAB ────────────────────────────────────────────────────
+
+  const ForecastTab = () => {
+    if (!fc) return null;
+    const f = fc.settings;
+    const setFc = (k, v) => set("forecast", { ...cfg.forecast, [k]: v });
+    const setUpgrade = (i, patch) => setFc("upgrades", f.upgrades.map((u, j) => j === i ? { ...u, ...patch } : u));
+    const last = fc.months[fc.months.length - 1];
+    const inputCls = "w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono";
+    const markers = [
+      ...(fc.ceilingMonth ? [<ReferenceLine key="ceiling" x={`M${fc.ceilingMonth}`} stroke="#ef4444" strokeDasharray="4 4" label={{ value: "VRAM ceiling", fill: "#ef4444", fontSize: 10, position: "insideTopLeft" }} />] : []),
+      ...fc.upgradeMonths.map(m => <ReferenceLine key={`u${m}`} x={`M${m}`} stroke="#a78bfa" strokeDasharray="2 4" label={{ value: "upgrade", fill: "#a78bfa", fontSize: 10, position: "insideBottomLeft" }} />),
+    ];
+
+    return (
+      <div className="space-y-6 p-6">
+        {/* Growth inputs */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-4">Growth Assumptions
+            <Tip label="Growth Forecast">Today's workload from the sidebar grown month by month — compounding session and context growth, plus any planned model upgrades — and re-sized on the same cluster shape each month. Use the customer's answer to "What's your projected scale 12 months from now?"</Tip>
+          </h3>
+          <div className="grid grid-cols-3 gap-3 max-w-xl">
+            <label className="text-xs text-slate-400">Horizon
+              <select value={f.months} onChange={e => setFc("months", +e.target.value)} className={inputCls}>
+                {FORECAST_HORIZONS.map(m => <option key={m} value={m}>{m} months</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Session growth (% / month)
+              <NumberInput min={-50} step={0.5} value={f.sessionGrowthPct} onChange={v => setFc("sessionGrowthPct", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Context growth (% / month)
+              <NumberInput min={-50} step={0.5} value={f.contextGrowthPct} onChange={v => setFc("contextGrowthPct", v)} className={inputCls} />
+            </label>
+          </div>
+          <div className="mt-4 space-y-2 max-w-xl">
+            {f.upgrades.map((u, i) => (
+              <div key={i} className="flex items-center gap-2 text-xs text-slate-400">
+                <span>From month</span>
+                <NumberInput min={1} max={f.months} integer value={u.month} onChange={v => setUpgrade(i, { month: v })}
+                  className="w-16 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono" />
+                <span>serve</span>
+                <select value={u.llm} onChange={e => setUpgrade(i, { llm: e.target.value })}
+                  className="flex-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none">
+                  {Object.entries(models).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+                </select>
+                <button onClick={() => setFc("upgrades", f.upgrades.filter((_, j) => j !== i))} className="text-slate-500 hover:text-red-400"><X size={13} /></button>
+              </div>
+            ))}
+            <button onClick={() => setFc("upgrades", [...f.upgrades, { month: Math.min(f.months, 9), llm: cfg.llm }])} className="text-xs text-cyan-400 hover:text-cyan-300">+ Model upgrade</button>
+          </div>
+        </div>
+
+        {fc.unfitMonth && (
+          <div className="flex items-start gap-3 bg-red-500/10 border border-red-500/40 rounded-xl p-4">
+            <AlertTriangle className="text-red-400 shrink-0 mt-0.5" size={18} />
+            <div className="text-sm text-red-300">From month {fc.unfitMonth} the model's weights no longer fit a {cfg.tensorParallel} × {cfg.pipelineParallel} (TP × PP) replica — node counts from then on are not servable. Raise pipeline parallelism or quantize the weights.</div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <MetricCard label="VRAM Ceiling Crossed" value={fc.ceilingMonth === 1 ? "Today" : fc.ceilingMonth ? `Month ${fc.ceilingMonth}` : "Not yet"}
+            sub={fc.ceilingMonth ? `${fmt.num(fc.months[fc.ceilingMonth - 1].sessions)} sessions` : `within ${f.months} months`} icon={AlertTriangle} color={fc.ceilingMonth ? "red" : "green"} />
+          <MetricCard label={`Nodes at Month ${f.months} — No Offload`} value={`${last.nodesWithoutDDN}`} sub={`${fmt.num(last.sessions)} sessions · ${fmt.num(last.inputTokens)} tok`} icon={Server} color="red" />
+          <MetricCard label={`Nodes at Month ${f.months} — With DDN`} value={`${last.nodesWithDDN}`} sub={`${last.nodesWithoutDDN - last.nodesWithDDN} nodes avoided`} icon={Server} color="green" />
+          <MetricCard label="Cumulative Cost Difference" value={fmt.usd(fc.cumulativeSavings)} sub={`over ${f.months} months, after DDN cost`} icon={DollarSign} color={fc.cumulativeSavings >= 0 ? "green" : "amber"} />
+        </div>
+
+        {/* VRAM demand over time */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-1">VRAM Demand vs. Ceiling by Month</h3>
+          <div className="text-xs text-slate-500 mb-4">Everything above the ceiling is KV Cache that has to live on the offload tier</div>
+          <ResponsiveContainer width="100%" height={260}>
+            <ComposedChart data={forecastData} margin={{ top: 10, right: 20, bottom: 0, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="month" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+              <YAxis unit="GB" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+              <Tooltip content={<ChartTip />} />
+              <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+              {markers}
+              <Area type="monotone" dataKey="VRAM Needed" stroke="#f59e0b" fill="#f59e0b" fillOpacity={0.15} strokeWidth={2} />
+              <Area type="monotone" dataKey="Overflow (DDN handles)" stroke="#ef4444" fill="#ef4444" fillOpacity={0.2} strokeWidth={2} />
+              <Line type="stepAfter" dataKey="VRAM Ceiling" stroke="#ef4444" strokeDasharray="4 4" dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-4">GPU Server Nodes by Month</h3>
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={forecastData} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="month" tick={{ fill: "#94a3b8", fontSize: 10 }} />
+                <YAxis allowDecimals={false} tick={{ fill: "#94a3b8", fontSize: 10 }} />
+                <Tooltip content={<ChartTip />} />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                {markers}
+                <Line type="stepAfter" dataKey="Nodes without DDN" stroke="#ef4444" strokeWidth={2} dot={false} />
+                <Line type="stepAfter" dataKey="Nodes with DDN" stroke="#22c55e" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-4">Cumulative Cost: With vs. Without DDN</h3>
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={forecastData} margin={{ top: 5, right: 10, bottom: 0, left: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="month" tick={{ fill: "#94a3b8", fontSize: 10 }} />
+                <YAxis tick={{ fill: "#94a3b8", fontSize: 10 }} tickFormatter={v => `$${(v/1000).toFixed(0)}k`} />
+                <Tooltip content={<ChartTip />} />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                <Line type="monotone" dataKey="Cumulative Cost — without DDN" stroke="#ef4444" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="Cumulative Cost — with DDN" stroke="#22c55e" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="Cumulative Savings" stroke="#22d3ee" strokeWidth={2} dot={false} strokeDasharray="4 4" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // ── SIMULATION TAB ─────────────────────────────────────────────────────────
+
+  const SimulationTab = () => {
+    if (!ph) return null;
+    const sim = { ...DEFAULT_SIMULATION, ...cfg.simulation };
+    const setSim = (k, v) => set("simulation", { ...cfg.simulation, [k]: v });
+    const cfgKey = JSON.stringify(cfg);
+    const r = simRun?.result;
+    const stale = simRun && simRun.cfgKey !== cfgKey;
+    const selectCls = "w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none";
+    const inputCls = `${selectCls} font-mono`;
+
+    return (
+      <div className="space-y-6 p-6">
+        {/* Settings */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-sm font-bold text-white">Session Simulation
+              <Tip label="Discrete-Event Simulation">Sessions arrive, run several turns and think in between. When HBM is full, idle sessions are evicted to the restore tier and read back on their next turn. The same settings and seed always give the same result.</Tip>
+            </h3>
+            <button onClick={() => setSimRun({ result: simulate(cfg), cfgKey })}
+              className="flex items-center gap-1.5 bg-cyan-500 hover:bg-cyan-400 text-slate-900 font-bold text-xs px-4 py-2 rounded-lg transition-colors">
+              <Activity size={13} /> Run Simulation
+            </button>
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-3">
+            <label className="text-xs text-slate-400">Arrivals
+              <select value={sim.arrivals} onChange={e => setSim("arrivals", e.target.value)} className={selectCls}>
+                {Object.entries(ARRIVAL_PATTERNS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Sessions / min
+              <NumberInput min={0} step={1} optional placeholder={`auto (${fmt.num(defaultArrivalRatePerMin(cfg, sim))})`}
+                value={sim.arrivalRatePerMin} onChange={v => setSim("arrivalRatePerMin", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Turns / session
+              <NumberInput min={1} max={100} integer value={sim.turnsPerSession} onChange={v => setSim("turnsPerSession", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Think time (s)
+              <NumberInput min={0} value={sim.thinkTimeSec} onChange={v => setSim("thinkTimeSec", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Eviction
+              <select value={sim.eviction} onChange={e => setSim("eviction", e.target.value)} className={selectCls}>
+                {Object.entries(EVICTION_POLICIES).map(([k, v]) => <option key={k} value={k}>{v.name} — {v.desc}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Restore tier
+              <select value={sim.restoreTier} onChange={e => setSim("restoreTier", e.target.value)} className={selectCls}>
+                {Object.entries(SIM_TIERS).map(([k, v]) => <option key={k} value={k}>{v.name} ({cfg[v.bandwidthKey]} GB/s)</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Duration (min)
+              <NumberInput min={5} max={1440} value={sim.durationMin} onChange={v => setSim("durationMin", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Seed
+              <NumberInput integer value={sim.seed} onChange={v => setSim("seed", v)} className={inputCls} />
+            </label>
+            {sim.arrivals === "bursty" && (
+              <>
+                <label className="text-xs text-slate-400">Burst factor
+                  <NumberInput min={1} step={0.5} value={sim.burstFactor} onChange={v => setSim("burstFactor", v)} className={inputCls} />
+                </label>
+                <label className="text-xs text-slate-400">Burst share of time
+                  <NumberInput min={0.05} max={1} step={0.05} value={sim.burstDuty} onChange={v => setSim("burstDuty", v)} className={inputCls} />
+                </label>
+              </>
+            )}
+          </div>
+        </div>
+
+        {!r && <div className="text-sm text-slate-500 text-center py-12">Run the simulation to see queueing, TTFT percentiles and tier throughput for this configuration.</div>}
+        {stale && <div className="text-xs text-amber-400">Configuration changed since this run — re-run to update.</div>}
+
+        {r && (
+          <>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              <MetricCard label="TTFT P50 / P95" value={fmt.ms(r.ttft.p50)} sub={`P95 ${fmt.ms(r.ttft.p95)}`} icon={Clock} color="cyan" />
+              <MetricCard label="TTFT P99" value={fmt.ms(r.ttft.p99)} sub={`mean ${fmt.ms(r.ttft.mean)}`} icon={Clock} color={r.ttft.p99 > 5 ? "red" : r.ttft.p99 > 1 ? "amber" : "green"} />
+              <MetricCard label="Queueing Delay P99" value={fmt.ms(r.queueDelay.p99)} sub={`mean ${fmt.ms(r.queueDelay.mean)}`} icon={Users} color={r.queueDelay.p99 > 1 ? "red" : "green"} />
+              <MetricCard label="KV Hit Ratio" value={fmt.pct(r.hitRatioPct)} sub={`${fmt.num(r.restores)} restores · ${fmt.num(r.evictions)} evictions`} icon={Database} color="amber" />
+            </div>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+              <MetricCard label="Tier Read (avg)" value={`${r.tierReadGBps.toFixed(1)} GB/s`} sub={`peak minute ${r.tierPeakGBps.toFixed(1)} GB/s`} icon={HardDrive} color="purple" />
+              <MetricCard label="Tier Utilization" value={fmt.pct(r.tierUtilizationPct)} sub={SIM_TIERS[r.settings.restoreTier].name} icon={Activity} color={r.tierUtilizationPct > 80 ? "red" : "cyan"} />
+              <MetricCard label="Sessions Simulated" value={fmt.num(r.sessionsStarted)} sub={`${fmt.num(r.arrivalRatePerMin)} / min · ${fmt.num(r.turns)} turns measured`} icon={Users} color="cyan" />
+              <MetricCard label="HBM Session Capacity" value={fmt.num(r.capacitySessions)} sub="resident sessions before eviction" icon={Cpu} color="cyan" />
+            </div>
+            {r.truncated && <div className="text-xs text-amber-400">Event limit reached — the run was cut short. Shorten the duration or lower the arrival rate.</div>}
+
+            <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+              <h3 className="text-sm font-bold text-white mb-1">Tier Reads and Resident Sessions</h3>
+              <div className="text-xs text-slate-500 mb-4">Per simulated minute — restores read from {SIM_TIERS[r.settings.restoreTier].name}; the first {Math.round(r.settings.durationMin * 0.1)} min are warm-up and excluded from the percentiles</div>
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={r.timeline} margin={{ top: 10, right: 20, bottom: 0, left: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="minute" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                  <YAxis yAxisId="gbps" unit=" GB/s" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                  <YAxis yAxisId="sessions" orientation="right" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                  <Tooltip content={<ChartTip />} />
+                  <Legend wrapperStyle={{ fontSize: 12, paddingTop: 8 }} />
+                  <ReferenceLine yAxisId="sessions" y={r.capacitySessions} stroke="#ef4444" strokeDasharray="4 4" />
+                  <Line yAxisId="gbps" type="monotone" dataKey="readGBps" name="Tier read (GB/s)" stroke="#22d3ee" strokeWidth={2} dot={false} />
+                  <Line yAxisId="sessions" type="stepAfter" dataKey="resident" name="Resident sessions" stroke="#f59e0b" strokeWidth={2} dot={false} />
+                  <Line yAxisId="sessions" type="stepAfter" dataKey="active" name="Active sessions" stroke="#a78bfa" strokeWidth={1.5} dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // ── SLO SOLVER TAB ─────────────────────────────────────────────────────────
+
+  const SolverTab = () => {
+    const slo = { ...DEFAULT_SLO, ...cfg.slo };
+    const setSlo = (k, v) => set("slo", { ...cfg.slo, [k]: v });
+    const cfgKey = JSON.stringify(cfg);
+    const r = solveRun?.result;
+    const stale = solveRun && solveRun.cfgKey !== cfgKey;
+    const inputCls = "w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono";
+    const bindingColor = { hbm: "text-purple-400", restore: "text-amber-400", compute: "text-cyan-400" };
+
+    return (
+      <div className="space-y-6 p-6">
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-sm font-bold text-white">Latency SLO Solver
+              <Tip label="SLO Solver">Keeps your model, precision and workload from the sidebar, then tries every GPU, framework, tensor/pipeline split and storage option. For each it finds the fewest replicas that meet both targets and ranks the results by monthly cost.</Tip>
+            </h3>
+            <button onClick={() => setSolveRun({ result: solveSLO(cfg), cfgKey })}
+              className="flex items-center gap-1.5 bg-cyan-500 hover:bg-cyan-400 text-slate-900 font-bold text-xs px-4 py-2 rounded-lg transition-colors">
+              <Shield size={13} /> Find Cheapest Cluster
+            </button>
+          </div>
+          <div className="grid grid-cols-3 gap-3 max-w-xl">
+            <label className="text-xs text-slate-400">P99 TTFT (s)
+              <NumberInput min={0.05} step={0.1} value={slo.ttftP99Sec} onChange={v => setSlo("ttftP99Sec", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">TPOT (ms)
+              <NumberInput min={1} step={5} value={Math.round(slo.tpotSec * 1000)} onChange={v => setSlo("tpotSec", v / 1000)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Results
+              <NumberInput min={1} max={50} integer value={slo.results} onChange={v => setSlo("results", v)} className={inputCls} />
+            </label>
+          </div>
+          <div className="text-xs text-slate-500 mt-3">Workload: {ph?.llm.name} · {cfg.inputTokens.toLocaleString()} in / {cfg.outputTokens.toLocaleString()} out tokens · {cfg.concurrentSessions.toLocaleString()} concurrent sessions</div>
+        </div>
+
+        {stale && <div className="text-xs text-amber-400">Configuration changed since this search — run it again to update.</div>}
+        {r && r.results.length === 0 && (
+          <div className="bg-red-500/10 border border-red-500/40 rounded-xl p-4 text-sm text-red-300">No configuration meets these targets — {r.evaluated.toLocaleString()} shapes tried. Relax the TTFT or TPOT target, shorten the context, or quantize the model.</div>
+        )}
+        {r && r.results.length > 0 && (
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-1">Cheapest Configurations</h3>
+            <div className="text-xs text-slate-500 mb-4">{r.feasible.toLocaleString()} of {r.evaluated.toLocaleString()} shapes meet P99 TTFT ≤ {r.slo.ttftP99Sec}s and TPOT ≤ {Math.round(r.slo.tpotSec * 1000)}ms</div>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  {["#", "GPU", "Framework", "TP × PP × Replicas", "Storage", "Nodes", "Monthly", "P99 TTFT", "TPOT", "Binding", ""].map(h => <th key={h} className="text-left py-2 pr-3 font-medium">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {r.results.map((x, i) => (
+                  <tr key={i} className="border-b border-slate-700/50">
+                    <td className="py-2 pr-3 text-slate-500">{i + 1}</td>
+                    <td className="py-2 pr-3 text-white">{GPU_PRESETS[x.gpu].name}</td>
+                    <td className="py-2 pr-3 text-slate-300">{FRAMEWORK_PRESETS[x.framework].name}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{x.tensorParallel} × {x.pipelineParallel} × {x.replicas}</td>
+                    <td className="py-2 pr-3 text-slate-300">{x.storageName}</td>
+                    <td className="py-2 pr-3 font-mono text-white">{x.nodes}</td>
+                    <td className="py-2 pr-3 font-mono text-green-400">{fmt.usd(x.monthlyCost)}</td>
+                    <td className="py-2 pr-3 font-mono text-white">{fmt.ms(x.ttftP99Sec)}</td>
+                    <td className="py-2 pr-3 font-mono text-white">{fmt.ms(x.tpotSec)}</td>
+                    <td className={`py-2 pr-3 ${bindingColor[x.binding]}`} title={BINDING_CONSTRAINTS[x.binding].desc}>{BINDING_CONSTRAINTS[x.binding].name}</td>
+                    <td className="py-2">
+                      <button onClick={() => setCfg(p => ({ ...p, ...x.changes }))} className="text-cyan-400 hover:text-cyan-300">Apply</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // ── COMPARE TAB ────────────────────────────────────────────────────────────
+
+  const CompareTab = () => {
+    const pinCurrent = () => setPins(p => p.length >= MAX_COMPARED ? p
+      : [...p, { id: `${Date.now().toString(36)}-${p.length}`, name: `${ph?.llm.name ?? cfg.llm} on ${ph?.gpu.name ?? cfg.gpu}`, config: cfg }]);
+    const setPin = (id, patch) => setPins(p => p.map(x => x.id === id ? { ...x, ...patch } : x));
+    const makeBaseline = (id) => setPins(p => [...p.filter(x => x.id === id), ...p.filter(x => x.id !== id)]);
+    const inputCls = "w-full bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none";
+
+    const cmp = pins.length ? compareConfigs(pins.map(p => p.config)) : null;
+    const rows = cmp ? cmp.rows.filter(r => diffAll || r.changed) : [];
+    const named = (i) => pins[i].name || `Config ${i + 1}`;
+    const vramData = cmp ? cmp.results.map((r, i) => ({
+      name: named(i),
+      ...Object.fromEntries(HBM_SEGMENTS.map(s => [s.label, +(r?.hbm[s.key] ?? 0).toFixed(1)])),
+      "Available": +(r?.hbm.free ?? 0).toFixed(1),
+    })) : [];
+    const restoreData = cmp ? cmp.results.map((r, i) => ({
+      name: named(i),
+      "DDN AI Fabric": Math.round((r?.restoreTimeDDN ?? 0) * 1000),
+      "Standard NAS": Math.round((r?.restoreTimeNAS ?? 0) * 1000),
+      "Recompute": Math.round((r?.recomputeTimeSec ?? 0) * 1000),
+    })) : [];
+    const savingsData = cmp ? cmp.results.map((r, i) => ({
+      name: named(i),
+      "Annual savings": Math.round(r?.annualSavings ?? 0),
+      "DDN cost / yr": Math.round((r?.ddnMonthlyCost ?? 0) * 12),
+      "Net": Math.round((r?.annualSavings ?? 0) - (r?.ddnMonthlyCost ?? 0) * 12),
+    })) : [];
+    const chart = (title, data, bars, axis) => (
+      <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+        <h3 className="text-sm font-bold text-white mb-4">{title}</h3>
+        <ResponsiveContainer width="100%" height={240}>
+          <BarChart data={data} margin={{ top: 5, right: 10, bottom: 0, left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+            <XAxis dataKey="name" tick={{ fill: "#94a3b8", fontSize: 10 }} />
+            <YAxis tick={{ fill: "#94a3b8", fontSize: 10 }} {...axis} />
+            <Tooltip content={<ChartTip />} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            {bars}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    );
+
+    return (
+      <div className="space-y-6 p-6">
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-sm font-bold text-white">Pinned Configurations
+              <Tip label="Compare">Pin the sidebar's configuration, change it, and pin again — up to {MAX_COMPARED} side by side. The first pin is the baseline every delta is measured against. Open copies a pin back into the sidebar.</Tip>
+            </h3>
+            <button onClick={pinCurrent} disabled={pins.length >= MAX_COMPARED}
+              className="flex items-center gap-1.5 bg-cyan-500 hover:bg-cyan-400 disabled:opacity-40 disabled:hover:bg-cyan-500 text-slate-900 font-bold text-xs px-3 py-1.5 rounded-lg transition-colors">
+              <Pin size={12} /> Pin current config
+            </button>
+          </div>
+          <div className="text-xs text-slate-500 mb-4">
+            {pins.length < 2 ? "Pin at least two configurations to compare them — for example the customer's cluster today, then the same workload on H200 or at twice the context."
+              : `${pins.length} of ${MAX_COMPARED} pinned · deltas are against the baseline`}
+          </div>
+          {pins.length > 0 && (
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+              {pins.map((p, i) => {
+                const r = cmp.results[i];
+                return (
+                  <div key={p.id} className="bg-slate-900/60 rounded-lg p-3 border border-slate-700" style={{ borderTopColor: PIN_COLORS[i], borderTopWidth: 3 }}>
+                    <div className="flex items-center gap-2 mb-2">
+                      <input value={p.name} onChange={e => setPin(p.id, { name: e.target.value })} className={inputCls} />
+                      <button onClick={() => setPins(ps => ps.filter(x => x.id !== p.id))} className="text-slate-500 hover:text-red-400"><X size={13} /></button>
+                    </div>
+                    <div className="text-xs text-slate-400 space-y-0.5 mb-2">
+                      {r ? <>
+                        <div>{r.llm.name} · {r.gpu.name}</div>
+                        <div className="font-mono">{fmt.num(r.inputTokens)} + {fmt.num(r.outputTokens)} tok · {fmt.num(r.concurrentSessions)} sessions</div>
+                      </> : <div className="text-red-400">This configuration can't be sized</div>}
+                    </div>
+                    <div className="flex items-center gap-3 text-xs">
+                      {i === 0 ? <span className="text-cyan-400 font-semibold">Baseline</span>
+                        : <button onClick={() => makeBaseline(p.id)} className="text-slate-400 hover:text-cyan-400">Make baseline</button>}
+                      <button onClick={() => setCfg(p.config)} className="text-slate-400 hover:text-cyan-400">Open</button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {pins.length >= 2 && <>
+          <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+            {chart("VRAM Composition per GPU", vramData, [
+              ...HBM_SEGMENTS.map(s => <Bar key={s.key} dataKey={s.label} stackId="vram" fill={s.fill} />),
+              <Bar key="free" dataKey="Available" stackId="vram" fill="#1e293b" />,
+            ], { unit: "GB" })}
+            {chart("Context Restore Time", restoreData, [
+              <Bar key="ddn" dataKey="DDN AI Fabric" fill="#22d3ee" />,
+              <Bar key="nas" dataKey="Standard NAS" fill="#ef4444" />,
+              <Bar key="re" dataKey="Recompute" fill="#64748b" />,
+            ], { unit: "ms" })}
+            {chart("Annual Savings with DDN", savingsData, [
+              <Bar key="sav" dataKey="Annual savings" fill="#22c55e" />,
+              <Bar key="cost" dataKey="DDN cost / yr" fill="#f59e0b" />,
+              <Bar key="net" dataKey="Net" fill="#22d3ee" />,
+            ], { tickFormatter: v => `$${(v / 1e6).toFixed(1)}M` })}
+          </div>
+
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-sm font-bold text-white">Every Output Field
+                <Tip label="Diff table">Each field computePhysics returns, for every pin. Cells that differ from the baseline are highlighted with the change and its percentage.</Tip>
+              </h3>
+              <label className="flex items-center gap-2 text-xs text-slate-400">
+                <input type="checkbox" checked={diffAll} onChange={e => setDiffAll(e.target.checked)} /> Show unchanged fields
+              </label>
+            </div>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  <th className="text-left py-2 pr-3 font-medium">Field</th>
+                  {pins.map((p, i) => <th key={p.id} className="text-left py-2 pr-3 font-medium" style={{ color: PIN_COLORS[i] }}>{named(i)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.field} className="border-b border-slate-700/50">
+                    <td className="py-1.5 pr-3 font-mono text-slate-400">{row.field}</td>
+                    {row.values.map((v, i) => {
+                      const differs = i > 0 && !Object.is(v, row.values[0]);
+                      const d = row.deltas[i], dp = row.deltaPcts[i];
+                      return (
+                        <td key={i} className={`py-1.5 pr-3 font-mono ${differs ? "bg-amber-500/10 text-amber-300" : "text-slate-300"}`}>
+                          {fmtField(v)}
+                          {differs && d != null && <span className="ml-2 text-amber-500/80">{d > 0 ? "+" : ""}{fmtField(d)}{dp != null && ` (${dp > 0 ? "+" : ""}${dp.toFixed(1)}%)`}</span>}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!rows.length && <div className="text-xs text-slate-500 py-3">The pinned configurations produce identical outputs.</div>}
+          </div>
+        </>}
+      </div>
+    );
+  };
+
+  // ── SENSITIVITY TAB ────────────────────────────────────────────────────────
+
+  const SensitivityTab = () => {
+    const sa = computeSensitivity(cfg);
+    if (!sa) return null;
+    const s = sa.settings;
+    const setSa = (k, v) => set("sensitivity", { ...DEFAULT_SENSITIVITY, ...cfg.sensitivity, [k]: v });
+    const inputCls = "w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none font-mono";
+    const { rows, cols, cells } = sa.heatmap;
+    const current = HEATMAP_FACTORS.indexOf(1);
+    const money = (v) => `${v < 0 ? "−" : "+"}${fmt.usd(Math.abs(v))}`;
+    const tornado = (metric, format) => (
+      <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+        <h3 className="text-sm font-bold text-white mb-1">{SENSITIVITY_METRICS[metric].label}</h3>
+        <div className="text-xs text-slate-500 mb-3">Baseline {metric === "contractSavings" ? fmt.usd(sa.baseline[metric]) : fmt.num(sa.baseline[metric])} · change at −{s.swingPct}% and +{s.swingPct}% of each input</div>
+        <ResponsiveContainer width="100%" height={340}>
+          <BarChart data={sa.tornado[metric].map(t => ({ name: t.label, [`−${s.swingPct}%`]: t.low, [`+${s.swingPct}%`]: t.high }))}
+            layout="vertical" margin={{ left: 10, right: 20, top: 0, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+            <XAxis type="number" tick={{ fill: "#94a3b8", fontSize: 10 }} tickFormatter={format} />
+            <YAxis type="category" dataKey="name" tick={{ fill: "#94a3b8", fontSize: 10 }} width={170} />
+            <Tooltip content={<ChartTip />} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <ReferenceLine x={0} stroke="#94a3b8" />
+            <Bar dataKey={`−${s.swingPct}%`} fill="#f59e0b" />
+            <Bar dataKey={`+${s.swingPct}%`} fill="#22d3ee" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    );
+
+    return (
+      <div className="space-y-6 p-6">
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-4">Sensitivity Settings
+            <Tip label="Sensitivity">The savings headline rests on assumptions as much as on the workload. Each input is moved down and up by the swing on its own, everything else held at the sidebar's values. The two assumptions below are engine defaults — set them to what the customer has measured.</Tip>
+          </h3>
+          <div className="grid grid-cols-5 gap-3">
+            <label className="text-xs text-slate-400">Swing (± %)
+              <NumberInput min={1} max={100} value={s.swingPct} onChange={v => setSa("swingPct", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Sessions kept in VRAM with DDN
+              <NumberInput min={0} max={1} step={0.05} value={cfg.ddnResidentFraction} onChange={v => set("ddnResidentFraction", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Active time between swaps (s)
+              <NumberInput min={1} value={cfg.avgSessionTimeSec} onChange={v => set("avgSessionTimeSec", v)} className={inputCls} />
+            </label>
+            <label className="text-xs text-slate-400">Heatmap rows
+              <select value={s.rowField} onChange={e => setSa("rowField", e.target.value)} className={inputCls}>
+                {HEATMAP_AXES.map(k => <option key={k} value={k}>{SENSITIVITY_INPUTS.find(i => i.key === k).label}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Heatmap columns
+              <select value={s.colField} onChange={e => setSa("colField", e.target.value)} className={inputCls}>
+                {HEATMAP_AXES.map(k => <option key={k} value={k}>{SENSITIVITY_INPUTS.find(i => i.key === k).label}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          {tornado("nodesAvoided", v => (v > 0 ? `+${v}` : `${v}`))}
+          {tornado("contractSavings", money)}
+        </div>
+
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-sm font-bold text-white">{rows.label} × {cols.label}
+              <Tip label="Capacity heatmap">Each cell re-sizes the sidebar's config at that pair of values, from a quarter to four times today's. The outlined cell is today. The number is GPU nodes DDN avoids there.</Tip>
+            </h3>
+            <div className="flex items-center gap-3 text-xs">
+              {Object.entries(CAPACITY_STATES).map(([k, st]) => (
+                <span key={k} className={`px-2 py-0.5 rounded ${STATE_STYLES[k]}`}>{st.label}</span>
+              ))}
+            </div>
+          </div>
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr>
+                <th className="text-left py-1 pr-2 font-medium text-slate-500">{rows.label} ↓ · {cols.label} →</th>
+                {cols.values.map((v, j) => <th key={j} className="py-1 px-1 font-medium text-slate-400">{fmtField(v)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.values.map((rv, i) => (
+                <tr key={i}>
+                  <td className="py-1 pr-2 text-slate-400">{fmtField(rv)}</td>
+                  {cells[i].map((c, j) => (
+                    <td key={j} className="p-0.5">
+                      <div title={c ? `${CAPACITY_STATES[c.state].label} · VRAM ${fmt.pct(c.utilizationPct)} · DDN restore ${fmt.ms(c.restoreTimeDDN)}` : "Can't be sized"}
+                        className={`text-center py-2 rounded ${c ? STATE_STYLES[c.state] : "bg-slate-900 text-slate-600"} ${i === current && j === current ? "ring-2 ring-white" : ""}`}>
+                        {!c ? "—" : c.state === "nofit" ? "✕" : c.nodesAvoided}
+                      </div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
   // ── EXECUTIVE REPORT TAB ───────────────────────────────────────────────────
 
   const ExecutiveTab = () => {
     if (!ph) return null;
-    const [priceMode, setPriceMode] = useState("rental");
+    const sp = ex.storage;
+    const setSp = (k, v) => set("storagePricing", { ...cfg.storagePricing, [k]: v });
+    const inv = storageInvestment(ex, priceMode);
+    const fac = { ...DEFAULT_FACILITY, ...cfg.facility };
+    const setFac = (k, v) => set("facility", { ...cfg.facility, [k]: v });
+    const tco = computeTCO(cfg, ex, priceMode);
+    const bom = computeBOM(cfg, ex, priceMode);
+    const tok = computeTokenCosts(cfg, ex, priceMode);
+    const setTok = (k, v) => set("tokenPricing", { ...cfg.tokenPricing, [k]: v });
+    const per1M = (n) => Number.isFinite(n) ? `$${n.toFixed(2)}` : "—";
+    const tcoData = tco.architectures.map(a => ({ name: a.name, ...Object.fromEntries(Object.keys(TCO_CATEGORIES).map(k => [TCO_CATEGORIES[k].name, Math.round(a.costs[k])])) }));
+    const inputCls = "w-full mt-1 bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-white focus:border-cyan-500 focus:outline-none";
+
+    // This report, priced as shown, as a PDF or PowerPoint download
+    const exportReport = (format) => {
+      const f = REPORT_FORMATS[format];
+      const blob = new Blob([f.render(buildReport(cfg, { procurement: priceMode, customer: customer.trim() }))], { type: f.mime });
+      const slug = customer.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+      const a = document.createElement("a"); a.href = URL.createObjectURL(blob);
+      a.download = `kv-cache-report${slug ? `-${slug}` : ""}.${f.ext}`; a.click();
+    };
+
+    // The bill of materials, as priced above, for pasting into a quote
+    const exportBOM = (format) => {
+      const f = BOM_FORMATS[format];
+      const blob = new Blob([f.render(bom)], { type: f.mime });
+      const slug = customer.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+      const a = document.createElement("a"); a.href = URL.createObjectURL(blob);
+      a.download = `kv-cache-bom${slug ? `-${slug}` : ""}.${f.ext}`; a.click();
+    };
 
     return (
       <div className="space-y-6 p-6">
@@ -942,16 +2429,26 @@ export default function App() {
           ))}
         </div>
 
+        {!ph.weightsFit && (
+          <div className="flex items-start gap-3 bg-red-500/10 border border-red-500/40 rounded-xl p-4">
+            <AlertTriangle className="text-red-400 shrink-0 mt-0.5" size={18} />
+            <div>
+              <div className="text-red-400 font-bold text-sm">Not Deployable as Configured</div>
+              <div className="text-xs text-slate-300 mt-1">{ph.llm.name} doesn't fit on {ph.gpu.name} at TP={cfg.tensorParallel}, PP={cfg.pipelineParallel} — it needs at least {ph.gpusToFit} GPUs per replica. The node counts and costs below are for a cluster that can't serve it.</div>
+            </div>
+          </div>
+        )}
+
         {/* Hero numbers */}
         <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
           {priceMode === "rental" ? <>
-            <MetricCard label="Monthly Rental Savings" value={fmt.usd(ph.monthlyRentalSavings)} sub={`${ph.nodesAvoided} nodes × ${fmt.usd(cfg.monthlyRate)}`} icon={DollarSign} color="green" />
-            <MetricCard label={`${cfg.contractMonths}-Month Contract Savings`} value={fmt.usd(ph.contractSavings)} sub="vs. current node count" icon={TrendingUp} color="green" />
+            <MetricCard label="Monthly Rental Savings" value={fmt.usd(ex.monthlyRentalSavings)} sub={`${ex.nodesAvoided} nodes × ${fmt.usd(cfg.monthlyRate)}`} icon={DollarSign} color="green" />
+            <MetricCard label={`${cfg.contractMonths}-Month Contract Savings`} value={fmt.usd(ex.contractSavings)} sub="vs. current node count" icon={TrendingUp} color="green" />
           </> : <>
-            <MetricCard label="CAPEX Avoidance" value={fmt.usd(ph.capexAvoidance)} sub={`${ph.nodesAvoided} nodes avoided`} icon={DollarSign} color="green" />
-            <MetricCard label="Annual OPEX Savings" value={fmt.usd(ph.annualOpexSavings)} sub="GPU-hours not consumed" icon={TrendingUp} color="green" />
+            <MetricCard label="CAPEX Avoidance" value={fmt.usd(ex.capexAvoidance)} sub={`${ex.nodesAvoided} nodes avoided`} icon={DollarSign} color="green" />
+            <MetricCard label="Annual OPEX Savings" value={fmt.usd(ex.annualOpexSavings)} sub="GPU-hours not consumed" icon={TrendingUp} color="green" />
           </>}
-          <MetricCard label="GPU Server Nodes Avoided" value={`${ph.nodesAvoided}`} sub={`${ph.nodesWithDDN} needed vs ${ph.nodesWithoutDDN} without DDN`} icon={Server} color="cyan" />
+          <MetricCard label="GPU Server Nodes Avoided" value={`${ex.nodesAvoided}`} sub={`${ex.nodesWithDDN} needed vs ${ex.nodesWithoutDDN} without DDN`} icon={Server} color="cyan" />
           <MetricCard label="Throughput Gain" value={`${Math.round(cfg.ddnBandwidth / cfg.nasBandwidth)}×`} sub="DDN vs Standard NAS bandwidth" icon={Zap} color="purple" />
         </div>
 
@@ -982,9 +2479,9 @@ export default function App() {
             <h3 className="text-sm font-bold text-white mb-4">Node Count: With vs. Without DDN</h3>
             <div className="space-y-3">
               {[
-                { label: "Nodes without DDN", val: ph.nodesWithoutDDN, color: "text-red-400", bar: "bg-red-500" },
-                { label: "Nodes with DDN AI Fabric", val: ph.nodesWithDDN, color: "text-green-400", bar: "bg-green-500" },
-                { label: "Nodes eliminated", val: ph.nodesAvoided, color: "text-cyan-400", bar: "bg-cyan-500" },
+                { label: `Nodes without DDN (${pf ? `${pf.gpusWithoutDDN} GPUs` : `${ph.replicasWithoutDDN} replicas`})`, val: ex.nodesWithoutDDN, color: "text-red-400", bar: "bg-red-500" },
+                { label: `Nodes with DDN AI Fabric (${pf ? `${pf.gpusWithDDN} GPUs` : `${ph.replicasWithDDN} replicas`})`, val: ex.nodesWithDDN, color: "text-green-400", bar: "bg-green-500" },
+                { label: "Nodes eliminated", val: ex.nodesAvoided, color: "text-cyan-400", bar: "bg-cyan-500" },
               ].map(({ label, val, color, bar }) => (
                 <div key={label}>
                   <div className="flex justify-between text-xs mb-1">
@@ -992,7 +2489,7 @@ export default function App() {
                     <span className={`font-mono font-bold ${color}`}>{val}</span>
                   </div>
                   <div className="h-1.5 bg-slate-700 rounded-full overflow-hidden">
-                    <div className={`h-full ${bar} rounded-full transition-all`} style={{ width: `${Math.min(100, (val / Math.max(ph.nodesWithoutDDN, 1)) * 100)}%` }} />
+                    <div className={`h-full ${bar} rounded-full transition-all`} style={{ width: `${Math.min(100, (val / Math.max(ex.nodesWithoutDDN, 1)) * 100)}%` }} />
                   </div>
                 </div>
               ))}
@@ -1010,7 +2507,8 @@ export default function App() {
                   <Tooltip content={<ChartTip />} />
                   <Legend wrapperStyle={{ fontSize: 11 }} />
                   <Line type="monotone" dataKey="Cumulative Rental Savings" stroke="#22d3ee" strokeWidth={2} dot={false} />
-                  <Line type="monotone" dataKey="Cumulative DDN Cost (est.)" stroke="#f59e0b" strokeWidth={2} dot={false} strokeDasharray="4 4" />
+                  <Line type="monotone" dataKey="Cumulative DDN Cost" stroke="#f59e0b" strokeWidth={2} dot={false} strokeDasharray="4 4" />
+                  {inv.breakEvenMonth > 0 && <ReferenceLine x={`M${inv.breakEvenMonth}`} stroke="#22c55e" strokeDasharray="2 4" label={{ value: "break-even", fill: "#22c55e", fontSize: 10, position: "insideTopRight" }} />}
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -1019,10 +2517,10 @@ export default function App() {
               <h3 className="text-sm font-bold text-white mb-4">CAPEX & OPEX Summary</h3>
               <div className="space-y-3 text-sm">
                 {[
-                  { label: "GPU nodes avoided", val: `${ph.nodesAvoided}`, color: "text-cyan-400" },
+                  { label: "GPU nodes avoided", val: `${ex.nodesAvoided}`, color: "text-cyan-400" },
                   { label: "CAPEX per node", val: fmt.usd(ph.gpu.capex), color: "text-slate-300" },
-                  { label: "Total CAPEX avoidance", val: fmt.usd(ph.capexAvoidance), color: "text-green-400" },
-                  { label: "Annual OPEX saving", val: fmt.usd(ph.annualOpexSavings), color: "text-green-400" },
+                  { label: "Total CAPEX avoidance", val: fmt.usd(ex.capexAvoidance), color: "text-green-400" },
+                  { label: "Annual OPEX saving", val: fmt.usd(ex.annualOpexSavings), color: "text-green-400" },
                 ].map(({ label, val, color }) => (
                   <div key={label} className="flex justify-between border-b border-slate-700/50 pb-2">
                     <span className="text-slate-400">{label}</span>
@@ -1034,15 +2532,284 @@ export default function App() {
           )}
         </div>
 
+        {/* Storage investment */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-1">Storage Investment
+            <Tip label="Storage Investment">DDN AI Fabric priced for the capacity the overflow needs, at the performance tier that delivers the configured bandwidth. Break-even is the first month cumulative GPU savings cover cumulative storage spend; NPV and payback discount both at the rate below, over the storage term.</Tip>
+          </h3>
+          <div className="text-xs text-slate-500 mb-4">{sp.tier.name} tier ({sp.tier.bandwidthGBps} GB/s) · {sp.capacityTB.toLocaleString()} TB · {sp.support.name} support · {sp.termMonths}-month term · {priceMode === "rental" ? "vs. avoided rental" : "vs. avoided CAPEX + OPEX"}</div>
+          <div className="grid grid-cols-3 lg:grid-cols-6 gap-3 mb-4">
+            <label className="text-xs text-slate-400">Pricing
+              <select value={sp.model} onChange={e => setSp("model", e.target.value)} className={inputCls}>
+                {Object.entries(PRICING_MODELS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Performance tier
+              <select value={sp.performanceTier} onChange={e => setSp("performanceTier", e.target.value)} className={inputCls}>
+                <option value="auto">Auto — {cfg.ddnBandwidth} GB/s</option>
+                {Object.entries(STORAGE_PERFORMANCE_TIERS).map(([k, v]) => <option key={k} value={k}>{v.name} — {v.bandwidthGBps} GB/s</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Capacity (TB)
+              <input type="number" min={0} value={cfg.storagePricing?.capacityTB ?? ""} placeholder={`auto (${fmt.num(Math.ceil(ex.ddnCapacityNeededGB / 1000))})`}
+                onChange={e => setSp("capacityTB", e.target.value === "" ? null : Math.max(0, +e.target.value))} className={`${inputCls} font-mono`} />
+            </label>
+            <label className="text-xs text-slate-400">Term (months)
+              <input type="number" min={1} max={120} value={sp.termMonths} onChange={e => setSp("termMonths", Math.min(120, Math.max(1, Math.round(+e.target.value))))} className={`${inputCls} font-mono`} />
+            </label>
+            <label className="text-xs text-slate-400">Support
+              <select value={sp.support} onChange={e => setSp("support", e.target.value)} className={inputCls}>
+                {Object.entries(SUPPORT_TERMS).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">Discount rate (%/yr)
+              <input type="number" min={0} step={0.5} value={sp.discountRatePct} onChange={e => setSp("discountRatePct", Math.max(0, +e.target.value))} className={`${inputCls} font-mono`} />
+            </label>
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+            {[
+              { label: "Upfront", val: fmt.usd(sp.upfront), color: "text-slate-300" },
+              { label: sp.model === "upfront" ? "Monthly support" : "Monthly subscription", val: fmt.usd(sp.monthly), color: "text-slate-300" },
+              { label: "Break-even", val: inv.breakEvenMonth === null ? "Not in term" : inv.breakEvenMonth === 0 ? "Day one" : `Month ${inv.breakEvenMonth}`, color: inv.breakEvenMonth === null ? "text-red-400" : "text-green-400" },
+              { label: `NPV @ ${sp.discountRatePct}%`, val: fmt.usd(inv.npv), color: inv.npv >= 0 ? "text-green-400" : "text-red-400" },
+              { label: "Payback (discounted)", val: inv.paybackMonths === null ? "Not in term" : `${inv.paybackMonths.toFixed(1)} months`, color: inv.paybackMonths === null ? "text-red-400" : "text-cyan-400" },
+            ].map(({ label, val, color }) => (
+              <div key={label} className="bg-slate-900/60 rounded-lg p-3">
+                <div className="text-xs text-slate-400 mb-1">{label}</div>
+                <div className={`text-lg font-bold font-mono ${color}`}>{val}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Total cost of ownership */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-1">Total Cost of Ownership
+            <Tip label="Total Cost of Ownership">Everything each architecture costs over the contract: GPU nodes ({priceMode === "rental" ? "rented" : "bought outright"}), their power at TDP grossed up by PUE, the racks they fill (on rack units or power, whichever runs out first), a one-off network cost per node, and with DDN the storage's payments, power and space.</Tip>
+          </h3>
+          <div className="text-xs text-slate-500 mb-4">{tco.months}-month contract · {ph.gpu.tdpKW} kW and {ph.gpu.rackUnits}U per node · {sp.tier.name} storage tier {sp.tier.powerKW} kW, {sp.tier.rackUnits}U</div>
+          <div className="grid grid-cols-3 lg:grid-cols-5 gap-3 mb-4">
+            {FACILITY_FIELDS.map(({ key, label, step }) => (
+              <label key={key} className="text-xs text-slate-400">{label}
+                <input type="number" min={0} step={step} value={fac[key]} onChange={e => setFac(key, Math.max(0, +e.target.value))} className={`${inputCls} font-mono`} />
+              </label>
+            ))}
+          </div>
+          <div className="grid grid-cols-2 gap-6">
+            <table className="w-full text-xs self-start">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  {["", ...tco.architectures.map(a => a.name), "Difference"].map(h => <th key={h} className="text-left py-2 pr-3 font-medium">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ["Nodes", a => fmt.num(a.nodes)],
+                  ["Power (kW)", a => a.powerKW.toFixed(1)],
+                  ["Racks", a => `${a.racks} (${fmt.num(a.rackUnits)}U)`],
+                ].map(([label, f]) => (
+                  <tr key={label} className="border-b border-slate-700/50">
+                    <td className="py-2 pr-3 text-slate-400">{label}</td>
+                    {tco.architectures.map(a => <td key={a.key} className="py-2 pr-3 font-mono text-slate-300">{f(a)}</td>)}
+                    <td />
+                  </tr>
+                ))}
+                {Object.entries(TCO_CATEGORIES).map(([k, c]) => {
+                  const [without, withDDN] = tco.architectures;
+                  const diff = without.costs[k] - withDDN.costs[k];
+                  return (
+                    <tr key={k} className="border-b border-slate-700/50">
+                      <td className="py-2 pr-3 text-slate-400"><span className="inline-block w-2 h-2 rounded-sm mr-2" style={{ background: TCO_COLORS[k] }} />{c.name}</td>
+                      {tco.architectures.map(a => <td key={a.key} className="py-2 pr-3 font-mono text-slate-300">{fmt.usd(a.costs[k])}</td>)}
+                      <td className={`py-2 pr-3 font-mono ${diff >= 0 ? "text-green-400" : "text-red-400"}`}>{diff >= 0 ? "" : "−"}{fmt.usd(Math.abs(diff))}</td>
+                    </tr>
+                  );
+                })}
+                <tr className="font-bold">
+                  <td className="py-2 pr-3 text-white">Total</td>
+                  {tco.architectures.map(a => <td key={a.key} className="py-2 pr-3 font-mono text-white">{fmt.usd(a.total)}</td>)}
+                  <td className={`py-2 pr-3 font-mono ${tco.savings >= 0 ? "text-green-400" : "text-red-400"}`}>{tco.savings >= 0 ? "" : "−"}{fmt.usd(Math.abs(tco.savings))} ({fmt.pct(tco.savingsPct)})</td>
+                </tr>
+              </tbody>
+            </table>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={tcoData} margin={{ top: 5, right: 10, bottom: 0, left: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="name" tick={{ fill: "#94a3b8", fontSize: 11 }} />
+                <YAxis tick={{ fill: "#94a3b8", fontSize: 10 }} tickFormatter={v => `$${(v / 1e6).toFixed(1)}M`} />
+                <Tooltip content={<ChartTip />} />
+                <Legend wrapperStyle={{ fontSize: 11 }} />
+                {Object.entries(TCO_CATEGORIES).map(([k, c]) => <Bar key={k} dataKey={c.name} stackId="tco" fill={TCO_COLORS[k]} />)}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+
+        {/* Bill of materials */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h3 className="text-sm font-bold text-white mb-1">Bill of Materials
+                <Tip label="Bill of Materials">The hardware behind the TCO as quote line items: GPU nodes ({priceMode === "rental" ? "rented monthly" : "bought outright"}), one fabric port per GPU priced at the network cost per node, and with DDN the storage system, capacity and support. Each architecture's subtotal matches its GPU, network and storage costs above; power and space are the facility's.</Tip>
+              </h3>
+              <div className="text-xs text-slate-500">{bom.months}-month contract · {ph.gpu.dtype} nodes · {sp.tier.name} storage, {sp.capacityTB} TB at {sp.tier.bandwidthGBps} GB/s</div>
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              {Object.entries(BOM_FORMATS).map(([k, f]) => (
+                <button key={k} onClick={() => exportBOM(k)} className="flex items-center gap-1.5 text-xs font-semibold px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors">
+                  <Download size={12} /> {f.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-400 border-b border-slate-700">
+                {["Part", "Description", "Qty", "Unit", "Unit price", "Months", "Extended"].map(h => <th key={h} className="text-left py-2 pr-3 font-medium">{h}</th>)}
+              </tr>
+            </thead>
+            {bom.architectures.map(a => (
+              <tbody key={a.key}>
+                <tr><td colSpan={7} className="pt-3 pb-1 font-bold text-cyan-400">{a.name}</td></tr>
+                {a.lines.map((l, i) => (
+                  <tr key={i} className="border-b border-slate-700/50">
+                    <td className="py-2 pr-3 text-slate-300">{l.part}</td>
+                    <td className="py-2 pr-3 text-slate-400">{l.description}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{fmt.num(l.quantity)}</td>
+                    <td className="py-2 pr-3 text-slate-400">{l.unit}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{fmt.usd(l.unitPrice)}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-400">{l.months ?? "—"}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{fmt.usd(l.extended)}</td>
+                  </tr>
+                ))}
+                <tr className="font-bold">
+                  <td colSpan={6} className="py-2 pr-3 text-white">Subtotal</td>
+                  <td className="py-2 pr-3 font-mono text-white">{fmt.usd(a.total)}</td>
+                </tr>
+              </tbody>
+            ))}
+          </table>
+        </div>
+
+        {/* Cost per token */}
+        <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+          <h3 className="text-sm font-bold text-white mb-1">Cost per Million Tokens
+            <Tip label="Cost per Million Tokens">Sustained tokens per hour each architecture serves: every session runs a turn per think-and-decode interval, capped by how many prompts its replicas can prefill and, with DDN, by how fast the fabric restores offloaded sessions. The monthly cost is split between input and output by the GPU time prefill and decode take.</Tip>
+          </h3>
+          <div className="text-xs text-slate-500 mb-4">{TOKEN_COST_BASES[tok.costBasis]?.name ?? tok.costBasis} · {priceMode === "rental" ? "rented" : "owned"} GPUs · API blended at this workload's input/output mix</div>
+          <div className="grid grid-cols-3 gap-3 mb-4">
+            <label className="text-xs text-slate-400">Cost basis
+              <select value={tok.costBasis} onChange={e => setTok("costBasis", e.target.value)} className={inputCls}>
+                {Object.entries(TOKEN_COST_BASES).map(([k, v]) => <option key={k} value={k}>{v.name}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-slate-400">API $ / 1M input
+              <input type="number" min={0} step={0.05} value={tok.apiInputPer1M} onChange={e => setTok("apiInputPer1M", Math.max(0, +e.target.value))} className={`${inputCls} font-mono`} />
+            </label>
+            <label className="text-xs text-slate-400">API $ / 1M output
+              <input type="number" min={0} step={0.05} value={tok.apiOutputPer1M} onChange={e => setTok("apiOutputPer1M", Math.max(0, +e.target.value))} className={`${inputCls} font-mono`} />
+            </label>
+          </div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-400 border-b border-slate-700">
+                {["", "$ / 1M input", "$ / 1M output", "$ / 1M blended", "Output tokens / hr", "Output tokens / $", "Monthly vs. API"].map(h => <th key={h} className="text-left py-2 pr-3 font-medium">{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {tok.architectures.map(a => (
+                <tr key={a.key} className="border-b border-slate-700/50">
+                  <td className="py-2 pr-3 text-white">{a.name}{a.servedPct < 100 && <span className="text-amber-400"> · {fmt.pct(a.servedPct)} served ({a.limitedBy})</span>}</td>
+                  <td className="py-2 pr-3 font-mono text-slate-300">{per1M(a.costPer1MInput)}</td>
+                  <td className="py-2 pr-3 font-mono text-slate-300">{per1M(a.costPer1MOutput)}</td>
+                  <td className={`py-2 pr-3 font-mono ${a.costPer1MBlended <= tok.api.costPer1MBlended ? "text-green-400" : "text-red-400"}`}>{per1M(a.costPer1MBlended)}</td>
+                  <td className="py-2 pr-3 font-mono text-slate-300">{fmt.num(a.outputTokensPerHour)}</td>
+                  <td className="py-2 pr-3 font-mono text-slate-300">{Number.isFinite(a.outputTokensPerDollar) ? fmt.num(a.outputTokensPerDollar) : "—"}</td>
+                  <td className={`py-2 pr-3 font-mono ${a.apiMonthlyCost >= a.monthlyCost ? "text-green-400" : "text-red-400"}`}>{fmt.usd(a.monthlyCost)} vs {fmt.usd(a.apiMonthlyCost)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td className="py-2 pr-3 text-slate-400">Public API</td>
+                <td className="py-2 pr-3 font-mono text-slate-400">{per1M(tok.api.costPer1MInput)}</td>
+                <td className="py-2 pr-3 font-mono text-slate-400">{per1M(tok.api.costPer1MOutput)}</td>
+                <td className="py-2 pr-3 font-mono text-slate-400">{per1M(tok.api.costPer1MBlended)}</td>
+                <td colSpan={3} />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        {/* Cost by workload */}
+        {pf && (
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-1">Cost by Workload
+              <Tip label="Cost by Workload">Node rental split by each workload's share of the cluster's GPUs. With DDN, the storage subscription is split by each workload's share of the KV overflow.</Tip>
+            </h3>
+            <div className="text-xs text-slate-500 mb-4">{pf.lines.length} workloads on {ex.nodesWithDDN} shared nodes · monthly</div>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  {["Workload", "Sessions", "Without DDN", "With DDN AI Fabric", "Savings"].map(h => <th key={h} className="text-left py-2 pr-3 font-medium">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {pf.lines.map(({ line, ph: p, monthlyWithoutDDN, monthlyWithDDN, monthlySavings }, i) => (
+                  <tr key={i} className="border-b border-slate-700/50">
+                    <td className="py-2 pr-3 text-white">{line.name}</td>
+                    <td className="py-2 pr-3 font-mono text-slate-300">{fmt.num(p.concurrentSessions)}</td>
+                    <td className="py-2 pr-3 font-mono text-red-400">{fmt.usd(monthlyWithoutDDN)}</td>
+                    <td className="py-2 pr-3 font-mono text-green-400">{fmt.usd(monthlyWithDDN)}</td>
+                    <td className={`py-2 pr-3 font-mono ${monthlySavings >= 0 ? "text-cyan-400" : "text-red-400"}`}>{fmt.usd(monthlySavings)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* KV quantization impact */}
+        {kvq && (
+          <div className="bg-slate-800/60 rounded-xl p-5 border border-slate-700">
+            <h3 className="text-sm font-bold text-white mb-1">KV Cache Quantization Impact
+              <Tip label="KV Quantization">The same configuration re-run with an FP16 KV Cache, holding weight precision and everything else constant. The difference is what KV quantization alone is worth.</Tip>
+            </h3>
+            <div className="text-xs text-slate-500 mb-4">FP16 KV Cache vs. {ph.kvDtype.name}</div>
+            {cfg.kvDtype === "fp16" ? (
+              <div className="text-xs text-slate-400">KV Cache is already FP16. Select an FP8, INT8 or INT4 KV Cache in the sidebar to see its effect.</div>
+            ) : (
+              <div className="grid grid-cols-4 gap-4">
+                {[
+                  { label: "KV per Session", before: fmt.gb(kvq.baseline.kvPerSessionGB), after: fmt.gb(kvq.quantized.kvPerSessionGB) },
+                  { label: "Sessions in VRAM", before: fmt.num(kvq.baseline.sessionsInVRAM), after: fmt.num(kvq.quantized.sessionsInVRAM) },
+                  { label: "Restore — DDN", before: fmt.ms(kvq.baseline.restoreTimeDDN), after: fmt.ms(kvq.quantized.restoreTimeDDN) },
+                  { label: "Nodes Without DDN", before: `${kvq.baseline.nodesWithoutDDN}`, after: `${kvq.quantized.nodesWithoutDDN}` },
+                ].map(({ label, before, after }) => (
+                  <div key={label} className="bg-slate-900/60 rounded-lg p-3">
+                    <div className="text-xs text-slate-400 mb-1">{label}</div>
+                    <div className="text-xs font-mono text-slate-500 line-through">{before}</div>
+                    <div className="text-lg font-bold font-mono text-purple-400">{after}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Export for RFB */}
         <div className="bg-gradient-to-r from-cyan-500/10 to-blue-500/10 border border-cyan-500/30 rounded-xl p-5 flex items-center justify-between">
           <div>
             <div className="text-sm font-bold text-white">Ready to Build?</div>
-            <div className="text-xs text-slate-400 mt-0.5">Export this analysis to initiate a Boost Run Request for Build with DDN AI Fabric as the storage tier</div>
+            <div className="text-xs text-slate-400 mt-0.5">Export this analysis as a customer-ready report to initiate a Boost Run Request for Build with DDN AI Fabric as the storage tier</div>
+          </div>
+          <div className="flex items-center gap-2 shrink-0">
+            <input value={customer} onChange={e => setCustomer(e.target.value)} placeholder="Prepared for (customer)"
+              className="w-48 bg-slate-800 border border-slate-700 rounded-lg px-3 py-2.5 text-xs text-white focus:border-cyan-500 focus:outline-none" />
+            {Object.entries(REPORT_FORMATS).map(([k, f]) => (
+              <button key={k} onClick={() => exportReport(k)} className="flex items-center gap-2 bg-cyan-500 hover:bg-cyan-400 text-slate-900 font-bold text-sm px-5 py-2.5 rounded-lg transition-colors">
+                <FileText size={14} /> {f.label}
+              </button>
+            ))}
           </div>
-          <button onClick={exportCfg} className="flex items-center gap-2 bg-cyan-500 hover:bg-cyan-400 text-slate-900 font-bold text-sm px-5 py-2.5 rounded-lg transition-colors shrink-0">
-            <FileText size={14} /> Export for RFB
-          </button>
         </div>
       </div>
     );
@@ -1070,6 +2837,12 @@ export default function App() {
             {[
               { id: "physics",   label: "Inference Physics",   icon: Cpu },
               { id: "lifecycle", label: "Data Lifecycle",       icon: HardDrive },
+              { id: "portfolio", label: "Portfolio",            icon: Users },
+              { id: "forecast",  label: "Growth Forecast",      icon: Calendar },
+              { id: "simulation", label: "Simulation",          icon: Activity },
+              { id: "solver",    label: "SLO Solver",           icon: Shield },
+              { id: "sensitivity", label: "Sensitivity",        icon: Sliders },
+              { id: "compare",   label: "Compare",              icon: GitCompare },
               { id: "executive", label: "Executive Report",     icon: TrendingUp },
             ].map(({ id, label, icon: Icon }) => (
               <button key={id} onClick={() => setTab(id)}
@@ -1095,6 +2868,14 @@ export default function App() {
               <AlertTriangle size={11} /> System Overload
             </div>
           )}
+          <button onClick={copyLink}
+            className="flex items-center gap-1.5 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 text-xs px-3 py-2 rounded-lg transition-colors">
+            <Link size={13} /> {linkCopied ? "Link copied" : "Copy Link"}
+          </button>
+          <button onClick={() => setShowLibrary(true)}
+            className="flex items-center gap-1.5 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 text-xs px-3 py-2 rounded-lg transition-colors">
+            <FolderOpen size={13} /> Library
+          </button>
           <button onClick={() => setShowGuide(true)}
             className="flex items-center gap-1.5 bg-cyan-500 hover:bg-cyan-400 text-slate-900 font-bold text-xs px-4 py-2 rounded-lg transition-colors">
             <BookOpen size={13} /> Seller's Guide
@@ -1102,17 +2883,36 @@ export default function App() {
         </div>
       </header>
 
+      {loadIssue && <LoadIssueBanner issue={loadIssue} onDismiss={() => setLoadIssue(null)} />}
+
       {/* Body */}
       <div className="flex flex-1 overflow-hidden">
         <Sidebar />
         <main className="flex-1 overflow-y-auto">
+          {/* Tabs that edit App state are called rather than mounted: as closures they're a new
+              component every render, so mounting would remount them and drop focus from their fields */}
           {tab === "physics"   && <PhysicsTab />}
-          {tab === "lifecycle" && <DataLifecycleTab />}
-          {tab === "executive" && <ExecutiveTab />}
+          {tab === "lifecycle" && DataLifecycleTab()}
+          {tab === "portfolio" && PortfolioTab()}
+          {tab === "forecast"  && ForecastTab()}
+          {tab === "simulation" && SimulationTab()}
+          {tab === "solver" && SolverTab()}
+          {tab === "sensitivity" && SensitivityTab()}
+          {tab === "compare" && CompareTab()}
+          {tab === "executive" && ExecutiveTab()}
         </main>
       </div>
 
       {showGuide && <SellersGuide onClose={() => setShowGuide(false)} />}
+      {showLibrary && <ConfigLibrary cfg={cfg} onLoad={(name, c) => loadCfg(name, c)} onClose={() => setShowLibrary(false)} />}
+      {editingModel && (
+        <ModelEditor
+          initial={editingModel.model}
+          onSave={saveModel}
+          onDelete={editingModel.key ? deleteModel : null}
+          onClose={() => setEditingModel(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,147 @@
+// Saving and sharing configurations: a URL hash that carries the
+// whole config, so a link reproduces the exact analysis, and a named library
+// of saved configs per customer or opportunity, kept in IndexedDB. What
+// comes back out of either is an export to run through parseConfig.
+
+import { serializeConfig } from "./kv-cache-config.js";
+
+// ── URL HASH ─────────────────────────────────────────────────────────────────
+
+// Links carry the config deflated under "#c=…". Links from before the
+// compression carry plain JSON under "#cfg=…" and still open.
+export const HASH_KEY = "c";
+const LEGACY_HASH_KEY = "cfg";
+
+// Base64url, so the bytes survive in a URL unescaped
+function toBase64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  return Uint8Array.from(atob(encoded.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0));
+}
+
+// Runs bytes through a CompressionStream or DecompressionStream
+async function transform(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+// The whole config, versioned as serializeConfig writes it, so a link keeps
+// its meaning when a later release changes a default or the schema —
+// parseConfig migrates it on the way back in. Deflating keeps a link with a
+// week-long load profile short enough for chat and email.
+export async function encodeConfig(cfg) {
+  const json = new TextEncoder().encode(JSON.stringify(serializeConfig(cfg)));
+  return toBase64Url(await transform(json, new CompressionStream("deflate-raw")));
+}
+
+// The config a link carries, for parseConfig. Links from before the hash
+// carried the whole config hold only the fields that differed from the
+// defaults of their day; parseConfig fills in today's.
+export async function decodeConfig(encoded, { compressed = true } = {}) {
+  try {
+    const bytes = fromBase64Url(encoded);
+    const json = compressed ? await transform(bytes, new DecompressionStream("deflate-raw")) : bytes;
+    return JSON.parse(new TextDecoder().decode(json));
+  } catch {
+    throw new Error("The link's configuration is damaged — it may have been cut short when it was copied");
+  }
+}
+
+// "#c=…" for the config
+export async function configHash(cfg) {
+  return `#${HASH_KEY}=${await encodeConfig(cfg)}`;
+}
+
+// The config in a location hash, or null when it carries none. Rejects
+// when it carries one that can't be read.
+export async function configFromHash(hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ""));
+  if (params.get(HASH_KEY)) return decodeConfig(params.get(HASH_KEY));
+  if (params.get(LEGACY_HASH_KEY)) return decodeConfig(params.get(LEGACY_HASH_KEY), { compressed: false });
+  return null;
+}
+
+// A link to this page that opens on the config
+export async function shareUrl(cfg, location = window.location) {
+  return `${location.origin}${location.pathname}${await configHash(cfg)}`;
+}
+
+// ── LIBRARY ──────────────────────────────────────────────────────────────────
+
+// Each entry is { id, name, customer, config, created, modified }; times are
+// epoch milliseconds.
+const DB_NAME = "kv-cache-library";
+const DB_VERSION = 1;
+const STORE = "configs";
+
+let dbPromise = null;
+
+function openLibrary() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+      store.createIndex("customer", "customer");
+      store.createIndex("modified", "modified");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+// Runs fn(store) in one transaction and resolves with its request's result
+// once the transaction commits.
+async function withStore(mode, fn) {
+  const db = await openLibrary();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const newId = () => globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Most recently modified first
+export async function listConfigs() {
+  const entries = await withStore("readonly", store => store.getAll());
+  return entries.sort((a, b) => b.modified - a.modified);
+}
+
+export async function getConfig(id) {
+  return withStore("readonly", store => store.get(id));
+}
+
+export async function saveConfig({ name, customer = "", config }) {
+  const now = Date.now();
+  const entry = { id: newId(), name: name.trim() || "Untitled", customer: customer.trim(), config: serializeConfig(config), created: now, modified: now };
+  await withStore("readwrite", store => store.add(entry));
+  return entry;
+}
+
+// Rename, move to another customer or overwrite the config — any of
+// { name, customer, config } — and stamp the change.
+export async function updateConfig(id, patch) {
+  const entry = await getConfig(id);
+  if (!entry) throw new Error(`No saved configuration with id ${id}`);
+  const updated = { ...entry, ...patch, id, modified: Date.now() };
+  if (patch.config) updated.config = serializeConfig(patch.config);
+  await withStore("readwrite", store => store.put(updated));
+  return updated;
+}
+
+export async function duplicateConfig(id) {
+  const entry = await getConfig(id);
+  if (!entry) throw new Error(`No saved configuration with id ${id}`);
+  return saveConfig({ name: `${entry.name} (copy)`, customer: entry.customer, config: entry.config });
+}
+
+export async function deleteConfig(id) {
+  await withStore("readwrite", store => store.delete(id));
+}
@@ -0,0 +1,38 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONFIG } from "./kv-cache-engine.js";
+import { CONFIG_VERSION, parseConfig, serializeConfig } from "./kv-cache-config.js";
+import { configHash, configFromHash } from "./kv-cache-library.js";
+
+describe("URL hash", () => {
+  test("carries the whole config, versioned", async () => {
+    const cfg = { ...DEFAULT_CONFIG, gpu: "H200_SXM5", concurrentSessions: 400, activeScenario: "Ünïcode" };
+    const linked = await configFromHash(await configHash(cfg));
+    assert.equal(linked.version, CONFIG_VERSION);
+    assert.deepEqual(linked, serializeConfig(cfg));
+    // a link made today reads the same against any later defaults
+    const { config, errors } = parseConfig(linked, { ...DEFAULT_CONFIG, inputTokens: 1, ddnBandwidth: 1 });
+    assert.deepEqual(errors, []);
+    assert.equal(config.inputTokens, DEFAULT_CONFIG.inputTokens);
+    assert.equal(config.ddnBandwidth, DEFAULT_CONFIG.ddnBandwidth);
+  });
+
+  test("stays short with a week-long load profile", async () => {
+    const loadProfile = Array.from({ length: 168 }, (_, h) => Math.round(50 + 50 * Math.sin(h / 4)) / 100);
+    const hash = await configHash({ ...DEFAULT_CONFIG, loadProfile });
+    assert.ok(hash.length < 1000, `${hash.length} characters`);
+    assert.deepEqual((await configFromHash(hash)).loadProfile, loadProfile);
+  });
+
+  test("opens links from before compression", async () => {
+    const old = { gpu: "H200_SXM5", concurrentSessions: 400 };
+    assert.deepEqual(await configFromHash(`#cfg=${Buffer.from(JSON.stringify(old)).toString("base64url")}`), old);
+  });
+
+  test("no config, or a damaged one", async () => {
+    assert.equal(await configFromHash(""), null);
+    assert.equal(await configFromHash("#other=1"), null);
+    await assert.rejects(async () => configFromHash((await configHash(DEFAULT_CONFIG)).slice(0, 40)), /damaged/);
+    await assert.rejects(configFromHash("#cfg=eyJnc"), /damaged/);
+  });
+});
@@ -0,0 +1,687 @@
+// Customer-ready executive reports, generated in the browser: a multi-page
+// PDF and a PowerPoint deck carrying the summary, the HBM and restore-time
+// charts, node savings, cost tables and every assumption behind them. Both
+// are written byte by byte — PDF operators, and Office Open XML in a stored
+// zip — so export works offline from the static deploy with no library or
+// server. buildReport gathers the numbers, layoutReport places them on 16:9
+// pages, and renderPDF / renderPPTX draw those same pages. The RFB bill of
+// materials (computeBOM) goes out the same way, as CSV or an XLSX workbook.
+
+import {
+  FRAMEWORK_PRESETS, WEIGHT_DTYPES, KV_DTYPES, PRICING_MODELS, TCO_CATEGORIES, TOKEN_COST_BASES,
+  DEFAULT_FACILITY, DEFAULT_TOKEN_PRICING, RESTORE_SLO_SEC, STORAGE_HEADROOM, CAPEX_AMORTIZATION,
+  computePhysics, computePortfolio, computeTCO, computeTokenCosts, storageInvestment,
+} from "./kv-cache-engine.js";
+
+// render turns a buildReport result into the file's bytes
+export const REPORT_FORMATS = {
+  pdf:  { label: "PDF",        ext: "pdf",  mime: "application/pdf", render: renderPDF },
+  pptx: { label: "PowerPoint", ext: "pptx", mime: "application/vnd.openxmlformats-officedocument.presentationml.presentation", render: renderPPTX },
+};
+
+// render turns a computeBOM result into the file's bytes
+export const BOM_FORMATS = {
+  csv:  { label: "CSV",   ext: "csv",  mime: "text/csv", render: renderCSV },
+  xlsx: { label: "Excel", ext: "xlsx", mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", render: renderXLSX },
+};
+
+// ── CONTENT ──────────────────────────────────────────────────────────────────
+
+// Print-friendly palette: dark title band, white page
+const COLORS = {
+  band: "0F172A", ink: "0F172A", body: "334155", muted: "64748B", rule: "CBD5E1", panel: "F1F5F9", white: "FFFFFF",
+  cyan: "0891B2", amber: "D97706", green: "16A34A", red: "DC2626", slate: "94A3B8",
+};
+
+const HBM_PARTS = [
+  { key: "weights",       label: "Model weights",        color: "2563EB" },
+  { key: "activations",   label: "Activation workspace", color: "6366F1" },
+  { key: "cudaGraphs",    label: "CUDA graphs",          color: "8B5CF6" },
+  { key: "kv",            label: "KV cache in VRAM",     color: "F59E0B" },
+  { key: "fragmentation", label: "Block fragmentation",  color: "C2410C" },
+  { key: "reserved",      label: "Reserved headroom",    color: "64748B" },
+  { key: "free",          label: "Available",            color: "E2E8F0" },
+];
+
+const usd = (n) => Math.abs(n) >= 1e6 ? `$${(n / 1e6).toFixed(2)}M` : `$${Math.round(n).toLocaleString("en-US")}`;
+const num = (n) => Math.round(n).toLocaleString("en-US");
+const gb = (n) => n < 1 ? `${(n * 1024).toFixed(0)} MB` : `${n.toFixed(1)} GB`;
+const ms = (n) => n < 1 ? `${(n * 1000).toFixed(0)} ms` : `${n.toFixed(2)} s`;
+const pct = (n) => `${n.toFixed(1)}%`;
+const per1M = (n) => Number.isFinite(n) ? `$${n.toFixed(2)}` : "—";
+const nodes = (n) => `${n} GPU node${n === 1 ? "" : "s"}`;
+
+// Everything the report says, as plain data: the sidebar workload (or the
+// portfolio, when one is set) priced for procurement "rental" or "capex".
+// Null when the config can't be sized.
+export function buildReport(cfg, { procurement = "rental", customer = "", date = new Date() } = {}) {
+  const ph = computePhysics(cfg);
+  if (!ph) return null;
+  const pf = computePortfolio(cfg);
+  const ex = pf ?? ph;
+  const tco = computeTCO(cfg, ex, procurement);
+  const tok = computeTokenCosts(cfg, ex, procurement);
+  const inv = storageInvestment(ex, procurement);
+  const rental = procurement === "rental";
+  const [gpuOnly, withDDN] = tco.architectures;
+  const s = ex.storage;
+
+  const sizing = pf
+    ? `Running ${pf.lines.length} workloads on ${ph.gpu.name} with ${num(pf.concurrentSessions)} concurrent sessions in total requires ${gb(pf.totalVRAMNeeded)} of effective GPU memory.`
+    : `Running ${ph.llm.name} on ${ph.gpu.name} with ${num(ph.concurrentSessions)} concurrent sessions and ${num(ph.inputTokens)}-token contexts requires ${gb(ph.totalVRAMNeeded)} of effective GPU memory — ${ph.isOffloading ? `${gb(ph.totalVRAMNeeded - ph.physicalVRAM)} more than the ${gb(ph.physicalVRAM)} the GPUs provide` : `within the ${gb(ph.physicalVRAM)} GPU capacity`}.`;
+  const offload = ex.kvOverflow > 0
+    ? ` DDN AI Fabric holds the ${gb(ex.kvOverflow)} of KV cache that overflows, restoring a session in ${ms(ph.restoreTimeDDN)} against ${ms(ph.restoreTimeNAS)} from standard NAS.`
+    : "";
+  const worth = rental
+    ? `${usd(ex.monthlyRentalSavings)} a month in node rental, ${usd(ex.contractSavings)} over the ${cfg.contractMonths}-month contract`
+    : `${usd(ex.capexAvoidance)} of hardware and ${usd(ex.annualOpexSavings)} a year in operating cost`;
+  const unfit = ph.weightsFit ? ""
+    : `As configured this can't be deployed: ${ph.llm.name} needs at least ${ph.gpusToFit} GPUs per replica, not ${ph.gpusPerReplica}, so the node counts and costs below are for a cluster that can't serve it. `;
+  const summary = [
+    unfit + sizing + offload,
+    `Keeping ${pct(ph.ddnResidentFraction * 100)} of sessions resident in VRAM and restoring the rest from DDN, the cluster needs ${nodes(ex.nodesWithDDN)} instead of ${ex.nodesWithoutDDN}. Avoiding ${nodes(ex.nodesAvoided)} is worth ${worth}.`,
+    `Over ${tco.months} months the total cost of ownership is ${usd(withDDN.total)} with DDN against ${usd(gpuOnly.total)} without — ${tco.savings >= 0 ? "a saving of" : "an extra"} ${usd(Math.abs(tco.savings))} (${pct(Math.abs(tco.savingsPct))}).`,
+  ];
+
+  const metrics = [
+    { label: "GPU nodes avoided", value: `${ex.nodesAvoided}`, sub: `${ex.nodesWithDDN} needed vs ${ex.nodesWithoutDDN} without DDN` },
+    rental
+      ? { label: `${cfg.contractMonths}-month contract savings`, value: usd(ex.contractSavings), sub: `${usd(ex.monthlyRentalSavings)} a month in rental` }
+      : { label: "CAPEX avoidance", value: usd(ex.capexAvoidance), sub: `${usd(ex.annualOpexSavings)} a year in OPEX` },
+    { label: "DDN storage", value: `${usd(ex.ddnMonthlyCost)}/mo`, sub: `${s.tier.name} tier · ${num(s.capacityTB)} TB` },
+    { label: `${tco.months}-month TCO savings`, value: usd(tco.savings), sub: `${pct(tco.savingsPct)} of the GPU-only cost` },
+  ];
+
+  const tables = {
+    tco: {
+      title: `Total cost of ownership — ${tco.months} months, GPUs ${rental ? "rented" : "bought"}`,
+      columns: ["", ...tco.architectures.map(a => a.name), "Difference"],
+      rows: [
+        ["GPU nodes", ...tco.architectures.map(a => `${a.nodes}`), `${gpuOnly.nodes - withDDN.nodes}`],
+        ["Power (kW)", ...tco.architectures.map(a => a.powerKW.toFixed(1)), ""],
+        ["Racks", ...tco.architectures.map(a => `${a.racks}`), ""],
+        ...Object.entries(TCO_CATEGORIES).map(([k, c]) => [c.name, ...tco.architectures.map(a => usd(a.costs[k])), usd(gpuOnly.costs[k] - withDDN.costs[k])]),
+        ["Total", ...tco.architectures.map(a => usd(a.total)), `${usd(tco.savings)} (${pct(tco.savingsPct)})`],
+      ],
+    },
+    tokens: {
+      title: `Cost per million tokens — ${TOKEN_COST_BASES[tok.costBasis].name}`,
+      columns: ["", ...tok.architectures.map(a => a.name), "API price"],
+      rows: [
+        ["Input", ...tok.architectures.map(a => per1M(a.costPer1MInput)), per1M(tok.api.costPer1MInput)],
+        ["Output", ...tok.architectures.map(a => per1M(a.costPer1MOutput)), per1M(tok.api.costPer1MOutput)],
+        ["Blended", ...tok.architectures.map(a => per1M(a.costPer1MBlended)), per1M(tok.api.costPer1MBlended)],
+        ["Demand served", ...tok.architectures.map(a => `${pct(a.servedPct)}${a.limitedBy ? ` (${a.limitedBy})` : ""}`), ""],
+      ],
+    },
+    storage: {
+      title: "Storage investment",
+      columns: ["", ""],
+      rows: [
+        ["Pricing model", PRICING_MODELS[s.model].name],
+        ["Performance tier", `${s.tier.name} (${s.tier.bandwidthGBps} GB/s)`],
+        ["Capacity", `${num(s.capacityTB)} TB`],
+        ["Support", s.support.name],
+        ["Upfront", usd(s.upfront)],
+        ["Monthly", usd(s.monthly)],
+        ["Net present value", `${usd(inv.npv)} at ${s.discountRatePct}%`],
+        ["Payback", inv.paybackMonths == null ? `beyond ${s.termMonths} months` : `${inv.paybackMonths.toFixed(1)} months`],
+      ],
+    },
+    portfolio: pf && {
+      title: "Workload portfolio",
+      columns: ["Workload", "Model", "Sessions", "VRAM needed", "KV overflow", "GPUs w/o DDN", "GPUs with DDN"],
+      rows: pf.lines.map(({ line, ph: p, gpusWithoutDDN, gpusWithDDN }) =>
+        [line.name, p.llm.name, num(p.concurrentSessions), gb(p.totalVRAMNeeded), gb(p.kvOverflow), `${gpusWithoutDDN}`, `${gpusWithDDN}`]),
+    },
+  };
+
+  const fac = { ...DEFAULT_FACILITY, ...cfg.facility };
+  const tp = { ...DEFAULT_TOKEN_PRICING, ...cfg.tokenPricing };
+  const assumptions = [
+    { title: "Workload", items: [
+      ["Model", ph.llm.name],
+      ["Input / output tokens", `${num(cfg.inputTokens)} / ${num(cfg.outputTokens)}`],
+      ["Concurrent sessions", num(cfg.concurrentSessions)],
+      ["Shared prefix tokens", num(cfg.sharedPrefixTokens ?? 0)],
+      ["Session turnover", `${cfg.sessionTurnoverPerHour} per slot per hour`],
+      ["Active time between swaps", `${ph.avgSessionTimeSec} s`],
+    ] },
+    { title: "Cluster", items: [
+      ["GPU", ph.gpu.name],
+      ["Serving framework", FRAMEWORK_PRESETS[cfg.framework].name],
+      ["Weights / KV precision", `${WEIGHT_DTYPES[cfg.weightDtype].name} / ${KV_DTYPES[cfg.kvDtype].name}`],
+      ["Tensor × pipeline parallel", `${cfg.tensorParallel} × ${cfg.pipelineParallel ?? 1}`],
+      ["GPU memory utilization", pct(ph.gpuMemoryUtilization * 100)],
+      ["Sessions resident with DDN", pct(ph.ddnResidentFraction * 100)],
+    ] },
+    { title: "Storage", items: [
+      ["DDN / NAS bandwidth", `${ph.ddnBandwidth} / ${ph.nasBandwidth} GB/s`],
+      ["Restore SLO", `${RESTORE_SLO_SEC} s`],
+      ["Capacity headroom", `${STORAGE_HEADROOM}× peak overflow`],
+      ["Storage term", `${s.termMonths} months`],
+    ] },
+    { title: "Economics", items: [
+      ["Node rate", `${usd(cfg.monthlyRate)} / month`],
+      ["Contract", `${cfg.contractMonths} months`],
+      ["CAPEX counted per year", pct(CAPEX_AMORTIZATION * 100)],
+      ["Power", `$${fac.powerCostPerKWh}/kWh at PUE ${fac.pue}`],
+      ["Rack", `${usd(fac.rackCostPerMonth)} / month, ${fac.kWPerRack} kW`],
+      ["Network per node", usd(fac.networkCostPerNode)],
+      ["API price per 1M in / out", `$${tp.apiInputPer1M} / $${tp.apiOutputPer1M}`],
+    ] },
+  ];
+
+  return {
+    title: "KV Cache Storage Analysis",
+    customer, date, procurement,
+    summary, metrics,
+    hbm: {
+      capacityGB: ph.physicalVRAM,
+      overflowGB: ph.kvOverflow,
+      parts: HBM_PARTS.map(p => ({ ...p, gb: ph.hbm[p.key] })),
+      note: pf ? `Shown for the sidebar workload, ${ph.llm.name}` : "",
+    },
+    restore: [
+      { label: `DDN AI Fabric (${ph.ddnBandwidth} GB/s)`, sec: ph.restoreTimeDDN, color: COLORS.cyan },
+      { label: `Standard NAS (${ph.nasBandwidth} GB/s)`, sec: ph.restoreTimeNAS, color: COLORS.red },
+      { label: "Recompute from the prompt", sec: ph.recomputeTimeSec, color: COLORS.slate },
+    ],
+    nodes: [
+      { label: "Without DDN", value: ex.nodesWithoutDDN, color: COLORS.red },
+      { label: "With DDN AI Fabric", value: ex.nodesWithDDN, color: COLORS.green },
+    ],
+    tables, assumptions,
+  };
+}
+
+// ── LAYOUT ───────────────────────────────────────────────────────────────────
+
+// Pages are 960 × 540 pt (13.33 × 7.5 in, 16:9) with the origin top left.
+// A page is a list of rects { type, x, y, w, h, fill } and text blocks
+// { type, x, y, w, lines, size, bold, color, align, leading } whose y is the
+// top of the first line.
+const PAGE_W = 960, PAGE_H = 540, MARGIN = 40;
+const PORTFOLIO_ROWS = 16;
+
+// Helvetica advance widths per 1000 em for ASCII 32–126; Arial matches them
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667,
+  611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833,
+  556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+function textWidth(text, size, bold = false) {
+  let w = 0;
+  for (const ch of text) w += HELVETICA[ch.charCodeAt(0) - 32] ?? 556;
+  return w * size / 1000 * (bold ? 1.06 : 1);
+}
+
+function wrap(text, width, size, bold) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    const next = line ? `${line} ${word}` : word;
+    if (line && textWidth(next, size, bold) > width) { lines.push(line); line = word; }
+    else line = next;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+const rect = (x, y, w, h, fill) => ({ type: "rect", x, y, w, h, fill });
+const text = (x, y, w, content, { size = 11, bold = false, color = COLORS.body, align = "l", leading = 1.35, wrapped = false } = {}) => ({
+  type: "text", x, y, w, size, bold, color, align, leading: size * leading,
+  lines: wrapped ? wrap(content, w, size, bold) : [content],
+});
+const textHeight = (t) => t.lines.length * t.leading;
+
+// Header row, then one row per entry; the first column is left aligned and
+// the rest right aligned. Returns the elements and the height used.
+function table(x, y, w, { title, columns, rows }, { firstShare = 0.34, size = 10 } = {}) {
+  const els = [];
+  const rowH = size * 2;
+  if (title) els.push(text(x, y, w, title, { size: 12, bold: true, color: COLORS.ink }));
+  let top = y + (title ? 22 : 0);
+  const first = w * firstShare, rest = (w - first) / Math.max(1, columns.length - 1);
+  const colX = (i) => i === 0 ? x : x + first + rest * (i - 1);
+  const colW = (i) => i === 0 ? first : rest;
+  const row = (cells, opts) => {
+    cells.forEach((c, i) => els.push(text(colX(i) + (i === 0 ? 0 : 4), top + (rowH - size) / 2 - 1, colW(i) - (i === 0 ? 4 : 8), c, { size, align: i === 0 ? "l" : "r", ...opts })));
+    top += rowH;
+    els.push(rect(x, top - 0.5, w, 0.5, COLORS.rule));
+  };
+  if (columns.some(Boolean)) {
+    els.push(rect(x, top, w, rowH, COLORS.panel));
+    row(columns, { bold: true, color: COLORS.muted, size: size - 1 });
+  }
+  rows.forEach((r, i) => row(r, i === rows.length - 1 && r[0] === "Total" ? { bold: true, color: COLORS.ink } : {}));
+  return { els, height: top - y };
+}
+
+// Horizontal bars scaled to the largest value, labels on the left and values
+// on the right.
+function hbars(x, y, w, bars, format, { labelW = 200, barH = 22, gap = 14 } = {}) {
+  const els = [];
+  const max = Math.max(...bars.map(b => b.value), 1e-9);
+  const span = w - labelW - 90;
+  bars.forEach((b, i) => {
+    const top = y + i * (barH + gap);
+    els.push(text(x, top + (barH - 11) / 2, labelW - 10, b.label, { size: 11 }));
+    els.push(rect(x + labelW, top, Math.max(2, span * b.value / max), barH, b.color));
+    els.push(text(x + labelW + Math.max(2, span * b.value / max) + 8, top + (barH - 11) / 2, 90, format(b.value), { size: 11, bold: true, color: COLORS.ink }));
+  });
+  return { els, height: bars.length * (barH + gap) - gap };
+}
+
+function frame(title, n, total, report) {
+  const date = report.date.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+  return [
+    rect(0, 0, PAGE_W, 64, COLORS.band),
+    rect(0, 64, PAGE_W, 3, COLORS.cyan),
+    text(MARGIN, 20, 600, title, { size: 22, bold: true, color: COLORS.white }),
+    text(PAGE_W - MARGIN - 300, 18, 300, "Boost Run × DDN AI Fabric", { size: 11, bold: true, color: "22D3EE", align: "r" }),
+    text(PAGE_W - MARGIN - 300, 36, 300, report.title, { size: 9, color: COLORS.slate, align: "r" }),
+    rect(MARGIN, PAGE_H - 34, PAGE_W - 2 * MARGIN, 0.5, COLORS.rule),
+    text(MARGIN, PAGE_H - 26, 600, [report.customer, date].filter(Boolean).join(" · "), { size: 9, color: COLORS.muted }),
+    text(PAGE_W - MARGIN - 200, PAGE_H - 26, 200, `${n} / ${total}`, { size: 9, color: COLORS.muted, align: "r" }),
+  ];
+}
+
+// The report as pages of positioned rects and text, shared by both renderers
+export function layoutReport(report) {
+  const inner = PAGE_W - 2 * MARGIN;
+  const half = (inner - 40) / 2;
+  const pages = [];
+
+  // Executive summary and headline numbers
+  {
+    const els = [];
+    let y = 92;
+    if (report.customer) { els.push(text(MARGIN, y, inner, `Prepared for ${report.customer}`, { size: 12, bold: true, color: COLORS.cyan })); y += 26; }
+    for (const para of report.summary) {
+      const t = text(MARGIN, y, inner, para, { size: 13, wrapped: true, leading: 1.45 });
+      els.push(t);
+      y += textHeight(t) + 10;
+    }
+    const cardW = (inner - 3 * 16) / 4, cardY = Math.max(y + 14, 330);
+    report.metrics.forEach((m, i) => {
+      const x = MARGIN + i * (cardW + 16);
+      els.push(rect(x, cardY, cardW, 118, COLORS.panel), rect(x, cardY, 4, 118, COLORS.cyan));
+      els.push(text(x + 16, cardY + 16, cardW - 24, m.label.toUpperCase(), { size: 9, bold: true, color: COLORS.muted }));
+      els.push(text(x + 16, cardY + 38, cardW - 24, m.value, { size: 26, bold: true, color: COLORS.ink }));
+      els.push(text(x + 16, cardY + 78, cardW - 24, m.sub, { size: 10, color: COLORS.muted, wrapped: true }));
+    });
+    pages.push({ title: "Executive Summary", els });
+  }
+
+  // HBM composition and restore time
+  {
+    const els = [];
+    const { hbm } = report;
+    els.push(text(MARGIN, 92, inner, "GPU memory composition", { size: 14, bold: true, color: COLORS.ink }));
+    els.push(text(MARGIN, 112, inner, `${gb(hbm.capacityGB)} of HBM${hbm.overflowGB > 0 ? ` · ${gb(hbm.overflowGB)} of KV cache overflows to the offload tiers` : " · the whole KV cache fits"}${hbm.note ? ` · ${hbm.note}` : ""}`, { size: 10, color: COLORS.muted }));
+    // Weights that don't fit outgrow the HBM; the bar then spans what they need
+    const scale = Math.max(hbm.capacityGB, hbm.parts.reduce((s, p) => s + Math.max(0, p.gb), 0), 1e-9);
+    let x = MARGIN;
+    for (const p of hbm.parts) {
+      const w = inner * Math.max(0, p.gb) / scale;
+      if (w > 0) els.push(rect(x, 136, w, 40, p.color));
+      x += w;
+    }
+    const legendW = inner / 4;
+    hbm.parts.forEach((p, i) => {
+      const lx = MARGIN + (i % 4) * legendW, ly = 190 + Math.floor(i / 4) * 20;
+      els.push(rect(lx, ly + 1, 10, 10, p.color));
+      els.push(text(lx + 16, ly, legendW - 20, `${p.label}  ${gb(Math.max(0, p.gb))}`, { size: 10 }));
+    });
+
+    els.push(text(MARGIN, 262, inner, "Context restore time per session", { size: 14, bold: true, color: COLORS.ink }));
+    els.push(text(MARGIN, 282, inner, `Reading one session's KV cache back into HBM · restore SLO ${RESTORE_SLO_SEC} s`, { size: 10, color: COLORS.muted }));
+    els.push(...hbars(MARGIN, 310, inner, report.restore.map(r => ({ label: r.label, value: r.sec, color: r.color })), ms, { labelW: 230, barH: 28, gap: 18 }).els);
+    pages.push({ title: "Memory and Restore Time", els });
+  }
+
+  // Node savings and TCO
+  {
+    const els = [];
+    els.push(text(MARGIN, 92, half, "GPU nodes", { size: 14, bold: true, color: COLORS.ink }));
+    const [without, withDDN] = report.nodes;
+    els.push(text(MARGIN, 112, half, `${without.value - withDDN.value} nodes avoided with DDN AI Fabric`, { size: 10, color: COLORS.muted }));
+    els.push(...hbars(MARGIN, 140, half, report.nodes, v => `${v}`, { labelW: 150, barH: 34, gap: 20 }).els);
+    const [avoided, contract, , tcoSavings] = report.metrics;
+    [avoided, contract, tcoSavings].forEach((m, i) => {
+      const y = 270 + i * 68;
+      els.push(rect(MARGIN, y, half, 56, COLORS.panel));
+      els.push(text(MARGIN + 14, y + 10, half - 28, m.label.toUpperCase(), { size: 9, bold: true, color: COLORS.muted }));
+      els.push(text(MARGIN + 14, y + 26, half - 28, m.value, { size: 18, bold: true, color: COLORS.green }));
+      els.push(text(MARGIN + half - 14 - 220, y + 30, 220, m.sub, { size: 10, color: COLORS.muted, align: "r" }));
+    });
+    els.push(...table(MARGIN + half + 40, 92, half, report.tables.tco, { firstShare: 0.3 }).els);
+    pages.push({ title: "Node Savings and Total Cost", els });
+  }
+
+  // Token costs and storage investment
+  {
+    const els = [];
+    els.push(...table(MARGIN, 92, half, report.tables.tokens, { firstShare: 0.3 }).els);
+    els.push(...table(MARGIN + half + 40, 92, half, report.tables.storage, { firstShare: 0.45 }).els);
+    pages.push({ title: "Cost per Token and Storage Investment", els });
+  }
+
+  // The portfolio, as many pages as its lines need
+  const { portfolio } = report.tables;
+  for (let i = 0; portfolio && i < portfolio.rows.length; i += PORTFOLIO_ROWS) {
+    const rows = portfolio.rows.slice(i, i + PORTFOLIO_ROWS);
+    pages.push({ title: "Workload Portfolio", els: table(MARGIN, 92, inner, { ...portfolio, rows }, { firstShare: 0.22 }).els });
+  }
+
+  // Assumptions, two groups per column
+  {
+    const els = [];
+    const colW = (inner - 40) / 2;
+    const tops = [92, 92];
+    report.assumptions.forEach((group, i) => {
+      const col = i % 2;
+      const t = table(MARGIN + col * (colW + 40), tops[col], colW, { title: group.title, columns: ["", ""], rows: group.items }, { firstShare: 0.5, size: 9 });
+      els.push(...t.els);
+      tops[col] += t.height + 18;
+    });
+    pages.push({ title: "Assumptions", els });
+  }
+
+  return pages.map((p, i) => [...frame(p.title, i + 1, pages.length, report), ...p.els]);
+}
+
+// ── PDF ──────────────────────────────────────────────────────────────────────
+
+// WinAnsiEncoding for the few characters past Latin-1 the report uses
+const WIN_ANSI = { "€": 0x80, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "−": 0x2d };
+
+function pdfString(s) {
+  let out = "";
+  for (const ch of s) {
+    const code = WIN_ANSI[ch] ?? ch.charCodeAt(0);
+    const c = code > 255 ? "?" : String.fromCharCode(code);
+    out += c === "(" || c === ")" || c === "\\" ? `\\${c}` : c;
+  }
+  return `(${out})`;
+}
+
+const pdfColor = (hex) => [0, 2, 4].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(" ");
+const fixed = (n) => +n.toFixed(2);
+
+function pdfPage(els) {
+  const ops = [];
+  for (const e of els) {
+    if (e.type === "rect") {
+      ops.push(`${pdfColor(e.fill)} rg ${fixed(e.x)} ${fixed(PAGE_H - e.y - e.h)} ${fixed(e.w)} ${fixed(e.h)} re f`);
+      continue;
+    }
+    e.lines.forEach((line, i) => {
+      const w = textWidth(line, e.size, e.bold);
+      const x = e.align === "r" ? e.x + e.w - w : e.align === "ctr" ? e.x + (e.w - w) / 2 : e.x;
+      const baseline = PAGE_H - e.y - e.size * 0.8 - i * e.leading;
+      ops.push(`BT /${e.bold ? "F2" : "F1"} ${e.size} Tf ${pdfColor(e.color)} rg ${fixed(x)} ${fixed(baseline)} Td ${pdfString(line)} Tj ET`);
+    });
+  }
+  return ops.join("\n");
+}
+
+// A PDF of the report's pages, as bytes
+export function renderPDF(report) {
+  const pages = layoutReport(report);
+  // 1 catalog, 2 page tree, 3–4 fonts, 5 info, then a page and its content stream per page
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${6 + i * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Title ${pdfString([report.title, report.customer].filter(Boolean).join(" — "))} /Producer (KV Cache Storage Estimator) >>`,
+  ];
+  pages.forEach((els, i) => {
+    const content = pdfPage(els);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  });
+
+  // Every character is one byte, so string offsets are byte offsets
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Uint8Array.from(pdf, c => c.charCodeAt(0));
+}
+
+// ── PPTX ─────────────────────────────────────────────────────────────────────
+
+const EMU = 12700; // per point
+const NS = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const emu = (pt) => Math.round(pt * EMU);
+const xfrm = (x, y, w, h) => `<a:xfrm><a:off x="${emu(x)}" y="${emu(y)}"/><a:ext cx="${emu(w)}" cy="${emu(h)}"/></a:xfrm>`;
+
+function relationships(rels) {
+  return `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+    rels.map(([id, type, target]) => `<Relationship Id="${id}" Type="${type.startsWith("http") ? type : `${REL}/${type}`}" Target="${target}"/>`).join("")
+  }</Relationships>`;
+}
+
+const emptyTree = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr/>';
+
+function slideXml(els) {
+  const shapes = els.map((e, i) => {
+    const id = i + 2;
+    if (e.type === "rect") {
+      return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="Rectangle ${id}"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr><p:spPr>${xfrm(e.x, e.y, e.w, e.h)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:solidFill><a:srgbClr val="${e.fill}"/></a:solidFill><a:ln><a:noFill/></a:ln></p:spPr></p:sp>`;
+    }
+    const algn = { l: "l", r: "r", ctr: "ctr" }[e.align];
+    const paras = e.lines.map(line =>
+      `<a:p><a:pPr algn="${algn}"><a:lnSpc><a:spcPts val="${Math.round(e.leading * 100)}"/></a:lnSpc></a:pPr><a:r><a:rPr lang="en-US" sz="${Math.round(e.size * 100)}"${e.bold ? ' b="1"' : ""} dirty="0"><a:solidFill><a:srgbClr val="${e.color}"/></a:solidFill><a:latin typeface="Arial"/></a:rPr><a:t>${esc(line)}</a:t></a:r></a:p>`).join("");
+    return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="Text ${id}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr><p:spPr>${xfrm(e.x, e.y, e.w, textHeight(e))}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr><p:txBody><a:bodyPr wrap="none" lIns="0" tIns="0" rIns="0" bIns="0" anchor="t"><a:noAutofit/></a:bodyPr><a:lstStyle/>${paras}</p:txBody></p:sp>`;
+  }).join("");
+  return `${XML_HEAD}<p:sld ${NS}><p:cSld><p:spTree>${emptyTree}${shapes}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`;
+}
+
+// The smallest theme PowerPoint accepts: colors, fonts and three of each style
+function themeXml() {
+  const colors = [["dk1", "000000"], ["lt1", "FFFFFF"], ["dk2", COLORS.band], ["lt2", COLORS.panel], ["accent1", COLORS.cyan], ["accent2", COLORS.amber],
+    ["accent3", COLORS.green], ["accent4", COLORS.red], ["accent5", "6366F1"], ["accent6", COLORS.muted], ["hlink", COLORS.cyan], ["folHlink", "8B5CF6"]];
+  const fill = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+  const line = `<a:ln w="9525">${fill}</a:ln>`;
+  const effect = "<a:effectStyle><a:effectLst/></a:effectStyle>";
+  return `${XML_HEAD}<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Report"><a:themeElements>` +
+    `<a:clrScheme name="Report">${colors.map(([k, v]) => `<a:${k}><a:srgbClr val="${v}"/></a:${k}>`).join("")}</a:clrScheme>` +
+    '<a:fontScheme name="Report"><a:majorFont><a:latin typeface="Arial"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont><a:minorFont><a:latin typeface="Arial"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont></a:fontScheme>' +
+    `<a:fmtScheme name="Report"><a:fillStyleLst>${fill.repeat(3)}</a:fillStyleLst><a:lnStyleLst>${line.repeat(3)}</a:lnStyleLst><a:effectStyleLst>${effect.repeat(3)}</a:effectStyleLst><a:bgFillStyleLst>${fill.repeat(3)}</a:bgFillStyleLst></a:fmtScheme>` +
+    "</a:themeElements></a:theme>";
+}
+
+// A PowerPoint deck of the report's pages, one slide each, as bytes
+export function renderPPTX(report) {
+  const pages = layoutReport(report);
+  const slides = pages.map((_, i) => i + 1);
+  const ct = "application/vnd.openxmlformats-officedocument";
+  const files = {
+    "[Content_Types].xml": `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>' +
+      `<Override PartName="/ppt/presentation.xml" ContentType="${ct}.presentationml.presentation.main+xml"/>` +
+      `<Override PartName="/ppt/presProps.xml" ContentType="${ct}.presentationml.presProps+xml"/>` +
+      `<Override PartName="/ppt/slideMasters/slideMaster1.xml" ContentType="${ct}.presentationml.slideMaster+xml"/>` +
+      `<Override PartName="/ppt/slideLayouts/slideLayout1.xml" ContentType="${ct}.presentationml.slideLayout+xml"/>` +
+      `<Override PartName="/ppt/theme/theme1.xml" ContentType="${ct}.theme+xml"/>` +
+      slides.map(n => `<Override PartName="/ppt/slides/slide${n}.xml" ContentType="${ct}.presentationml.slide+xml"/>`).join("") +
+      '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+      `<Override PartName="/docProps/app.xml" ContentType="${ct}.extended-properties+xml"/></Types>`,
+    "_rels/.rels": relationships([
+      ["rId1", "officeDocument", "ppt/presentation.xml"],
+      ["rId2", "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties", "docProps/core.xml"],
+      ["rId3", "extended-properties", "docProps/app.xml"],
+    ]),
+    "docProps/core.xml": `${XML_HEAD}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+      `<dc:title>${esc([report.title, report.customer].filter(Boolean).join(" — "))}</dc:title><dcterms:created xsi:type="dcterms:W3CDTF">${report.date.toISOString().replace(/\.\d+Z$/, "Z")}</dcterms:created></cp:coreProperties>`,
+    "docProps/app.xml": `${XML_HEAD}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Application>KV Cache Storage Estimator</Application><Slides>${slides.length}</Slides></Properties>`,
+    "ppt/presentation.xml": `${XML_HEAD}<p:presentation ${NS}><p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>` +
+      `<p:sldIdLst>${slides.map(n => `<p:sldId id="${255 + n}" r:id="rId${n + 3}"/>`).join("")}</p:sldIdLst>` +
+      `<p:sldSz cx="${emu(PAGE_W)}" cy="${emu(PAGE_H)}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`,
+    "ppt/_rels/presentation.xml.rels": relationships([
+      ["rId1", "slideMaster", "slideMasters/slideMaster1.xml"],
+      ["rId2", "theme", "theme/theme1.xml"],
+      ["rId3", "presProps", "presProps.xml"],
+      ...slides.map(n => [`rId${n + 3}`, "slide", `slides/slide${n}.xml`]),
+    ]),
+    "ppt/presProps.xml": `${XML_HEAD}<p:presentationPr ${NS}/>`,
+    "ppt/theme/theme1.xml": themeXml(),
+    "ppt/slideMasters/slideMaster1.xml": `${XML_HEAD}<p:sldMaster ${NS}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${emptyTree}</p:spTree></p:cSld>` +
+      '<p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>' +
+      '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst><p:txStyles><p:titleStyle/><p:bodyStyle/><p:otherStyle/></p:txStyles></p:sldMaster>',
+    "ppt/slideMasters/_rels/slideMaster1.xml.rels": relationships([["rId1", "slideLayout", "../slideLayouts/slideLayout1.xml"], ["rId2", "theme", "../theme/theme1.xml"]]),
+    "ppt/slideLayouts/slideLayout1.xml": `${XML_HEAD}<p:sldLayout ${NS} type="blank" preserve="1"><p:cSld name="Blank"><p:spTree>${emptyTree}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`,
+    "ppt/slideLayouts/_rels/slideLayout1.xml.rels": relationships([["rId1", "slideMaster", "../slideMasters/slideMaster1.xml"]]),
+  };
+  pages.forEach((els, i) => {
+    files[`ppt/slides/slide${i + 1}.xml`] = slideXml(els);
+    files[`ppt/slides/_rels/slide${i + 1}.xml.rels`] = relationships([["rId1", "slideLayout", "../slideLayouts/slideLayout1.xml"]]);
+  });
+  const utf8 = new TextEncoder();
+  return zipStored(Object.entries(files).map(([name, body]) => ({ name, data: utf8.encode(body) })), report.date);
+}
+
+// ── BILL OF MATERIALS ────────────────────────────────────────────────────────
+
+// Quote columns, in the order procurement pastes them
+export const BOM_COLUMNS = [
+  { key: "architecture", label: "Architecture",    width: 18 },
+  { key: "category",     label: "Category",        width: 12 },
+  { key: "part",         label: "Part",            width: 34 },
+  { key: "description",  label: "Description",     width: 52 },
+  { key: "quantity",     label: "Qty",             width: 8,  number: true },
+  { key: "unit",         label: "Unit",            width: 12 },
+  { key: "unitPrice",    label: "Unit price (USD)", width: 16, number: true, money: true },
+  { key: "months",       label: "Months",          width: 8,  number: true },
+  { key: "extended",     label: "Extended (USD)",  width: 16, number: true, money: true },
+];
+
+// Every line under its architecture, a subtotal after each, then the
+// difference. Money stays numeric, to the cent, so it sums where it lands.
+function bomRows(bom) {
+  const cents = (n) => Math.round(n * 100) / 100;
+  const rows = [];
+  for (const a of bom.architectures) {
+    for (const l of a.lines) rows.push({ ...l, architecture: a.name, unitPrice: cents(l.unitPrice), extended: cents(l.extended) });
+    rows.push({ architecture: a.name, description: `Subtotal — ${nodes(a.nodes)}`, extended: cents(a.total), total: true });
+  }
+  rows.push({ description: "Savings with DDN offload", extended: cents(bom.savings), total: true });
+  return rows;
+}
+
+export function renderCSV(bom) {
+  const cell = (v) => v == null ? "" : /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const lines = [BOM_COLUMNS.map(c => c.label), ...bomRows(bom).map(r => BOM_COLUMNS.map(c => r[c.key]))];
+  // The byte-order mark is what makes Excel read the file as UTF-8
+  return "\uFEFF" + lines.map(l => l.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// One worksheet with inline strings, a bold frozen header and currency
+// formats — the smallest SpreadsheetML Excel and Sheets open cleanly.
+export function renderXLSX(bom, date = new Date()) {
+  const ct = "application/vnd.openxmlformats-officedocument.spreadsheetml";
+  const SML = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+  const ref = (c, r) => `${String.fromCharCode(65 + c)}${r}`;
+  // Styles: 0 plain, 1 bold, 2 money, 3 bold money
+  const cell = (v, c, r, col, bold) => {
+    if (v == null || v === "") return "";
+    const s = (bold ? 1 : 0) + (col.money ? 2 : 0);
+    return col.number && typeof v === "number"
+      ? `<c r="${ref(c, r)}" s="${s}"><v>${v}</v></c>`
+      : `<c r="${ref(c, r)}" s="${s}" t="inlineStr"><is><t>${esc(v)}</t></is></c>`;
+  };
+  const rows = [Object.fromEntries(BOM_COLUMNS.map(c => [c.key, c.label])), ...bomRows(bom)];
+  const sheet = rows.map((row, i) =>
+    `<row r="${i + 1}">${BOM_COLUMNS.map((col, c) => cell(row[col.key], c, i + 1, i === 0 ? {} : col, i === 0 || row.total)).join("")}</row>`
+  ).join("");
+
+  const files = {
+    "[Content_Types].xml": `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>' +
+      `<Override PartName="/xl/workbook.xml" ContentType="${ct}.sheet.main+xml"/>` +
+      `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${ct}.worksheet+xml"/>` +
+      `<Override PartName="/xl/styles.xml" ContentType="${ct}.styles+xml"/></Types>`,
+    "_rels/.rels": relationships([["rId1", "officeDocument", "xl/workbook.xml"]]),
+    "xl/workbook.xml": `${XML_HEAD}<workbook ${SML} xmlns:r="${REL}"><sheets><sheet name="Bill of materials" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": relationships([["rId1", "worksheet", "worksheets/sheet1.xml"], ["rId2", "styles", "styles.xml"]]),
+    "xl/styles.xml": `${XML_HEAD}<styleSheet ${SML}><numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/></numFmts>` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/></cellXfs>' +
+      '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>',
+    "xl/worksheets/sheet1.xml": `${XML_HEAD}<worksheet ${SML}>` +
+      '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+      `<cols>${BOM_COLUMNS.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width}" customWidth="1"/>`).join("")}</cols>` +
+      `<sheetData>${sheet}</sheetData></worksheet>`,
+  };
+  const utf8 = new TextEncoder();
+  return zipStored(Object.entries(files).map(([name, body]) => ({ name, data: utf8.encode(body) })), date);
+}
+
+// ── ZIP ──────────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// An uncompressed zip of { name, data } entries — all Office needs
+function zipStored(files, date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const utf8 = new TextEncoder();
+  const chunks = [], central = [];
+  let offset = 0;
+  const header = (size, fields) => {
+    const buf = new DataView(new ArrayBuffer(size));
+    let at = 0;
+    for (const [bytes, value] of fields) {
+      if (bytes === 4) buf.setUint32(at, value, true); else buf.setUint16(at, value, true);
+      at += bytes;
+    }
+    return new Uint8Array(buf.buffer);
+  };
+
+  for (const { name, data } of files) {
+    const nameBytes = utf8.encode(name);
+    const crc = crc32(data);
+    const common = [[2, 20], [2, 0], [2, 0], [2, time], [2, day], [4, crc], [4, data.length], [4, data.length], [2, nameBytes.length], [2, 0]];
+    const local = header(30, [[4, 0x04034B50], ...common]);
+    chunks.push(local, nameBytes, data);
+    central.push(header(46, [[4, 0x02014B50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const centralSize = central.reduce((s, c) => s + c.length, 0);
+  const end = header(22, [[4, 0x06054B50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, centralSize], [4, offset], [2, 0]]);
+
+  const all = [...chunks, ...central, end];
+  const out = new Uint8Array(all.reduce((s, c) => s + c.length, 0));
+  let at = 0;
+  for (const c of all) { out.set(c, at); at += c.length; }
+  return out;
+}
@@ -0,0 +1,96 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { crc32 } from "node:zlib";
+import { DEFAULT_CONFIG, newPortfolioLine } from "./kv-cache-engine.js";
+import { buildReport, layoutReport, renderPDF, renderPPTX } from "./kv-cache-report.js";
+
+const date = new Date(2025, 2, 14, 9, 30);
+const cfg = { ...DEFAULT_CONFIG, concurrentSessions: 400 };
+// A customer name past Latin-1 and with PDF string delimiters in it
+const report = buildReport(cfg, { customer: "Zoë (Ünïcode) — 株式会社", date });
+const latin1 = (bytes) => Array.from(bytes, b => String.fromCharCode(b)).join("");
+
+describe("renderPDF", () => {
+  const pdf = latin1(renderPDF(report));
+
+  test("the cross-reference table points at every object", () => {
+    assert.ok(pdf.startsWith("%PDF-1.4\n") && pdf.endsWith("%%EOF\n"));
+    const startxref = +pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1];
+    assert.ok(pdf.startsWith("xref\n", startxref), "startxref lands on the table");
+    const [, first, count] = pdf.slice(startxref).match(/^xref\n(\d+) (\d+)\n/);
+    assert.equal(+first, 0);
+    assert.equal(+pdf.match(/\/Size (\d+)/)[1], +count);
+    const entries = pdf.slice(startxref).split("\n").slice(2, 2 + +count);
+    assert.equal(entries[0], "0000000000 65535 f ");
+    entries.slice(1).forEach((entry, i) => {
+      assert.match(entry, /^\d{10} 00000 n $/);
+      assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, +entry.slice(0, 10)), `object ${i + 1}`);
+    });
+  });
+
+  test("one page per laid-out page, each stream its stated length", () => {
+    const pages = layoutReport(report).length;
+    assert.equal(+pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1], pages);
+    const streams = [...pdf.matchAll(/<< \/Length (\d+) >>\nstream\n/g)];
+    assert.equal(streams.length, pages);
+    for (const m of streams) {
+      const start = m.index + m[0].length;
+      assert.ok(pdf.startsWith("\nendstream", start + +m[1]), "stream length");
+    }
+  });
+
+  test("escapes the title for a PDF string", () => {
+    assert.ok(pdf.includes("/Title (KV Cache"));
+    assert.ok(pdf.includes("Zo\xeb \\(\xdcn\xefcode\\) \x97 ????"), "WinAnsi, escaped parentheses, ? past the encoding");
+  });
+});
+
+// Reads a stored zip through its central directory, as Office does
+function unzip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50, "end of central directory");
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(at, true), 0x02014B50, "central directory entry");
+    const method = view.getUint16(at + 10, true), crc = view.getUint32(at + 16, true), size = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true), local = view.getUint32(at + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    assert.equal(view.getUint32(local, true), 0x04034B50, `${name} local header`);
+    assert.equal(method, 0, `${name} is stored`);
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + size);
+    assert.equal(crc32(data), crc, `${name} CRC`);
+    files[name] = new TextDecoder().decode(data);
+    at += 46 + nameLength;
+  }
+  return files;
+}
+
+describe("renderPPTX", () => {
+  test("a zip of the deck's parts, one slide per page", () => {
+    const files = unzip(renderPPTX(report));
+    const pages = layoutReport(report).length;
+    const slides = Object.keys(files).filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n));
+    assert.equal(slides.length, pages);
+    for (const part of ["[Content_Types].xml", "_rels/.rels", "ppt/presentation.xml", "ppt/theme/theme1.xml"]) assert.ok(part in files, part);
+    // every slide is declared, listed in the presentation and related
+    for (let n = 1; n <= pages; n++) {
+      assert.ok(files["[Content_Types].xml"].includes(`PartName="/ppt/slides/slide${n}.xml"`), `slide ${n} content type`);
+      assert.ok(files["ppt/_rels/presentation.xml.rels"].includes(`Target="slides/slide${n}.xml"`), `slide ${n} relationship`);
+      assert.ok(`ppt/slides/_rels/slide${n}.xml.rels` in files, `slide ${n} rels`);
+    }
+    assert.equal(files["ppt/presentation.xml"].match(/<p:sldId /g).length, pages);
+    assert.ok(files["docProps/core.xml"].includes("Zoë (Ünïcode) — 株式会社"), "UTF-8 title");
+  });
+
+  test("a portfolio report adds its own pages", () => {
+    const portfolio = [newPortfolioLine(cfg, "Chat & search"), { ...newPortfolioLine(cfg, "<Batch>"), llm: "llama3_8b" }];
+    const pf = buildReport({ ...cfg, portfolio }, { date });
+    assert.ok(layoutReport(pf).length > layoutReport(report).length);
+    const files = unzip(renderPPTX(pf));
+    assert.ok(Object.values(files).some(x => x.includes("Chat &amp; search") && x.includes("&lt;Batch&gt;")), "escaped line names");
+  });
+});
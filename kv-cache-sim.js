@@ -0,0 +1,336 @@
+// Discrete-event simulation of multi-turn sessions competing for the KV
+// budget computed by kv-cache-engine.js. Sessions arrive, run turns, think,
+// and come back; idle KV is evicted to a storage tier when space runs out and
+// restored from it on the next turn. Same config + seed ⇒ same result.
+
+import { computePhysics, KV_TIERS } from "./kv-cache-engine.js";
+
+// ── SETTINGS ─────────────────────────────────────────────────────────────────
+
+export const ARRIVAL_PATTERNS = {
+  poisson: { name: "Poisson", desc: "Independent arrivals at a steady rate" },
+  bursty:  { name: "Bursty",  desc: "Rate spikes to burstFactor × for burstDuty of each burst period" },
+};
+
+export const EVICTION_POLICIES = {
+  lru: { name: "LRU", desc: "Evict the session idle the longest" },
+  lfu: { name: "LFU", desc: "Evict the session with the fewest turns so far" },
+};
+
+// Bandwidth comes from the physics (ddnBandwidth / nasBandwidth); latency is
+// the fixed per-restore access time.
+export const SIM_TIERS = { ddn: KV_TIERS.ddn, nas: KV_TIERS.nas };
+
+// arrivalRatePerMin: null derives the rate that keeps cfg.concurrentSessions
+// sessions alive on average.
+export const DEFAULT_SIMULATION = {
+  arrivals: "poisson",
+  arrivalRatePerMin: null,
+  burstFactor: 4,
+  burstDuty: 0.2,
+  burstPeriodSec: 300,
+  turnsPerSession: 5,
+  thinkTimeSec: 30,
+  eviction: "lru",
+  restoreTier: "ddn",
+  durationMin: 60,
+  seed: 42,
+};
+
+const WARMUP_SHARE = 0.1;      // turns requested in the first 10% are not measured
+const MAX_EVENTS = 2_000_000;  // hard stop so a runaway config can't hang the page
+
+// ── RANDOMNESS ───────────────────────────────────────────────────────────────
+
+// mulberry32 — small, fast, and identical on every JS engine
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const exponential = (rng, mean) => -Math.log(1 - rng()) * mean;
+
+// ── EVENT QUEUE ──────────────────────────────────────────────────────────────
+
+// Binary min-heap under a strict order `before(a, b)`
+class Heap {
+  constructor(before) { this.heap = []; this.before = before; }
+  get size() { return this.heap.length; }
+  push(item) {
+    const h = this.heap;
+    h.push(item);
+    let i = h.length - 1;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (!this.before(h[i], h[p])) break;
+      [h[i], h[p]] = [h[p], h[i]];
+      i = p;
+    }
+  }
+  pop() {
+    const h = this.heap;
+    const top = h[0];
+    const last = h.pop();
+    if (h.length) {
+      h[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < h.length && this.before(h[l], h[m])) m = l;
+        if (r < h.length && this.before(h[r], h[m])) m = r;
+        if (m === i) break;
+        [h[i], h[m]] = [h[m], h[i]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+// Events on (time, seq) — seq keeps same-time events in FIFO order.
+class EventQueue extends Heap {
+  constructor() {
+    super((a, b) => a.time < b.time || (a.time === b.time && a.seq < b.seq));
+    this.seq = 0;
+  }
+  push(time, type, data) { super.push({ time, seq: this.seq++, type, data }); }
+}
+
+// Idle sessions in eviction order, so finding a victim doesn't scan every
+// session. LRU keeps them in a Map in the order they went idle — lastUse only
+// grows, so the first entry is the least recently used. LFU keeps a heap on
+// (uses, lastUse, id); a session that left idle leaves its entry behind, and
+// stale entries are dropped when they reach the top.
+function idleSessions(policy) {
+  if (policy === "lru") {
+    const idle = new Map();
+    return {
+      add: (id, s) => idle.set(id, s),
+      remove: (id) => idle.delete(id),
+      pop: () => {
+        const first = idle.entries().next();
+        if (first.done) return null;
+        idle.delete(first.value[0]);
+        return first.value[1];
+      },
+    };
+  }
+  const heap = new Heap((a, b) => a.uses < b.uses || (a.uses === b.uses && (a.lastUse < b.lastUse || (a.lastUse === b.lastUse && a.id < b.id))));
+  return {
+    add: (id, s) => heap.push({ id, s, uses: s.uses, lastUse: s.lastUse, idleSince: s.idleSince }),
+    remove: () => {},
+    pop: () => {
+      while (heap.size) {
+        const e = heap.pop();
+        if (e.s.state === "idle" && e.s.idleSince === e.idleSince) return e.s;
+      }
+      return null;
+    },
+  };
+}
+
+// ── STATS ────────────────────────────────────────────────────────────────────
+
+export function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  const i = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[i];
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.length ? sorted.reduce((s, v) => s + v, 0) / sorted.length : 0;
+  return { mean, p50: percentile(sorted, 50), p95: percentile(sorted, 95), p99: percentile(sorted, 99), max: sorted[sorted.length - 1] ?? 0 };
+}
+
+// ── SIMULATION ───────────────────────────────────────────────────────────────
+
+// Per-turn timing. The session's KV is sized for its whole conversation
+// (kvAllocatedPerSessionGB) from the first turn; each turn prefills and
+// decodes its share of the input and output tokens at the engine's prefill
+// time and decode step for this GPU, model and batch.
+function turnModel(ph, sim) {
+  const turns = Math.max(1, sim.turnsPerSession);
+  const prefillSec = ph.prefillTimeSec / turns;
+  const decodeSec = ph.decodeTimeSec / turns;
+  return { turns, prefillSec, activeSec: prefillSec + decodeSec };
+}
+
+export function defaultArrivalRatePerMin(cfg, sim = DEFAULT_SIMULATION, ph = computePhysics(cfg)) {
+  if (!ph) return 0;
+  const { turns, activeSec } = turnModel(ph, sim);
+  const lifetimeSec = turns * activeSec + (turns - 1) * sim.thinkTimeSec;
+  return lifetimeSec > 0 ? (cfg.concurrentSessions / lifetimeSec) * 60 : 0;
+}
+
+export function simulate(cfg, overrides = {}) {
+  const sim = { ...DEFAULT_SIMULATION, ...cfg.simulation, ...overrides };
+  const ph = computePhysics(cfg);
+  const tier = SIM_TIERS[sim.restoreTier];
+  if (!ph || !tier || !ARRIVAL_PATTERNS[sim.arrivals] || !EVICTION_POLICIES[sim.eviction]) return null;
+
+  const rng = createRng(sim.seed);
+  const { turns, prefillSec, activeSec } = turnModel(ph, sim);
+  const durationSec = sim.durationMin * 60;
+  const warmupSec = durationSec * WARMUP_SHARE;
+  const bandwidth = ph[tier.bandwidthKey];
+
+  // HBM budget for per-session KV; shared prefixes are pinned and excluded
+  const sessionKVGB = ph.kvAllocatedPerSessionGB - ph.kvSharedPerReplicaGB;
+  const restoreGB = ph.kvRestorePerSessionGB;
+  const budgetGB = ph.weightsFit ? Math.max(0, ph.availableForKV - ph.kvSharedGB) : 0;
+  const capacity = sessionKVGB > 0 ? Math.floor(budgetGB / sessionKVGB) : Infinity;
+
+  // Arrivals — bursty traffic keeps the mean rate, concentrated in bursts
+  const meanRate = (sim.arrivalRatePerMin ?? defaultArrivalRatePerMin(cfg, sim, ph)) / 60;
+  const duty = Math.min(1, Math.max(0.01, sim.burstDuty));
+  const burstRate = sim.arrivals === "bursty" ? Math.min(meanRate / duty, meanRate * sim.burstFactor) : meanRate;
+  const quietRate = sim.arrivals === "bursty" ? Math.max(0, (meanRate - burstRate * duty) / (1 - duty || 1)) : meanRate;
+  const rateAt = (t) => sim.arrivals === "bursty" && (t % sim.burstPeriodSec) < duty * sim.burstPeriodSec ? burstRate : quietRate;
+  const maxRate = Math.max(burstRate, quietRate);
+
+  const q = new EventQueue();
+  const sessions = new Map();  // id → { turnsLeft, uses, lastUse, idleSince, state, requestedAt }
+  const idle = idleSessions(sim.eviction);
+  const waiting = [];          // FIFO of session ids waiting for HBM space, from waitHead on
+  let waitHead = 0;
+  let idleCount = 0;           // tags each idle spell, so LFU can tell stale entries
+  let resident = 0;            // sessions holding HBM (active or idle)
+  let active = 0;
+  let tierFreeAt = 0;          // the tier serves restores one at a time at full bandwidth
+  let nextId = 0;
+
+  const ttft = [];
+  const queueDelay = [];
+  let measuredTurns = 0, hits = 0, restores = 0, coldStarts = 0, evictions = 0;
+  let tierReadGB = 0, tierWriteGB = 0, tierBusySec = 0;
+  const minutes = Array.from({ length: Math.ceil(sim.durationMin) }, (_, m) => ({ minute: m + 1, readGB: 0, active: 0, resident: 0 }));
+
+  const scheduleArrival = (from) => {
+    if (maxRate <= 0) return;
+    // thinning against the peak rate gives the time-varying Poisson process
+    let t = from;
+    do { t += exponential(rng, 1 / maxRate); } while (t < durationSec && rng() > rateAt(t) / maxRate);
+    if (t < durationSec) q.push(t, "arrive");
+  };
+
+  const evictOne = () => {
+    const victim = idle.pop();
+    if (!victim) return false;
+    victim.state = "evicted";
+    resident--;
+    evictions++;
+    tierWriteGB += restoreGB;
+    return true;
+  };
+
+  const startTurn = (now, id, s, hit) => {
+    const measured = s.requestedAt >= warmupSec;
+    let ready = now;
+    if (s.state === "evicted") {
+      const start = Math.max(now, tierFreeAt);
+      const transferSec = restoreGB / bandwidth;
+      tierFreeAt = start + transferSec;
+      tierBusySec += transferSec;
+      ready = start + transferSec + tier.latencySec;
+      tierReadGB += restoreGB;
+      const m = minutes[Math.min(minutes.length - 1, Math.floor(start / 60))];
+      if (m) m.readGB += restoreGB;
+      if (measured) {
+        restores++;
+        queueDelay.push(start - s.requestedAt);
+      }
+    } else if (measured) {
+      queueDelay.push(now - s.requestedAt);
+      if (hit) hits++; else coldStarts++;
+    }
+    if (measured) {
+      measuredTurns++;
+      ttft.push(ready - s.requestedAt + prefillSec);
+    }
+    s.state = "active";
+    s.uses++;
+    active++;
+    q.push(ready + activeSec, "turnEnd", id);
+  };
+
+  // Admit waiting sessions in FIFO order while space can be made for them
+  const admit = (now) => {
+    while (waitHead < waiting.length) {
+      if (resident >= capacity && !evictOne()) return;
+      const id = waiting[waitHead++];
+      // drop the served prefix once it's most of the array
+      if (waitHead > 1024 && waitHead * 2 > waiting.length) { waiting.splice(0, waitHead); waitHead = 0; }
+      const s = sessions.get(id);
+      resident++;
+      startTurn(now, id, s, false);
+    }
+  };
+
+  scheduleArrival(0);
+  let events = 0;
+  while (q.size && events++ < MAX_EVENTS) {
+    const { time: now, type, data: id } = q.pop();
+    if (now > durationSec && type !== "turnEnd") continue;
+
+    if (type === "arrive") {
+      const sid = nextId++;
+      sessions.set(sid, { turnsLeft: turns, uses: 0, lastUse: now, idleSince: null, state: "new", requestedAt: now });
+      waiting.push(sid);
+      admit(now);
+      scheduleArrival(now);
+    } else if (type === "request") {
+      const s = sessions.get(id);
+      s.requestedAt = now;
+      if (s.state === "idle") { idle.remove(id); startTurn(now, id, s, true); }
+      else { waiting.push(id); admit(now); }
+    } else if (type === "turnEnd") {
+      const s = sessions.get(id);
+      active--;
+      s.turnsLeft--;
+      s.lastUse = now;
+      if (s.turnsLeft > 0) {
+        s.state = "idle";
+        s.idleSince = idleCount++;
+        idle.add(id, s);
+        q.push(now + exponential(rng, sim.thinkTimeSec), "request", id);
+      } else {
+        sessions.delete(id);
+        resident--;
+      }
+      admit(now);
+    }
+
+    // Occupancy sampled at the minute the event falls in (last value wins)
+    const m = minutes[Math.floor(now / 60)];
+    if (m) { m.active = active; m.resident = resident; }
+  }
+
+  const measuredSec = durationSec - warmupSec;
+  const returning = hits + restores;
+  return {
+    settings: sim,
+    capacitySessions: capacity,
+    arrivalRatePerMin: meanRate * 60,
+    sessionsStarted: nextId,
+    turns: measuredTurns,
+    hits, restores, coldStarts, evictions,
+    hitRatioPct: returning > 0 ? (hits / returning) * 100 : 100,
+    ttft: summarize(ttft),
+    queueDelay: summarize(queueDelay),
+    tierReadGB, tierWriteGB,
+    tierReadGBps: tierReadGB / durationSec,
+    tierPeakGBps: Math.max(0, ...minutes.map(m => m.readGB / 60)),
+    tierUtilizationPct: Math.min(100, (tierBusySec / durationSec) * 100),
+    measuredSec,
+    truncated: events >= MAX_EVENTS,
+    timeline: minutes.map(m => ({ ...m, readGBps: m.readGB / 60 })),
+  };
+}
@@ -0,0 +1,40 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONFIG, computePhysics } from "./kv-cache-engine.js";
+import { simulate, defaultArrivalRatePerMin, DEFAULT_SIMULATION, EVICTION_POLICIES } from "./kv-cache-sim.js";
+
+describe("simulate", () => {
+  for (const eviction of Object.keys(EVICTION_POLICIES)) {
+    test(`same seed, same result (${eviction})`, () => {
+      const cfg = { ...DEFAULT_CONFIG, concurrentSessions: 300 };
+      const a = simulate(cfg, { eviction, durationMin: 20 });
+      assert.ok(a.evictions > 0, "the run evicts");
+      assert.deepEqual(simulate(cfg, { eviction, durationMin: 20 }), a);
+      assert.notDeepEqual(simulate(cfg, { eviction, durationMin: 20, seed: 7 }), a);
+    });
+  }
+
+  test("restores at the default bandwidth when the config leaves it out", () => {
+    const { ddnBandwidth, nasBandwidth, ...cfg } = { ...DEFAULT_CONFIG, concurrentSessions: 300 };
+    for (const restoreTier of ["ddn", "nas"]) {
+      const r = simulate(cfg, { restoreTier, durationMin: 10 });
+      assert.ok(r.restores > 0 && Number.isFinite(r.tierUtilizationPct) && Number.isFinite(r.ttft.p95), restoreTier);
+    }
+  });
+
+  test("turns take the engine's prefill and decode time", () => {
+    const cfg = { ...DEFAULT_CONFIG, concurrentSessions: 20 };
+    const ph = computePhysics(cfg), turns = DEFAULT_SIMULATION.turnsPerSession;
+    const r = simulate(cfg, { durationMin: 10 });
+    assert.equal(r.restores, 0, "everything stays in HBM");
+    assert.ok(Math.abs(r.ttft.p50 - ph.prefillTimeSec / turns) < 1e-9, "TTFT is the turn's share of prefill");
+    const lifetimeSec = ph.prefillTimeSec + ph.decodeTimeSec + (turns - 1) * DEFAULT_SIMULATION.thinkTimeSec;
+    assert.ok(Math.abs(defaultArrivalRatePerMin(cfg) - cfg.concurrentSessions / lifetimeSec * 60) < 1e-9);
+  });
+
+  // Eviction and the waiting queue stay cheap under a long backlog
+  test("thousands of sessions in seconds", { timeout: 10_000 }, () => {
+    const r = simulate({ ...DEFAULT_CONFIG, concurrentSessions: 2000 });
+    assert.ok(!r.truncated && r.evictions > 0);
+  });
+});
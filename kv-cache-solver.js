@@ -0,0 +1,169 @@
+// Inverse mode: given P99 TTFT and time-per-output-token targets for the
+// configured workload, search GPUs, frameworks, parallelism and storage for
+// the cheapest clusters that meet them. Each candidate is sized with
+// computePhysics and checked with simple M/M/1 queueing on prefill and on the
+// restore tier.
+
+import {
+  GPU_PRESETS, FRAMEWORK_PRESETS, KV_TIERS,
+  computePhysics, storagePricing, withFramework,
+} from "./kv-cache-engine.js";
+
+// ── SETTINGS ─────────────────────────────────────────────────────────────────
+
+export const DEFAULT_SLO = {
+  ttftP99Sec: 2,     // time to first token, 99th percentile
+  tpotSec: 0.05,     // time per output token
+  results: 10,
+};
+
+export const BINDING_CONSTRAINTS = {
+  hbm:     { name: "HBM capacity",      desc: "Sessions or weights don't fit in GPU memory" },
+  restore: { name: "Restore bandwidth", desc: "The storage tier can't bring evicted sessions back fast enough" },
+  compute: { name: "Compute",           desc: "Prefill queueing or decode speed misses the target" },
+};
+
+// Storage the solver may pair with a cluster. DDN is priced by the storage
+// pricing model at the option's bandwidth; NAS at DDN's price times the ratio
+// of their $/GB.
+const STORAGE_OPTIONS = [
+  { key: "none", name: "No offload" },
+  { key: "nas", tier: "nas", bandwidthGBps: KV_TIERS.nas.bandwidthGBps },
+  ...[50, 100, 200, 400].map(bw => ({ key: `ddn${bw}`, tier: "ddn", bandwidthGBps: bw })),
+];
+
+function storageMonthly(option, cfg, ph) {
+  if (!option.tier) return 0;
+  // The option's bandwidth picks the performance tier, whatever the config pins
+  const pricing = { ...cfg, storagePricing: { ...cfg.storagePricing, performanceTier: "auto" } };
+  const ddn = storagePricing(pricing, ph.ddnCapacityNeededGB, option.bandwidthGBps).effectiveMonthly;
+  return ddn * KV_TIERS[option.tier].costPerGB / KV_TIERS.ddn.costPerGB;
+}
+
+// Config fields a solution sets; everything else is the caller's workload
+export const SOLVED_FIELDS = [
+  "gpu", "monthlyRate", "framework", "blockSize", "gpuMemoryUtilization", "maxBatchTokens",
+  "tensorParallel", "pipelineParallel", "replicas", "kvTiers", "ddnBandwidth", "nasBandwidth",
+];
+
+const TENSOR_PARALLEL = [1, 2, 4, 8];
+const PIPELINE_PARALLEL = [1, 2, 4];
+const MAX_REPLICAS = 256;
+
+// ── EVALUATION ───────────────────────────────────────────────────────────────
+
+// 99th-percentile wait in an M/M/1 queue with the given service time and load.
+function p99Wait(serviceSec, rho) {
+  if (rho >= 1) return Infinity;
+  return rho > 0.01 ? serviceSec * Math.log(100 * rho) / (1 - rho) : 0;
+}
+
+// Checks one fully specified config against the targets. Each constraint gets
+// a ratio — 1 means exactly at its limit — and the largest one is binding.
+export function evaluateSLO(cfg, slo = DEFAULT_SLO) {
+  const ph = computePhysics(cfg);
+  if (!ph) return null;
+  const tier = ph.tiers[0];
+  const offloading = ph.isOffloading && ph.sessionsOffloaded > 0;
+
+  // Prefill queue, per replica — each pipeline stage can hold a different request
+  const prefillRho = (cfg.concurrentSessions / ph.replicas / ph.turnIntervalSec) * ph.prefillTimeSec / (cfg.pipelineParallel ?? 1);
+  const prefillPartSec = ph.prefillTimeSec + p99Wait(ph.prefillTimeSec, prefillRho);
+
+  // Restore queue, one shared tier
+  const restoreSec = offloading && tier ? tier.restoreTimeSec : 0;
+  const restoreRho = offloading && tier ? ph.restoreDemandGBps / tier.bandwidthGBps : 0;
+  const restorePartSec = offloading ? restoreSec + p99Wait(restoreSec, restoreRho) : 0;
+
+  const ttftP99Sec = prefillPartSec + restorePartSec;
+  const tpotSec = ph.decodeStepSec;
+  const ttftRatio = ttftP99Sec / slo.ttftP99Sec;
+
+  const ratios = {
+    hbm: !ph.weightsFit || ph.sessionsInVRAM < 1 ? Infinity
+      : offloading && !tier ? cfg.concurrentSessions / ph.sessionsInVRAM
+      : 0,
+    restore: offloading ? Math.max(restoreRho, restorePartSec >= prefillPartSec ? ttftRatio : 0) : 0,
+    compute: Math.max(prefillRho, tpotSec / slo.tpotSec, restorePartSec < prefillPartSec ? ttftRatio : 0),
+  };
+  const binding = Object.keys(ratios).reduce((a, b) => ratios[b] > ratios[a] ? b : a);
+
+  return {
+    ok: Object.values(ratios).every(r => r <= 1),
+    ttftP99Sec, tpotSec, prefillRho, restoreRho, ratios, binding, ph,
+  };
+}
+
+// ── SEARCH ───────────────────────────────────────────────────────────────────
+
+// Fewest replicas of one shape that meet the targets — more replicas only
+// ever relieve HBM, prefill and restore load, so a binary search suffices.
+function minReplicas(base, slo) {
+  const at = (replicas) => evaluateSLO({ ...base, replicas }, slo);
+  const top = at(MAX_REPLICAS);
+  if (!top?.ok) return null;
+  let lo = 0, hi = MAX_REPLICAS;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (at(mid).ok) hi = mid; else lo = mid;
+  }
+  const result = at(hi);
+  // What stopped one fewer replica from working
+  if (hi > 1) result.binding = at(hi - 1).binding;
+  return { replicas: hi, ...result };
+}
+
+// Searches every GPU × framework × TP × PP × storage shape and returns the
+// cheapest `slo.results` that meet the targets, by monthly cost. Apply a
+// result with { ...cfg, ...result.changes }.
+export function solveSLO(cfg, overrides = {}) {
+  const slo = { ...DEFAULT_SLO, ...cfg.slo, ...overrides };
+  const found = [];
+  let evaluated = 0;
+
+  for (const [gpuKey, gpu] of Object.entries(GPU_PRESETS)) {
+    for (const fwKey of Object.keys(FRAMEWORK_PRESETS)) {
+      for (const tensorParallel of TENSOR_PARALLEL.filter(tp => tp <= gpu.gpus)) {
+        for (const pipelineParallel of PIPELINE_PARALLEL) {
+          for (const storage of STORAGE_OPTIONS) {
+            evaluated++;
+            const base = {
+              ...withFramework(cfg, fwKey),
+              gpu: gpuKey, monthlyRate: gpu.monthly,
+              tensorParallel, pipelineParallel,
+              kvTiers: storage.tier ? [{ tier: storage.tier }] : [],
+              ...(storage.tier ? { [KV_TIERS[storage.tier].bandwidthKey]: storage.bandwidthGBps } : {}),
+            };
+            const fit = minReplicas(base, slo);
+            // Storage that nothing is offloaded to only adds cost
+            if (!fit || (storage.tier && !fit.ph.isOffloading)) continue;
+            const storageMonthlyCost = storageMonthly(storage, base, fit.ph);
+            found.push({
+              gpu: gpuKey, framework: fwKey, tensorParallel, pipelineParallel,
+              replicas: fit.replicas,
+              storage: storage.key,
+              storageName: storage.tier ? `${KV_TIERS[storage.tier].name} ${storage.bandwidthGBps} GB/s` : storage.name,
+              nodes: fit.ph.nodesDeployed,
+              gpus: fit.ph.deployedGPUs,
+              monthlyCost: fit.ph.nodesDeployed * gpu.monthly + storageMonthlyCost,
+              storageMonthlyCost,
+              ttftP99Sec: fit.ttftP99Sec,
+              tpotSec: fit.tpotSec,
+              binding: fit.binding,
+              changes: Object.fromEntries(SOLVED_FIELDS.map(k => [k, k === "replicas" ? fit.replicas : base[k]])),
+            });
+          }
+        }
+      }
+    }
+  }
+
+  // Frameworks often tie on the same hardware — keep the fastest of each shape
+  found.sort((a, b) => a.monthlyCost - b.monthlyCost || a.gpus - b.gpus || a.ttftP99Sec - b.ttftP99Sec);
+  const shapes = new Set();
+  const results = found.filter(r => {
+    const shape = [r.gpu, r.tensorParallel, r.pipelineParallel, r.replicas, r.storage].join("/");
+    return !shapes.has(shape) && shapes.add(shape);
+  });
+  return { slo, evaluated, feasible: found.length, results: results.slice(0, slo.results) };
+}
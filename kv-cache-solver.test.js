@@ -0,0 +1,84 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_CONFIG } from "./kv-cache-engine.js";
+import { DEFAULT_SLO, BINDING_CONSTRAINTS, SOLVED_FIELDS, evaluateSLO, solveSLO } from "./kv-cache-solver.js";
+
+// Long think times keep prefill queueing light, so memory is what's tight
+const idle = { ...DEFAULT_CONFIG, concurrentSessions: 400, avgSessionTimeSec: 600 };
+const loose = { ttftP99Sec: 60, tpotSec: 1 };
+
+describe("evaluateSLO", () => {
+  test("the largest ratio binds", () => {
+    for (const cfg of [DEFAULT_CONFIG, idle, { ...idle, kvTiers: [{ tier: "nas" }] }]) {
+      const r = evaluateSLO(cfg);
+      assert.ok(Object.keys(r.ratios).every(k => r.ratios[k] <= r.ratios[r.binding]));
+      assert.equal(r.ok, Object.values(r.ratios).every(x => x <= 1));
+    }
+  });
+
+  test("weights that don't fit bind on HBM", () => {
+    const r = evaluateSLO({ ...DEFAULT_CONFIG, llm: "llama3_405b", gpu: "L40S_single", tensorParallel: 1 });
+    assert.equal(r.binding, "hbm");
+    assert.equal(r.ratios.hbm, Infinity);
+    assert.ok(!r.ok);
+  });
+
+  test("sessions with nowhere to offload bind on HBM, and a tier relieves it", () => {
+    const r = evaluateSLO({ ...idle, kvTiers: [] }, loose);
+    assert.equal(r.binding, "hbm");
+    assert.equal(r.ratios.hbm, idle.concurrentSessions / r.ph.sessionsInVRAM);
+    const nas = evaluateSLO({ ...idle, kvTiers: [{ tier: "nas" }] }, loose);
+    assert.ok(nas.ok && nas.ratios.hbm === 0 && nas.ratios.restore > 0);
+  });
+
+  test("a slow tier under heavy offload binds on restore", () => {
+    const r = evaluateSLO({ ...DEFAULT_CONFIG, concurrentSessions: 2000, replicas: 4, kvTiers: [{ tier: "nas" }] });
+    assert.equal(r.binding, "restore");
+    assert.ok(r.restoreRho >= 1);
+  });
+
+  test("a tight decode target binds on compute", () => {
+    const tight = evaluateSLO(DEFAULT_CONFIG, { ...DEFAULT_SLO, tpotSec: 0.001 });
+    assert.equal(tight.binding, "compute");
+    assert.equal(tight.ratios.compute, tight.tpotSec / 0.001);
+  });
+});
+
+describe("solveSLO", () => {
+  const solved = solveSLO(idle);
+
+  test("ranks feasible shapes by monthly cost", () => {
+    const { results } = solved;
+    assert.ok(results.length > 0 && results.length <= DEFAULT_SLO.results);
+    assert.ok(solved.feasible >= results.length && solved.evaluated >= solved.feasible);
+    for (let i = 1; i < results.length; i++) assert.ok(results[i - 1].monthlyCost <= results[i].monthlyCost, `result ${i}`);
+    const shapes = results.map(r => [r.gpu, r.tensorParallel, r.pipelineParallel, r.replicas, r.storage].join("/"));
+    assert.equal(new Set(shapes).size, shapes.length, "one framework per shape");
+    for (const r of results) {
+      assert.ok(Object.keys(BINDING_CONSTRAINTS).includes(r.binding));
+      assert.deepEqual(Object.keys(r.changes), SOLVED_FIELDS);
+    }
+  });
+
+  test("each result meets the targets with the fewest replicas", () => {
+    assert.ok(solved.results.some(r => r.replicas > 1), "the search had replicas to trim");
+    for (const r of solved.results) {
+      const cfg = { ...idle, ...r.changes };
+      const at = evaluateSLO(cfg, solved.slo);
+      assert.ok(at.ok, `${r.gpu} ×${r.replicas}`);
+      assert.equal(at.ph.nodesDeployed, r.nodes);
+      if (r.replicas > 1) {
+        const fewer = evaluateSLO({ ...cfg, replicas: r.replicas - 1 }, solved.slo);
+        assert.ok(!fewer.ok, `${r.gpu} ×${r.replicas - 1} also meets the targets`);
+        // the binding constraint is what one fewer replica misses on
+        assert.equal(r.binding, fewer.binding);
+      }
+    }
+  });
+
+  test("targets nothing can meet leave no results", () => {
+    const none = solveSLO(DEFAULT_CONFIG, { tpotSec: 1e-6 });
+    assert.equal(none.feasible, 0);
+    assert.deepEqual(none.results, []);
+  });
+});
@@ -0,0 +1,141 @@
+// <kv-cache-estimator> — the embeddable components as a custom element, for
+// hosts that don't run React themselves. Importing this module defines the
+// element. As a source module it imports react, react-dom/client and
+// recharts by name, so it suits a host with its own bundler; any other page
+// loads the self-contained build, which bundles all three. `npm run build`
+// writes it to dist/kv-cache-estimator.widget.js, and the package ships it
+// as kv-cache-estimator/widget/standalone. Serve that file and:
+//
+//   <script type="module" src="/vendor/kv-cache-estimator.widget.js"></script>
+//   <kv-cache-estimator brand="Acme Cloud" logo="/acme.svg"
+//     config='{"gpu":"H200_SXM5","concurrentSessions":400}'></kv-cache-estimator>
+//
+// Attributes: config (JSON, partial is fine), procurement ("rental" or
+// "capex"), brand and logo for the header, and show — which of "vram",
+// "restore" and "savings" to render, space-separated (default all three).
+// Theme it with CSS custom properties on the element or any ancestor
+// (--kv-accent, --kv-surface, … see THEME_PROPERTIES) or the `theme`
+// property. Every edit fires a cancelable, bubbling "change" event with
+// { config } as its detail; cancel it to keep the element's config as it was.
+
+import { createElement as h } from "react";
+import { createRoot } from "react-dom/client";
+import { DEFAULT_THEME, VramCompositionBar, RestoreTimeCard, SavingsChart, useEstimate } from "./kv-cache-components.js";
+
+// DEFAULT_THEME key → the CSS custom property a host sets it with
+export const THEME_PROPERTIES = {
+  background: "--kv-background",
+  surface: "--kv-surface",
+  border: "--kv-border",
+  text: "--kv-text",
+  muted: "--kv-muted",
+  accent: "--kv-accent",
+  warning: "--kv-warning",
+  danger: "--kv-danger",
+  positive: "--kv-positive",
+  font: "--kv-font",
+  mono: "--kv-mono",
+  radius: "--kv-radius",
+};
+
+const VIEWS = {
+  vram: VramCompositionBar,
+  restore: RestoreTimeCard,
+  savings: SavingsChart,
+};
+
+function Estimator({ config, configError, procurement, brand, logo, show, theme, onChange }) {
+  const { errors } = useEstimate(config, procurement);
+  const notices = [
+    configError && `The config attribute isn't valid JSON (${configError}), so the defaults are shown.`,
+    errors.length > 0 && `Ignored ${errors.map(e => `${e.field} (${e.message})`).join(", ")}.`,
+  ].filter(Boolean);
+
+  return h("div", { style: { display: "grid", gap: 12, fontFamily: theme.font, color: theme.text } },
+    (brand || logo) && h("header", { part: "header", style: { display: "flex", alignItems: "center", gap: 10 } },
+      logo && h("img", { part: "logo", src: logo, alt: brand ?? "", style: { height: 28 } }),
+      brand && h("span", { part: "brand", style: { fontSize: 15, fontWeight: 700 } }, brand)),
+    ...notices.map(n => h("div", { key: n, part: "notice", style: { fontSize: 12, color: theme.warning } }, n)),
+    ...show.map(k => h(VIEWS[k], { key: k, config, onChange, theme, procurement })));
+}
+
+export class KvCacheEstimatorElement extends HTMLElement {
+  static observedAttributes = ["config", "procurement", "brand", "logo", "show"];
+
+  #root = null;
+  #config = {};
+  #configError = null;
+  #theme = {};
+
+  constructor() {
+    super();
+    const shadow = this.attachShadow({ mode: "open" });
+    const style = document.createElement("style");
+    style.textContent = ":host { display: block; } :host([hidden]) { display: none; }";
+    this.#root = createRoot(shadow.appendChild(document.createElement("div")));
+    shadow.prepend(style);
+  }
+
+  get config() { return this.#config; }
+  set config(value) {
+    this.#config = value ?? {};
+    this.#configError = null;
+    this.#render();
+  }
+
+  // Overrides on top of DEFAULT_THEME and the CSS custom properties
+  get theme() { return this.#theme; }
+  set theme(value) {
+    this.#theme = value ?? {};
+    this.#render();
+  }
+
+  connectedCallback() { this.#render(); }
+  disconnectedCallback() { this.#root.render(null); }
+
+  attributeChangedCallback(name, _, value) {
+    if (name === "config") {
+      try {
+        this.#config = value ? JSON.parse(value) : {};
+        this.#configError = null;
+      } catch (err) {
+        this.#config = {};
+        this.#configError = err.message;
+      }
+    }
+    this.#render();
+  }
+
+  // Custom properties are read on every render, so a host that restyles
+  // after the first paint re-renders by setting any attribute or property
+  #resolvedTheme() {
+    const css = getComputedStyle(this);
+    const fromCSS = Object.entries(THEME_PROPERTIES)
+      .map(([key, prop]) => [key, css.getPropertyValue(prop).trim()])
+      .filter(([, v]) => v)
+      .map(([key, v]) => [key, key === "radius" ? parseFloat(v) : v]);
+    return { ...DEFAULT_THEME, ...Object.fromEntries(fromCSS), ...this.#theme };
+  }
+
+  #onChange = (config) => {
+    const event = new CustomEvent("change", { detail: { config }, bubbles: true, composed: true, cancelable: true });
+    if (this.dispatchEvent(event)) this.config = config;
+  };
+
+  #render() {
+    if (!this.isConnected) return;
+    const show = (this.getAttribute("show") ?? Object.keys(VIEWS).join(" ")).split(/\s+/).filter(k => VIEWS[k]);
+    this.#root.render(h(Estimator, {
+      config: this.#config,
+      configError: this.#configError,
+      procurement: this.getAttribute("procurement") === "capex" ? "capex" : "rental",
+      brand: this.getAttribute("brand"),
+      logo: this.getAttribute("logo"),
+      show,
+      theme: this.#resolvedTheme(),
+      onChange: this.#onChange,
+    }));
+  }
+}
+
+if (!customElements.get("kv-cache-estimator")) customElements.define("kv-cache-estimator", KvCacheEstimatorElement);